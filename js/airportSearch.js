@@ -0,0 +1,140 @@
+// Save as: js/airportSearch.js
+/**
+ * Airport Search Module
+ *
+ * Autocomplete dropdown of the location field: while typing, the airports
+ * matching the ICAO or IATA code, the name or the city are listed below the
+ * input (/api/airports/search), best matches first.
+ *
+ * Keyboard: ↓/↑ move through the list, Enter picks the highlighted airport
+ * (or submits the text as typed when none is highlighted), Escape closes.
+ *
+ * Relationships:
+ * - api.js: searchAirports
+ * - main.js: creates the preview circle of the picked airport
+ * - html.js: escapeHtml
+ */
+
+import { searchAirports } from './api.js';
+import { escapeHtml } from './html.js';
+
+const DEBOUNCE_MS = 200;
+const MIN_CHARS = 2;
+
+// Second line of an entry: IATA code, city and country when known
+function airportDetails(a) {
+    return [a.iata, a.city, a.country].filter(Boolean).map(escapeHtml).join(' · ');
+}
+
+/**
+ * Attaches the autocomplete to an input
+ * @param {HTMLInputElement} input - Location field
+ * @param {Object} handlers
+ * @param {Function} handlers.onSelect - Receives the picked airport {ident, name, lat, lon, ...}
+ * @param {Function} handlers.onSubmit - Receives the text when Enter is pressed with nothing highlighted
+ * @returns {{close: Function}}
+ */
+export function airportAutocomplete(input, { onSelect, onSubmit }) {
+    const list = document.createElement('ul');
+    list.className = 'autocomplete-list';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.parentElement.style.position = 'relative';
+    input.parentElement.appendChild(list);
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('aria-autocomplete', 'list');
+
+    let results = [];
+    let active = -1;
+    let timer = null;
+    let controller = null;
+
+    const close = () => {
+        list.hidden = true;
+        results = [];
+        active = -1;
+    };
+
+    const highlight = index => {
+        active = index;
+        [...list.children].forEach((li, i) => li.classList.toggle('active', i === index));
+        if (index >= 0) list.children[index].scrollIntoView({ block: 'nearest' });
+    };
+
+    const pick = index => {
+        const airport = results[index];
+        close();
+        input.value = airport.ident;
+        onSelect(airport);
+    };
+
+    const render = () => {
+        list.innerHTML = results.map((a, i) =>
+            `<li role="option" data-index="${i}"><b>${escapeHtml(a.ident)}</b> ${escapeHtml(a.name)}` +
+            `<small>${airportDetails(a)}</small></li>`
+        ).join('');
+        list.hidden = !results.length;
+        active = -1;
+    };
+
+    const search = () => {
+        const query = input.value.trim();
+        if (controller) controller.abort();
+        if (query.length < MIN_CHARS) {
+            close();
+            return;
+        }
+        controller = new AbortController();
+        searchAirports(query, controller.signal)
+        .then(airports => {
+            results = airports;
+            render();
+        })
+        .catch(err => {
+            if (err.name !== 'AbortError') {
+                console.warn('Airport search:', err.message);
+                close();
+            }
+        });
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(search, DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        const open = !list.hidden && results.length > 0;
+        if (e.key === 'ArrowDown' && open) {
+            e.preventDefault();
+            highlight((active + 1) % results.length);
+        } else if (e.key === 'ArrowUp' && open) {
+            e.preventDefault();
+            highlight(active <= 0 ? results.length - 1 : active - 1);
+        } else if (e.key === 'Escape' && open) {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(timer);
+            if (controller) controller.abort();
+            if (open && active >= 0) {
+                pick(active);
+            } else if (input.value.trim() !== '') {
+                close();
+                onSubmit(input.value.trim());
+            }
+        }
+    });
+
+    // mousedown, not click: it fires before the input loses the focus
+    list.addEventListener('mousedown', (e) => {
+        const li = e.target.closest('li');
+        if (!li) return;
+        e.preventDefault();
+        pick(parseInt(li.dataset.index, 10));
+    });
+    input.addEventListener('blur', close);
+
+    return { close };
+}
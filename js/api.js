@@ -38,11 +38,15 @@ export function getSessionInfo() {
 }
 
 /**
- * Retrieves list of completed job IDs
- * @returns {Promise<Array>} Array of completed job IDs
+ * Retrieves all jobs submitted during the current server session
+ * @returns {Promise<Array>} Array of {jobId, params, state, tilesTotal, tilesDone,
+ *                           submittedAt, startedAt, endedAt, error}
  */
-export function getCompletedJobs() {
-    return fetch('/api/completed-jobs').then(r => r.json());
+export function getJobs() {
+    return fetch('/api/jobs').then(res => {
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        return res.json();
+    });
 }
 
 /**
@@ -84,6 +88,36 @@ export function getCoverageData() {
     return fetch('coverage.json').then(r => r.ok ? r.json() : []);
 }
 
+/**
+ * Retrieves coverage data from the versioned endpoint
+ * @param {number} [since] - Version the caller already holds; enables the
+ *                           conditional request and the delta reply
+ * @returns {Promise<Object>} {notModified: true} when nothing changed, otherwise
+ *          {version, full: true, tiles} or {version, full: false, added, changed, removed}
+ */
+export function getCoverageDelta(since) {
+    const hasVersion = Number.isFinite(since);
+    const url = hasVersion ? `/api/coverage?since=${since}` : '/api/coverage';
+    const headers = hasVersion ? { 'If-None-Match': `"${since}"` } : {};
+
+    return fetch(url, { headers, cache: 'no-cache' }).then(res => {
+        if (res.status === 304) return { notModified: true };
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        return res.json();
+    });
+}
+
+/**
+ * Retrieves the size of every indexed DDS file (all versions)
+ * @returns {Promise<Object>} {totalBytes, files: [{id, sizeId, bytes, saved}]}
+ */
+export function getDiskUsage() {
+    return fetch('/api/disk-usage', { cache: 'no-cache' }).then(res => {
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        return res.json();
+    });
+}
+
 /**
  * Generates URL for tile preview image
  * @param {string} id - Tile identifier
@@ -94,6 +128,15 @@ export function getTilePreview(id, width = 512) {
     return `/preview?id=${id}&w=${width}`;
 }
 
+/**
+ * Generates URL of the raw DDS file of a tile (decoded by ddsViewer.js)
+ * @param {string} id - Tile identifier
+ * @returns {string} DDS file URL
+ */
+export function getTileDdsUrl(id) {
+    return `/api/tile-dds?id=${id}`;
+}
+
 /**
  * Sends shutdown command to the server
  * @returns {Promise} Shutdown response
@@ -118,6 +161,42 @@ export function resolveIcao(icao) {
     });
 }
 
+/**
+ * Retrieves the airports of a map area from the backend ICAO database
+ * @param {L.LatLngBounds} bounds - Map area
+ * @param {Array<string>} types - Airport types (large_airport, medium_airport, small_airport, ...)
+ * @param {number} limit - Maximum number of airports, most important first
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Array>} Array of {ident, iata, name, city, country, type, lat, lon}
+ */
+export function getAirports(bounds, types, limit, signal) {
+    const bbox = [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()]
+        .map(v => v.toFixed(4)).join(',');
+    return fetch(`/api/airports?bbox=${bbox}&types=${types.join(',')}&limit=${limit}`, { signal })
+    .then(res => {
+        if (!res.ok) {
+            return res.text().then(text => { throw new Error(text) });
+        }
+        return res.json();
+    });
+}
+
+/**
+ * Searches airports by ICAO or IATA code, name or city
+ * @param {string} query - Text typed by the user
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<Array>} Array of {ident, iata, name, city, country, type, lat, lon}, best matches first
+ */
+export function searchAirports(query, signal) {
+    return fetch(`/api/airports/search?q=${encodeURIComponent(query)}`, { signal })
+    .then(res => {
+        if (!res.ok) {
+            return res.text().then(text => { throw new Error(text) });
+        }
+        return res.json();
+    });
+}
+
 /**
  * Returns the current FGFS connection state (disconnected | connecting | connected)
  * @returns {Promise<string>}
@@ -154,3 +233,153 @@ export function fillHoles(bounds, settings) {
         return res.json();
     });
 }
+
+/**
+ * Runs an action on coverage tiles
+ * @param {number|Array<number>} ids - Tile ID, or list of IDs (batch: unusable tiles are skipped)
+ * @param {string} action - "redownload", "upgrade", "delete", "protect" or "unprotect"
+ * @param {Object} [options] - {size, server}: target size for "upgrade", server for downloads
+ * @returns {Promise<Object>} {jobId, tiles, skipped} for downloads, {deleted, remaining, skipped}
+ *          for delete, {protected, count} for protect/unprotect
+ */
+export function tileAction(ids, action, options = {}) {
+    const target = Array.isArray(ids) ? { ids } : { id: ids };
+    return fetch('/api/tile-action', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({ ...target, action, ...options })
+    }).then(res => {
+        // The server explains refusals (protected tile, invalid size) in the body
+        if (!res.ok) return res.text().then(text => { throw new Error(text || res.statusText); });
+        return res.json();
+    });
+}
+
+/**
+ * Retrieves the map server catalogue (params.xml)
+ * @returns {Promise<Array>} [{id, name, comment, urlTemplate, bounds, maxSize, custom}],
+ *          bounds as [[lonW, latS, lonE, latN], ...], empty for worldwide coverage
+ */
+export function getServers() {
+    return fetch('/api/servers', { cache: 'no-cache' }).then(res => {
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        return res.json();
+    });
+}
+
+/**
+ * Adds a custom map server or removes one
+ * @param {Object} payload - {action: "add", name, type, url, layers, bounds, maxSize, comment}
+ *                           or {action: "delete", id}
+ * @returns {Promise<Object>} {id} for "add", {deleted} for "delete"
+ */
+export function editServer(payload) {
+    return fetch('/api/servers', {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(payload)
+    }).then(res => {
+        // Validation errors (missing layers, bad URL) are explained in the body
+        if (!res.ok) return res.text().then(text => { throw new Error(text || res.statusText); });
+        return res.json();
+    });
+}
+
+/**
+ * Subscribes to the server event stream (/api/events).
+ *
+ * Each key of `handlers` is an event name (connection, position, jobs, job,
+ * coverage) and receives the parsed JSON payload. The stream reconnects by
+ * itself with exponential backoff; while it is down the same handlers are
+ * fed by polling the REST endpoints, so callers never need to know which
+ * transport is active.
+ *
+ * @param {Object<string, Function>} handlers - Event name → callback(data)
+ * @returns {Function} Call to close the stream and stop any polling
+ */
+export function subscribeEvents(handlers) {
+    const RETRY_MIN_MS = 1000;
+    const RETRY_MAX_MS = 30000;
+    const FAILURES_BEFORE_POLLING = 2;
+    const POLL_INTERVAL_MS = 2000;
+    const POLL_COVERAGE_EVERY = 3;  // coverage refresh every 3 polls (6 s)
+
+    let source = null;
+    let retryDelay = RETRY_MIN_MS;
+    let failures = 0;
+    let retryTimer = null;
+    let pollTimer = null;
+    let pollCount = 0;
+    let closed = false;
+
+    const emit = (event, data) => {
+        if (handlers[event]) handlers[event](data);
+    };
+
+    const poll = () => {
+        pollCount++;
+        getFgfsConnectionState()
+        .then(state => {
+            emit('connection', { state });
+            return state === 'connected' ? getFgfsStatus() : { active: false };
+        })
+        .then(data => emit('position', data))
+        .catch(err => console.warn('API: polling fallback failed:', err));
+
+        getJobs().then(jobs => emit('jobs', jobs)).catch(() => {});
+        if (pollCount % POLL_COVERAGE_EVERY === 0) emit('coverage', {});
+    };
+
+    const startPolling = () => {
+        if (pollTimer || closed) return;
+        console.warn('API: event stream unavailable, falling back to polling.');
+        poll();
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const stopPolling = () => {
+        if (!pollTimer) return;
+        clearInterval(pollTimer);
+        pollTimer = null;
+    };
+
+    const connect = () => {
+        if (closed) return;
+        source = new EventSource('/api/events');
+
+        source.onopen = () => {
+            console.log('API: event stream connected.');
+            retryDelay = RETRY_MIN_MS;
+            failures = 0;
+            stopPolling();
+        };
+
+        Object.keys(handlers).forEach(event => {
+            source.addEventListener(event, e => emit(event, JSON.parse(e.data)));
+        });
+
+        source.onerror = () => {
+            // Take over the reconnection so the backoff and fallback are ours
+            source.close();
+            source = null;
+            if (closed) return;
+            failures++;
+            if (failures >= FAILURES_BEFORE_POLLING) startPolling();
+            retryTimer = setTimeout(connect, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+        };
+    };
+
+    if (typeof EventSource === 'undefined') {
+        startPolling();
+    } else {
+        connect();
+    }
+
+    return () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        stopPolling();
+        if (source) source.close();
+    };
+}
@@ -0,0 +1,224 @@
+// Save as: js/bucketGrid.js
+/**
+ * Bucket Grid Module
+ *
+ * Browser-side copy of the FlightGear bucket tile grid used by the Julia
+ * backend (Commons.tileWidth / Commons.index, and the id → bbox conversion
+ * that fills the `bbox` field of coverage.json) and of the tile selection done
+ * by GeoEngine.generate_all_tiles for a manual circular job. It lets the GUI
+ * tell, before a job is confirmed, how many tiles an area covers, how many
+ * are already on disk and roughly how much will be downloaded.
+ *
+ * The estimate follows the backend rules:
+ * - tiles are kept when their centre is within the radius
+ * - the resolution drops one level every 10 NM from the centre, never below
+ *   `sdwn` (Commons.adaptive_size_id at the default 1000 ft)
+ * - an existing tile is skipped according to `over`
+ *   (ddsFindScanner.has_suitable_tile)
+ * - each tile is fetched as cols × cols chunks plus one pre-coverage chunk
+ *
+ * Relationships:
+ * - geo.js: distances from the circle centre
+ * - main.js: estimates the pending preview circles from the coverage data,
+ *   resolves the tile search box
+ * - bucketGridLayer.js: grid overlay
+ * - ui.js: formats the estimate shown in the circle popup
+ */
+
+import { distanceNm } from './geo.js';
+
+// Same tables as Commons.LATITUDE_BANDS / TILE_WIDTHS_DEG / PIXEL_SIZE_MAP
+const LATITUDE_BANDS = [90, 89, 86, 83, 76, 62, 22, -22];
+const TILE_WIDTHS_DEG = [12.0, 4.0, 2.0, 1.0, 0.5, 0.25, 0.125];
+const TILE_HEIGHT_DEG = 0.125;
+const PIXEL_SIZES = [
+    { width: 512, cols: 1 },
+    { width: 1024, cols: 1 },
+    { width: 2048, cols: 1 },
+    { width: 4096, cols: 2 },
+    { width: 8192, cols: 4 },
+    { width: 16384, cols: 8 },
+    { width: 32768, cols: 8 }
+];
+const LOD_STEP_NM = 10;
+const DDS_HEADER_BYTES = 128;
+
+/**
+ * Longitudinal width of a tile in degrees at a latitude
+ * @param {number} lat - Latitude in degrees
+ * @returns {number}
+ */
+export function tileWidth(lat) {
+    const absLat = Math.abs(lat);
+    for (let i = 0; i < TILE_WIDTHS_DEG.length; i++) {
+        if (absLat >= LATITUDE_BANDS[i + 1] && absLat < LATITUDE_BANDS[i]) {
+            return TILE_WIDTHS_DEG[i];
+        }
+    }
+    return TILE_WIDTHS_DEG[TILE_WIDTHS_DEG.length - 1];
+}
+
+/**
+ * Bucket index of the tile containing a point (same value as Commons.index
+ * and as the `id` field of coverage.json)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number}
+ */
+export function tileIndex(lat, lon) {
+    const lonShifted = Math.floor(lon + 180);
+    const latShifted = Math.floor(lat + 90);
+    const y = Math.floor((lat - (latShifted - 90)) / TILE_HEIGHT_DEG);
+    const x = Math.floor((lon - (lonShifted - 180)) / tileWidth(lat));
+    return (lonShifted << 14) | (latShifted << 6) | (y << 3) | x;
+}
+
+/**
+ * Bounding box of a tile, as written in coverage.json
+ * (ddsFindScanner.get_tile_bbox_from_id)
+ * @param {number} id - Bucket index
+ * @returns {{latLL: number, lonLL: number, latUR: number, lonUR: number}}
+ */
+export function tileBbox(id) {
+    const lonBase = (id >> 14) - 180;
+    const latBase = ((id >> 6) & 0xff) - 90;
+    const y = (id >> 3) & 7;
+    const x = id & 7;
+    const latLL = latBase + y * TILE_HEIGHT_DEG;
+    const width = tileWidth(latLL + TILE_HEIGHT_DEG / 2);
+    const lonLL = lonBase + x * width;
+    return { latLL, lonLL, latUR: latLL + TILE_HEIGHT_DEG, lonUR: lonLL + width };
+}
+
+/**
+ * Checks that a number is a valid bucket index (round trip through its bbox)
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function isValidTileId(id) {
+    if (!Number.isInteger(id) || id < 0 || id >= (361 << 14)) return false;
+    const b = tileBbox(id);
+    return tileIndex((b.latLL + b.latUR) / 2, (b.lonLL + b.lonUR) / 2) === id;
+}
+
+/**
+ * Lists the tiles intersecting an area, each once
+ * @param {number} south - Southern latitude
+ * @param {number} west - Western longitude
+ * @param {number} north - Northern latitude
+ * @param {number} east - Eastern longitude
+ * @param {number} [limit=Infinity] - Stop after this many tiles
+ * @returns {Array<{id: number, bbox: Object}>}
+ */
+export function tilesInBounds(south, west, north, east, limit = Infinity) {
+    const result = [];
+    const seen = new Set();
+    south = Math.max(south, -90);
+    north = Math.min(north, 90 - 1e-9);
+    west = Math.max(west, -180);
+    east = Math.min(east, 180 - 1e-9);
+
+    for (let lat = Math.floor(south / TILE_HEIGHT_DEG) * TILE_HEIGHT_DEG; lat < north; lat += TILE_HEIGHT_DEG) {
+        const latC = lat + TILE_HEIGHT_DEG / 2;
+        // Wide buckets start on each integer degree, so never step more than 1°
+        const step = Math.min(tileWidth(latC), 1);
+        for (let lon = Math.floor(west / step) * step; lon < east; lon += step) {
+            const id = tileIndex(latC, lon + step / 2);
+            if (seen.has(id)) continue;
+            seen.add(id);
+            result.push({ id, bbox: tileBbox(id) });
+            if (result.length >= limit) return result;
+        }
+    }
+    return result;
+}
+
+/**
+ * Lists the tiles a manual circular job would request
+ * @param {number} lat - Centre latitude
+ * @param {number} lon - Centre longitude
+ * @param {number} radiusNm - Radius in nautical miles
+ * @param {Object} options
+ * @param {number} options.size - Target resolution id (0..6)
+ * @param {number} [options.sdwn=-1] - Lowest resolution id allowed (-1 = none)
+ * @returns {Array<{id: number, sizeId: number, lat: number, lon: number, width: number}>}
+ *          Centre and width (degrees) of each tile
+ */
+export function tilesInCircle(lat, lon, radiusNm, { size, sdwn = -1 }) {
+    const tiles = new Map();
+    const radiusDeg = radiusNm / 60;
+    const baseWidth = tileWidth(lat);
+
+    // Grid bounds computed exactly as GeoEngine.generate_all_tiles
+    const latMin = Math.floor((lat - radiusDeg) / TILE_HEIGHT_DEG) * TILE_HEIGHT_DEG;
+    const latMax = Math.ceil((lat + radiusDeg) / TILE_HEIGHT_DEG) * TILE_HEIGHT_DEG;
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const lonMin = Math.floor((lon - radiusDeg / cosLat) / baseWidth) * baseWidth;
+    const lonMax = Math.ceil((lon + radiusDeg / cosLat) / baseWidth) * baseWidth;
+
+    for (let tLat = latMin; tLat <= latMax; tLat += TILE_HEIGHT_DEG) {
+        const width = tileWidth(tLat);
+        for (let tLon = lonMin; tLon <= lonMax; tLon += width) {
+            const latC = tLat + TILE_HEIGHT_DEG / 2;
+            const lonC = tLon + width / 2;
+            const d = distanceNm(latC, lonC, lat, lon);
+            if (d > radiusNm) continue;
+
+            const adaptive = Math.max(0, size - Math.floor(d / LOD_STEP_NM));
+            const id = tileIndex(latC, lonC);
+            if (!tiles.has(id)) {
+                tiles.set(id, { id, sizeId: Math.max(sdwn, adaptive), lat: latC, lon: lonC, width });
+            }
+        }
+    }
+    return [...tiles.values()];
+}
+
+/**
+ * Builds the lookup used by estimateDownload from coverage.json entries
+ * @param {Array<{id: number, sizeId: number}>} coverageTiles
+ * @returns {Map<number, number>} Tile id → best sizeId on disk
+ */
+export function indexCoverage(coverageTiles) {
+    const best = new Map();
+    (coverageTiles || []).forEach(t => {
+        if (!best.has(t.id) || t.sizeId > best.get(t.id)) best.set(t.id, t.sizeId);
+    });
+    return best;
+}
+
+/**
+ * Estimates what a job would download
+ * @param {Array} tiles - Result of tilesInCircle
+ * @param {Map<number, number>} coverageIndex - Result of indexCoverage
+ * @param {number} over - 0 never overwrite, 1 overwrite with better, 2 always
+ * @returns {{total: number, onDisk: number, toDownload: number, redownload: number,
+ *            chunks: number, precoverChunks: number, megabytes: number}}
+ *          onDisk counts tiles already present at an equal or higher sizeId,
+ *          redownload the existing tiles that would be fetched again
+ */
+export function estimateDownload(tiles, coverageIndex, over) {
+    const est = { total: tiles.length, onDisk: 0, toDownload: 0, redownload: 0, chunks: 0, precoverChunks: 0, megabytes: 0 };
+    let bytes = 0;
+
+    tiles.forEach(tile => {
+        const existing = coverageIndex.has(tile.id) ? coverageIndex.get(tile.id) : -1;
+        if (existing >= tile.sizeId) est.onDisk++;
+
+        const skip = existing >= 0 && (over === 0 || (over === 1 && existing >= tile.sizeId));
+        if (skip) return;
+
+        if (existing >= 0) est.redownload++;
+        est.toDownload++;
+
+        const { width, cols } = PIXEL_SIZES[Math.min(tile.sizeId, PIXEL_SIZES.length - 1)];
+        est.chunks += cols * cols;
+        est.precoverChunks++;
+        // DXT1: 4 bits per pixel, height as Commons.sizeHight
+        const height = width / (8 * tile.width);
+        bytes += width * height / 2 + DDS_HEADER_BYTES;
+    });
+
+    est.megabytes = bytes / (1024 * 1024);
+    return est;
+}
@@ -0,0 +1,140 @@
+// Save as: js/bucketGridLayer.js
+/**
+ * Bucket Grid Layer Module
+ *
+ * Canvas overlay drawing the FlightGear bucket boundaries, including areas
+ * with no downloaded tile. Buckets are drawn only from `minZoom` up, where a
+ * 0.125° row is a few pixels tall; further out the layer stays empty.
+ *
+ * While the grid is visible a tooltip follows the cursor with the bucket
+ * index, its bbox and the on-disk status supplied by the caller.
+ *
+ * Relationships:
+ * - bucketGrid.js: bucket index / bbox conversions
+ * - ui.js: creates the layer and supplies the status callback
+ * - i18n.js: tooltip texts
+ */
+
+import { tileIndex, tileBbox, tilesInBounds } from './bucketGrid.js';
+import { t } from './i18n.js';
+
+// Safety cap on the buckets drawn in a single frame
+const MAX_BUCKETS = 20000;
+
+export const BucketGridLayer = L.Layer.extend({
+    options: {
+        minZoom: 8,
+        color: '#3388ff',
+        status: () => t('bucket.notOnDisk')
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._frame = null;
+        this._hoverId = null;
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide bucket-grid-canvas');
+        this._canvas.style.pointerEvents = 'none';
+        this.getPane().appendChild(this._canvas);
+        this._tooltip = L.tooltip({ direction: 'right', offset: [12, 0], className: 'bucket-tooltip' });
+
+        map.on('moveend zoomend resize viewreset', this._scheduleRedraw, this);
+        map.on('mousemove', this._onMouseMove, this);
+        map.on('mouseout', this._hideTooltip, this);
+        this._scheduleRedraw();
+    },
+
+    onRemove(map) {
+        map.off('moveend zoomend resize viewreset', this._scheduleRedraw, this);
+        map.off('mousemove', this._onMouseMove, this);
+        map.off('mouseout', this._hideTooltip, this);
+        this._hideTooltip();
+        if (this._frame) L.Util.cancelAnimFrame(this._frame);
+        this._frame = null;
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+    },
+
+    _scheduleRedraw() {
+        if (!this._map || this._frame) return;
+        this._frame = L.Util.requestAnimFrame(() => {
+            this._frame = null;
+            this._redraw();
+        });
+    },
+
+    _redraw() {
+        const map = this._map;
+        if (!map || !this._canvas) return;
+
+        const size = map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        const canvas = this._canvas;
+        canvas.width = size.x * ratio;
+        canvas.height = size.y * ratio;
+        canvas.style.width = `${size.x}px`;
+        canvas.style.height = `${size.y}px`;
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size.x, size.y);
+        if (map.getZoom() < this.options.minZoom) {
+            this._hideTooltip();
+            return;
+        }
+
+        const view = map.getBounds();
+        const buckets = tilesInBounds(view.getSouth(), view.getWest(), view.getNorth(), view.getEast(), MAX_BUCKETS);
+
+        ctx.strokeStyle = this.options.color;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.7;
+        buckets.forEach(({ bbox }) => {
+            const p1 = map.latLngToContainerPoint([bbox.latUR, bbox.lonLL]);
+            const p2 = map.latLngToContainerPoint([bbox.latLL, bbox.lonUR]);
+            ctx.strokeRect(Math.round(p1.x) + 0.5, Math.round(p1.y) + 0.5,
+                Math.round(p2.x - p1.x), Math.round(p2.y - p1.y));
+        });
+    },
+
+    _onMouseMove(e) {
+        const map = this._map;
+        if (map.getZoom() < this.options.minZoom) {
+            this._hideTooltip();
+            return;
+        }
+
+        const id = tileIndex(e.latlng.lat, e.latlng.lng);
+        if (id !== this._hoverId) {
+            this._hoverId = id;
+            const b = tileBbox(id);
+            this._tooltip.setContent(
+                `<b>${t('tile.label', { id: String(id) })}</b><br>` +
+                `LL ${b.latLL.toFixed(3)}, ${b.lonLL.toFixed(3)}<br>` +
+                `UR ${b.latUR.toFixed(3)}, ${b.lonUR.toFixed(3)}<br>` +
+                this.options.status(id)
+            );
+        }
+        this._tooltip.setLatLng(e.latlng);
+        if (!map.hasLayer(this._tooltip)) this._tooltip.addTo(map);
+    },
+
+    _hideTooltip() {
+        if (this._map && this._tooltip && this._map.hasLayer(this._tooltip)) {
+            this._map.removeLayer(this._tooltip);
+        }
+        this._hoverId = null;
+    }
+});
+
+/**
+ * Factory following the Leaflet naming convention
+ * @param {Object} [options] - See BucketGridLayer.options
+ * @returns {BucketGridLayer}
+ */
+export function bucketGridLayer(options) {
+    return new BucketGridLayer(options);
+}
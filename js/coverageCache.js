@@ -0,0 +1,118 @@
+// Save as: js/coverageCache.js
+/**
+ * Coverage Cache Module
+ *
+ * Keeps the merged coverage dataset in memory and in IndexedDB, so that a
+ * page reload can draw the coverage immediately and the server only has to
+ * send what changed since the cached version.
+ *
+ * Sync protocol (see GuiMode.h_coverage):
+ * - the cached version is sent as `since` / If-None-Match
+ * - 304 means nothing changed
+ * - a delta reply is merged by tile id, a full reply replaces everything
+ *
+ * IndexedDB errors (private mode, quota, ...) are logged and ignored: the
+ * cache is an optimisation, the server stays the source of truth.
+ *
+ * Relationships:
+ * - api.js: getCoverageDelta
+ * - main.js: loadCachedCoverage on start-up, syncCoverage on "coverage" events
+ */
+
+import { getCoverageDelta } from './api.js';
+
+const DB_NAME = 'photoscenery-gui';
+const DB_VERSION = 1;
+const STORE = 'coverage';
+const SNAPSHOT_KEY = 'snapshot';
+
+// In-memory dataset: version from the server and tiles by id
+let version = null;
+let tiles = new Map();
+
+let dbPromise = null;           // Connection shared by all reads and writes
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+        req.onsuccess = () => {
+            const db = req.result;
+            // Let a newer version of the page upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+        req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function readSnapshot() {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const req = db.transaction(STORE, 'readonly').objectStore(STORE).get(SNAPSHOT_KEY);
+        req.onsuccess = () => resolve(req.result || null);
+        req.onerror = () => reject(req.error);
+    }));
+}
+
+function writeSnapshot() {
+    const snapshot = { version, tiles: Array.from(tiles.values()) };
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).put(snapshot, SNAPSHOT_KEY);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    })).catch(err => console.warn('Coverage cache: cannot save snapshot:', err));
+}
+
+/**
+ * Loads the cached dataset from IndexedDB into memory
+ * @returns {Promise<Array|null>} Cached tiles, or null if there is no cache
+ */
+export function loadCachedCoverage() {
+    return readSnapshot()
+    .then(snapshot => {
+        if (!snapshot) return null;
+        version = snapshot.version;
+        tiles = new Map(snapshot.tiles.map(t => [t.id, t]));
+        console.log(`Coverage cache: ${tiles.size} tiles restored (version ${version}).`);
+        return snapshot.tiles;
+    })
+    .catch(err => {
+        console.warn('Coverage cache: cannot read snapshot:', err);
+        return null;
+    });
+}
+
+/**
+ * Brings the dataset up to date with the server
+ * @returns {Promise<{tiles: Array, changed: boolean}>}
+ */
+export function syncCoverage() {
+    return getCoverageDelta(version ?? undefined).then(reply => {
+        if (reply.notModified) {
+            return { tiles: Array.from(tiles.values()), changed: false };
+        }
+
+        if (reply.full) {
+            tiles = new Map(reply.tiles.map(t => [t.id, t]));
+        } else {
+            reply.added.forEach(t => tiles.set(t.id, t));
+            reply.changed.forEach(t => tiles.set(t.id, t));
+            reply.removed.forEach(id => tiles.delete(id));
+        }
+        version = reply.version;
+        writeSnapshot();
+
+        return { tiles: Array.from(tiles.values()), changed: true };
+    });
+}
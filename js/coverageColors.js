@@ -0,0 +1,188 @@
+// Save as: js/coverageColors.js
+/**
+ * Coverage Colours Module
+ *
+ * Colouring modes of the coverage layer and the content of their legend:
+ * - resolution: one colour per sizeId (LEVEL_COLORS, the historic behaviour)
+ * - age: gradient from last_modified, green = fresh, red = stale
+ * - server: one colour per source map server (coverage.json `server`,
+ *   known only for tiles downloaded since the server is recorded)
+ * - filesize: gradient from the file size (coverage.json `bytes`), log scale
+ *
+ * When zoomed out the layer draws one rectangle per 1° cell; cellRank()
+ * tells it which tile represents the cell, so the age mode shows the oldest
+ * tile of each region and stale areas stand out.
+ *
+ * Relationships:
+ * - coverageStats.js: resolution colours
+ * - ui.js: style callback of the coverage layer and the map legend
+ * - i18n.js: legend texts
+ */
+
+import { LEVEL_COLORS } from './coverageStats.js';
+import { t } from './i18n.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const UNKNOWN_COLOR = '#9e9e9e';
+
+// Labels are i18n keys
+export const COLOR_MODES = [
+    { id: 'resolution', label: 'colorMode.resolution' },
+    { id: 'age', label: 'colorMode.age' },
+    { id: 'server', label: 'colorMode.server' },
+    { id: 'filesize', label: 'colorMode.filesize' }
+];
+
+// Gradient stops: age in days (labels are i18n keys), size in bytes
+const AGE_STOPS = [
+    { value: 0, color: '#1a9850', label: 'legend.age.today' },
+    { value: 30, color: '#91cf60', label: 'legend.age.month' },
+    { value: 182, color: '#fee08b', label: 'legend.age.sixMonths' },
+    { value: 365, color: '#fc8d59', label: 'legend.age.year' },
+    { value: 730, color: '#d73027', label: 'legend.age.twoYears' }
+];
+
+const SIZE_STOPS = [
+    { value: 256 << 10, color: '#440154', label: '256 KB' },
+    { value: 1 << 20, color: '#414487', label: '1 MB' },
+    { value: 4 << 20, color: '#2a788e', label: '4 MB' },
+    { value: 16 << 20, color: '#22a884', label: '16 MB' },
+    { value: 64 << 20, color: '#7ad151', label: '64 MB' },
+    { value: 256 << 20, color: '#fde725', label: '256 MB+' }
+];
+
+const SERVER_COLORS = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22'];
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [n >> 16, (n >> 8) & 255, n & 255];
+}
+
+function mix(c1, c2, t) {
+    const a = hexToRgb(c1);
+    const b = hexToRgb(c2);
+    return '#' + a.map((v, i) => Math.round(v + (b[i] - v) * t).toString(16).padStart(2, '0')).join('');
+}
+
+// Linear interpolation between the stops, clamped at both ends
+function gradient(stops, value, scale = v => v) {
+    if (value <= stops[0].value) return stops[0].color;
+    for (let i = 1; i < stops.length; i++) {
+        if (value <= stops[i].value) {
+            const lo = scale(stops[i - 1].value);
+            const t = (scale(value) - lo) / (scale(stops[i].value) - lo);
+            return mix(stops[i - 1].color, stops[i].color, t);
+        }
+    }
+    return stops[stops.length - 1].color;
+}
+
+function tileAgeDays(tile, now) {
+    if (!tile.last_modified) return null;
+    const date = new Date(tile.last_modified.replace(' ', 'T'));
+    return Number.isNaN(date.getTime()) ? null : Math.max(0, (now - date) / DAY_MS);
+}
+
+/**
+ * Colours of the servers present in the coverage, by rank of their id:
+ * custom servers (id 101 and up) would otherwise share the colour of a
+ * built-in one. Colours repeat only beyond SERVER_COLORS.length servers.
+ * @param {Array} tiles - Coverage data
+ * @returns {Map<number, string>} Server id → CSS colour
+ */
+export function serverPalette(tiles) {
+    const ids = [...new Set(tiles.map(tile => tile.server))]
+        .filter(id => Number.isInteger(id) && id > 0)
+        .sort((a, b) => a - b);
+    return new Map(ids.map((id, i) => [id, SERVER_COLORS[i % SERVER_COLORS.length]]));
+}
+
+export function serverColor(serverId, palette) {
+    return palette.get(serverId) ?? UNKNOWN_COLOR;
+}
+
+/**
+ * Colour of a tile in a mode
+ * @param {string} mode - COLOR_MODES id
+ * @param {Object} tile - coverage.json entry
+ * @param {Date} now - Reference time of the age mode
+ * @param {Map<number, string>} [servers] - serverPalette() of the coverage, for the server mode
+ * @returns {string} CSS colour
+ */
+export function tileColor(mode, tile, now, servers = new Map()) {
+    switch (mode) {
+        case 'age': {
+            const days = tileAgeDays(tile, now);
+            return days === null ? UNKNOWN_COLOR : gradient(AGE_STOPS, days);
+        }
+        case 'server':
+            return serverColor(tile.server, servers);
+        case 'filesize':
+            return tile.bytes > 0 ? gradient(SIZE_STOPS, tile.bytes, Math.log2) : UNKNOWN_COLOR;
+        default:
+            return LEVEL_COLORS[tile.sizeId] || '#333';
+    }
+}
+
+/**
+ * Rank of a tile when one tile represents a whole 1° cell (highest wins)
+ * @param {string} mode - COLOR_MODES id
+ * @param {Date} now - Reference time of the age mode
+ * @returns {Function} tile => number
+ */
+export function cellRank(mode, now) {
+    switch (mode) {
+        case 'age':
+            return tile => tileAgeDays(tile, now) ?? -1;
+        case 'filesize':
+            return tile => tile.bytes || 0;
+        default:
+            return tile => tile.sizeId;
+    }
+}
+
+/**
+ * Legend of a mode
+ * @param {string} mode - COLOR_MODES id
+ * @param {Object} context
+ * @param {Array} context.tiles - Coverage data (servers present)
+ * @param {Set<number>} context.allowedResolutions - Resolutions not filtered out
+ * @param {Object<number, string>} context.serverNames - Server id → name
+ * @param {Map<number, string>} context.servers - serverPalette() of the tiles
+ * @returns {{title: string, items: Array<{color: string, label: string, inactive?: boolean}>, note?: string}}
+ */
+export function legendEntries(mode, { tiles, allowedResolutions, serverNames, servers }) {
+    switch (mode) {
+        case 'age':
+            return {
+                title: t('stats.age'),
+                items: [
+                    ...AGE_STOPS.map(stop => ({ color: stop.color, label: t(stop.label) })),
+                    { color: UNKNOWN_COLOR, label: t('common.unknown') }
+                ]
+            };
+        case 'filesize':
+            return { title: t('colorMode.filesize'), items: SIZE_STOPS };
+        case 'server': {
+            const ids = [...new Set(tiles.map(tile => tile.server ?? null))]
+                .sort((a, b) => (a ?? Infinity) - (b ?? Infinity));
+            return {
+                title: t('colorMode.server'),
+                items: ids.map(id => ({
+                    color: serverColor(id, servers),
+                    label: id === null ? t('common.unknown') : (serverNames[id] || t('legend.server', { id: String(id) }))
+                })),
+                note: ids.includes(null) ? t('legend.serverUnknown') : undefined
+            };
+        }
+        default:
+            return {
+                title: t('colorMode.resolution'),
+                items: LEVEL_COLORS.map((color, sizeId) => ({
+                    color,
+                    label: `${sizeId}: ${512 << sizeId} px`,
+                    inactive: !allowedResolutions.has(sizeId)
+                }))
+            };
+    }
+}
@@ -0,0 +1,362 @@
+// Save as: js/coverageLayer.js
+/**
+ * Coverage Layer Module
+ *
+ * Canvas-based Leaflet layer that draws the tiles listed in coverage.json.
+ * It replaces one L.rectangle per tile, which froze the browser once the
+ * dataset reached tens of thousands of tiles.
+ *
+ * - Tiles are kept in a Map by id and in a 1°×1° spatial index, so only the
+ *   cells inside the viewport are visited on each redraw.
+ * - setData() diffs the new dataset against the current one and only touches
+ *   added, changed and removed tiles.
+ * - Below `aggregateBelowZoom` each 1° cell is drawn as a single rectangle
+ *   styled like its highest-ranked tile (`cellRank`, by default the best
+ *   resolution it contains).
+ * - Clicks are hit-tested against the index and open a normal Leaflet popup,
+ *   so the "View Preview" button handled in main.js keeps working.
+ * - tilesInBounds() / setHighlight() back the shift-drag box selection.
+ *
+ * Relationships:
+ * - ui.js: creates the layer, supplies style/popup/filter callbacks
+ *   (updateMapCoverage)
+ */
+
+const CELL_DEG = 1;
+
+function cellKey(lat, lon) {
+    return `${Math.floor(lat / CELL_DEG)}:${Math.floor(lon / CELL_DEG)}`;
+}
+
+function sameTile(a, b) {
+    return a.sizeId === b.sizeId &&
+        a.last_modified === b.last_modified &&
+        Boolean(a.protected) === Boolean(b.protected) &&
+        a.bytes === b.bytes && a.server === b.server &&
+        a.bbox.latLL === b.bbox.latLL && a.bbox.lonLL === b.bbox.lonLL &&
+        a.bbox.latUR === b.bbox.latUR && a.bbox.lonUR === b.bbox.lonUR;
+}
+
+export const CoverageLayer = L.Layer.extend({
+    options: {
+        opacity: 0.4,               // fill opacity
+        aggregateBelowZoom: 7,      // zoom levels below this draw 1° cells
+        style: () => ({ color: '#333', fillColor: '#333' }),
+        popupContent: tile => `ID: ${tile.id}`,
+        filter: () => true,
+        cellRank: tile => tile.sizeId,  // tile representing an aggregated cell (highest wins)
+        highlightColor: '#00e5ff'   // outline of the highlighted (selected) tiles
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._tiles = new Map();    // id → tile
+        this._cells = new Map();    // cellKey → Set of ids
+        this._highlight = null;     // Set of highlighted ids
+        this._frame = null;
+    },
+
+    onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide coverage-canvas');
+        this._canvas.style.pointerEvents = 'none';
+        this.getPane().appendChild(this._canvas);
+
+        map.on('moveend zoomend resize viewreset', this._scheduleRedraw, this);
+        map.on('click', this._onClick, this);
+        this._scheduleRedraw();
+    },
+
+    onRemove(map) {
+        map.off('moveend zoomend resize viewreset', this._scheduleRedraw, this);
+        map.off('click', this._onClick, this);
+        if (this._frame) L.Util.cancelAnimFrame(this._frame);
+        this._frame = null;
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+    },
+
+    /**
+     * Replaces the dataset, applying only the differences
+     * @param {Array} tiles - coverage.json entries ({id, sizeId, bbox, last_modified})
+     * @returns {{added: number, changed: number, removed: number}}
+     */
+    setData(tiles) {
+        const diff = { added: 0, changed: 0, removed: 0 };
+        const incoming = new Set();
+
+        tiles.forEach(tile => {
+            incoming.add(tile.id);
+            const old = this._tiles.get(tile.id);
+            if (!old) {
+                this._insert(tile);
+                diff.added++;
+            } else if (!sameTile(old, tile)) {
+                this._remove(old);
+                this._insert(tile);
+                diff.changed++;
+            }
+        });
+
+        for (const [id, tile] of this._tiles) {
+            if (!incoming.has(id)) {
+                this._remove(tile);
+                diff.removed++;
+            }
+        }
+
+        if (diff.added || diff.changed || diff.removed) this._scheduleRedraw();
+        return diff;
+    },
+
+    /**
+     * Sets the predicate deciding which tiles are shown
+     * @param {Function} filter - tile => boolean
+     */
+    setFilter(filter) {
+        this.options.filter = filter;
+        this._scheduleRedraw();
+        return this;
+    },
+
+    /**
+     * Changes how the tiles are coloured
+     * @param {Function} style - tile => {color, fillColor, weight}
+     * @param {Function} [cellRank] - tile => number, representative of an aggregated cell
+     */
+    setStyle(style, cellRank) {
+        this.options.style = style;
+        if (cellRank) this.options.cellRank = cellRank;
+        this._scheduleRedraw();
+        return this;
+    },
+
+    setOpacity(opacity) {
+        if (opacity !== this.options.opacity) {
+            this.options.opacity = opacity;
+            this._scheduleRedraw();
+        }
+        return this;
+    },
+
+    /**
+     * Returns the visible (filtered) tiles containing a point
+     * @param {L.LatLng} latlng
+     * @returns {Array}
+     */
+    tilesAt(latlng) {
+        const ids = this._cells.get(cellKey(latlng.lat, latlng.lng));
+        if (!ids) return [];
+        const result = [];
+        ids.forEach(id => {
+            const t = this._tiles.get(id);
+            const b = t.bbox;
+            if (latlng.lat >= b.latLL && latlng.lat < b.latUR &&
+                latlng.lng >= b.lonLL && latlng.lng < b.lonUR &&
+                this.options.filter(t)) {
+                result.push(t);
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Returns the visible (filtered) tiles intersecting a box
+     * @param {L.LatLngBounds} bounds
+     * @returns {Array}
+     */
+    tilesInBounds(bounds) {
+        const box = {
+            latLL: bounds.getSouth(), lonLL: bounds.getWest(),
+            latUR: bounds.getNorth(), lonUR: bounds.getEast()
+        };
+        const result = new Map();
+        this._forEachCell(box, key => {
+            const ids = this._cells.get(key);
+            if (!ids) return;
+            ids.forEach(id => {
+                if (result.has(id)) return;
+                const t = this._tiles.get(id);
+                const b = t.bbox;
+                if (b.latUR > box.latLL && b.latLL < box.latUR &&
+                    b.lonUR > box.lonLL && b.lonLL < box.lonUR &&
+                    this.options.filter(t)) {
+                    result.set(id, t);
+                }
+            });
+        });
+        return [...result.values()];
+    },
+
+    /**
+     * Outlines some tiles on top of the coverage (e.g. a box selection)
+     * @param {Set<number>|null} ids - Tile ids, null or empty to clear
+     */
+    setHighlight(ids) {
+        this._highlight = ids && ids.size ? ids : null;
+        this._scheduleRedraw();
+        return this;
+    },
+
+    // --- Internal helpers ---
+
+    _insert(tile) {
+        this._tiles.set(tile.id, tile);
+        // Tiles never exceed 12° in width, but a bbox may straddle cells
+        this._forEachCell(tile.bbox, key => {
+            if (!this._cells.has(key)) this._cells.set(key, new Set());
+            this._cells.get(key).add(tile.id);
+        });
+    },
+
+    _remove(tile) {
+        this._tiles.delete(tile.id);
+        this._forEachCell(tile.bbox, key => {
+            const ids = this._cells.get(key);
+            if (!ids) return;
+            ids.delete(tile.id);
+            if (!ids.size) this._cells.delete(key);
+        });
+    },
+
+    _forEachCell(bbox, fn) {
+        // Tiny epsilon keeps a bbox ending exactly on a cell edge in one cell
+        const eps = 1e-9;
+        for (let lat = Math.floor(bbox.latLL / CELL_DEG); lat <= Math.floor((bbox.latUR - eps) / CELL_DEG); lat++) {
+            for (let lon = Math.floor(bbox.lonLL / CELL_DEG); lon <= Math.floor((bbox.lonUR - eps) / CELL_DEG); lon++) {
+                fn(`${lat}:${lon}`);
+            }
+        }
+    },
+
+    _scheduleRedraw() {
+        if (!this._map || this._frame) return;
+        this._frame = L.Util.requestAnimFrame(() => {
+            this._frame = null;
+            this._redraw();
+        });
+    },
+
+    _redraw() {
+        const map = this._map;
+        if (!map || !this._canvas) return;
+
+        // Size and place the canvas over the visible map area
+        const size = map.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        const canvas = this._canvas;
+        canvas.width = size.x * ratio;
+        canvas.height = size.y * ratio;
+        canvas.style.width = `${size.x}px`;
+        canvas.style.height = `${size.y}px`;
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size.x, size.y);
+
+        const view = map.getBounds();
+        const latMin = Math.floor(view.getSouth() / CELL_DEG);
+        const latMax = Math.floor(view.getNorth() / CELL_DEG);
+        const lonMin = Math.floor(view.getWest() / CELL_DEG);
+        const lonMax = Math.floor(view.getEast() / CELL_DEG);
+        const aggregate = map.getZoom() < this.options.aggregateBelowZoom;
+        const drawn = new Set();     // tiles spanning several cells are drawn once
+
+        for (let lat = latMin; lat <= latMax; lat++) {
+            for (let lon = lonMin; lon <= lonMax; lon++) {
+                const ids = this._cells.get(`${lat}:${lon}`);
+                if (!ids) continue;
+
+                if (aggregate) {
+                    this._drawCell(ctx, lat, lon, ids);
+                } else {
+                    ids.forEach(id => {
+                        if (drawn.has(id)) return;
+                        drawn.add(id);
+                        const tile = this._tiles.get(id);
+                        if (this.options.filter(tile)) this._drawRect(ctx, tile.bbox, this.options.style(tile));
+                    });
+                }
+            }
+        }
+
+        if (this._highlight) this._drawHighlight(ctx);
+    },
+
+    _drawHighlight(ctx) {
+        const map = this._map;
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = this.options.highlightColor;
+        ctx.lineWidth = 2;
+        this._highlight.forEach(id => {
+            const tile = this._tiles.get(id);
+            if (!tile) return;
+            const p1 = map.latLngToContainerPoint([tile.bbox.latUR, tile.bbox.lonLL]);
+            const p2 = map.latLngToContainerPoint([tile.bbox.latLL, tile.bbox.lonUR]);
+            ctx.strokeRect(p1.x + 1, p1.y + 1, Math.max(1, p2.x - p1.x - 2), Math.max(1, p2.y - p1.y - 2));
+        });
+    },
+
+    _drawCell(ctx, lat, lon, ids) {
+        // Represent the cell with its highest-ranked visible tile
+        const rank = this.options.cellRank;
+        let best = null;
+        let bestRank = -Infinity;
+        ids.forEach(id => {
+            const tile = this._tiles.get(id);
+            if (!this.options.filter(tile)) return;
+            const r = rank(tile);
+            if (!best || r > bestRank) {
+                best = tile;
+                bestRank = r;
+            }
+        });
+        if (!best) return;
+
+        const bbox = {
+            latLL: lat * CELL_DEG, lonLL: lon * CELL_DEG,
+            latUR: (lat + 1) * CELL_DEG, lonUR: (lon + 1) * CELL_DEG
+        };
+        this._drawRect(ctx, bbox, this.options.style(best));
+    },
+
+    _drawRect(ctx, bbox, style) {
+        const map = this._map;
+        const p1 = map.latLngToContainerPoint([bbox.latUR, bbox.lonLL]);
+        const p2 = map.latLngToContainerPoint([bbox.latLL, bbox.lonUR]);
+        const w = p2.x - p1.x;
+        const h = p2.y - p1.y;
+
+        ctx.globalAlpha = this.options.opacity;
+        ctx.fillStyle = style.fillColor || style.color;
+        ctx.fillRect(p1.x, p1.y, w, h);
+
+        // Outlines only when the rectangle is big enough to be readable
+        if (w > 4 && h > 4) {
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = style.color;
+            ctx.lineWidth = style.weight || 1;
+            ctx.strokeRect(p1.x + 0.5, p1.y + 0.5, w - 1, h - 1);
+        }
+    },
+
+    _onClick(e) {
+        const tiles = this.tilesAt(e.latlng);
+        if (!tiles.length) return;
+        // Show the best resolution tile when several overlap
+        const tile = tiles.reduce((a, b) => (b.sizeId > a.sizeId ? b : a));
+        L.popup()
+            .setLatLng(e.latlng)
+            .setContent(this.options.popupContent(tile))
+            .openOn(this._map);
+    }
+});
+
+/**
+ * Factory following the Leaflet naming convention
+ * @param {Object} [options] - See CoverageLayer.options
+ * @returns {CoverageLayer}
+ */
+export function coverageLayer(options) {
+    return new CoverageLayer(options);
+}
@@ -0,0 +1,187 @@
+// Save as: js/coverageStats.js
+/**
+ * Coverage Statistics Module
+ *
+ * Summarises what is on disk for the statistics panel:
+ * - tile count, area and disk usage per resolution level
+ * - age histogram of the tiles (coverage.json last_modified)
+ * - breakdown per 1°×1° cell, to find the regions worth refreshing or pruning
+ *
+ * Counts and areas use coverage.json (best version of each tile), disk usage
+ * uses the per-file sizes from /api/disk-usage, which also include the older
+ * versions kept in Orthophotos-saved.
+ *
+ * The charts are small inline SVG strings, no charting library is needed.
+ *
+ * Relationships:
+ * - bucketGrid.js: bbox of the tiles only known from the disk usage list
+ * - ui.js: renders the panel
+ * - main.js: feeds coverage data and disk usage, zooms to the clicked cell
+ * - i18n.js: age labels and number formatting
+ */
+
+import { tileBbox } from './bucketGrid.js';
+import { t, formatNumber } from './i18n.js';
+
+const EARTH_RADIUS_KM = 6371.0088;
+const DAY_MS = 24 * 3600 * 1000;
+
+export const LEVEL_COLORS = ['#0000FF', '#2A00D5', '#5500AA', '#800080', '#AA0055', '#D5002A', '#FF0000'];
+
+// Age classes of the histogram, by upper bound (labels are i18n keys)
+const AGE_BINS = [
+    { label: 'age.day', maxDays: 1 },
+    { label: 'age.week', maxDays: 7 },
+    { label: 'age.month', maxDays: 30 },
+    { label: 'age.sixMonths', maxDays: 182 },
+    { label: 'age.year', maxDays: 365 },
+    { label: 'age.twoYears', maxDays: 730 },
+    { label: 'age.older', maxDays: Infinity }
+];
+
+/**
+ * Area of a lat/lon box on the sphere
+ * @param {{latLL: number, lonLL: number, latUR: number, lonUR: number}} bbox
+ * @returns {number} km²
+ */
+export function bboxAreaKm2(bbox) {
+    const rad = Math.PI / 180;
+    return EARTH_RADIUS_KM * EARTH_RADIUS_KM * (bbox.lonUR - bbox.lonLL) * rad *
+        Math.abs(Math.sin(bbox.latUR * rad) - Math.sin(bbox.latLL * rad));
+}
+
+function cellOf(bbox) {
+    return {
+        lat: Math.floor((bbox.latLL + bbox.latUR) / 2),
+        lon: Math.floor((bbox.lonLL + bbox.lonUR) / 2)
+    };
+}
+
+/**
+ * Computes the statistics
+ * @param {Array} tiles - coverage.json entries ({id, sizeId, bbox, last_modified})
+ * @param {Array<{id: number, sizeId: number, bytes: number}>} files - Disk usage entries
+ * @param {Date} [now=new Date()] - Reference time of the age histogram
+ * @returns {{totals: Object, levels: Array<Object>, ages: Array<Object>, cells: Array<Object>}}
+ *          cells sorted by tile count, each {lat, lon, count, areaKm2, bytes, levels}
+ */
+export function computeCoverageStats(tiles, files, now = new Date()) {
+    const emptyLevel = sizeId => ({ sizeId, count: 0, areaKm2: 0, bytes: 0 });
+    const levels = LEVEL_COLORS.map((_, sizeId) => emptyLevel(sizeId));
+    const ages = AGE_BINS.map(b => ({ label: t(b.label), count: 0 }));
+    let undated = 0;
+    const cells = new Map();
+
+    const cellFor = bbox => {
+        const { lat, lon } = cellOf(bbox);
+        const key = `${lat},${lon}`;
+        if (!cells.has(key)) {
+            cells.set(key, { lat, lon, count: 0, areaKm2: 0, bytes: 0, levels: Array(LEVEL_COLORS.length).fill(0) });
+        }
+        return cells.get(key);
+    };
+
+    tiles.forEach(tile => {
+        const area = bboxAreaKm2(tile.bbox);
+        const level = levels[tile.sizeId];
+        if (level) {
+            level.count++;
+            level.areaKm2 += area;
+        }
+
+        const cell = cellFor(tile.bbox);
+        cell.count++;
+        cell.areaKm2 += area;
+        if (level) cell.levels[tile.sizeId]++;
+
+        const date = tile.last_modified ? new Date(tile.last_modified.replace(' ', 'T')) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+            undated++;
+            return;
+        }
+        const days = (now - date) / DAY_MS;
+        ages[AGE_BINS.findIndex(b => days < b.maxDays)].count++;
+    });
+
+    // Files of tiles without a coverage entry still count for the disk usage
+    const bboxById = new Map(tiles.map(tile => [tile.id, tile.bbox]));
+    let totalBytes = 0;
+    files.forEach(f => {
+        const bytes = f.bytes || 0;
+        totalBytes += bytes;
+        if (levels[f.sizeId]) levels[f.sizeId].bytes += bytes;
+        cellFor(bboxById.get(f.id) || tileBbox(f.id)).bytes += bytes;
+    });
+
+    if (undated) ages.push({ label: t('common.unknown'), count: undated });
+
+    return {
+        totals: {
+            count: tiles.length,
+            areaKm2: levels.reduce((sum, l) => sum + l.areaKm2, 0),
+            bytes: totalBytes,
+            files: files.length
+        },
+        levels,
+        ages,
+        cells: [...cells.values()].sort((a, b) => b.count - a.count || b.bytes - a.bytes)
+    };
+}
+
+/**
+ * Horizontal bar chart
+ * @param {Array<{label: string, value: number, color?: string, title?: string}>} bars
+ * @param {Object} [opts]
+ * @param {number} [opts.width=260] - Chart width in px
+ * @param {number} [opts.barHeight=14] - Height of each bar in px
+ * @returns {string} SVG markup
+ */
+export function barChartSvg(bars, { width = 260, barHeight = 14 } = {}) {
+    const labelWidth = 70;
+    const max = Math.max(1, ...bars.map(b => b.value));
+    const rowHeight = barHeight + 4;
+    const rows = bars.map((b, i) => {
+        const y = i * rowHeight;
+        const w = Math.max(b.value > 0 ? 1 : 0, (width - labelWidth - 40) * b.value / max);
+        return `<g><title>${b.title || `${b.label}: ${formatNumber(b.value)}`}</title>` +
+            `<text x="0" y="${y + barHeight - 3}" font-size="11">${b.label}</text>` +
+            `<rect x="${labelWidth}" y="${y}" width="${w.toFixed(1)}" height="${barHeight}" fill="${b.color || '#0088cc'}"></rect>` +
+            `<text x="${(labelWidth + w + 4).toFixed(1)}" y="${y + barHeight - 3}" font-size="11" fill="#555">${formatNumber(b.value)}</text></g>`;
+    }).join('');
+    return `<svg class="stats-chart" width="${width}" height="${bars.length * rowHeight}" xmlns="http://www.w3.org/2000/svg">${rows}</svg>`;
+}
+
+/**
+ * Stacked bar of the resolution levels of a cell
+ * @param {Array<number>} counts - Tile count per sizeId
+ * @param {number} [width=60] - Bar width in px
+ * @returns {string} SVG markup
+ */
+export function levelMixSvg(counts, width = 60) {
+    const total = counts.reduce((a, b) => a + b, 0) || 1;
+    let x = 0;
+    const parts = counts.map((n, sizeId) => {
+        if (!n) return '';
+        const w = width * n / total;
+        const rect = `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="10" fill="${LEVEL_COLORS[sizeId]}"><title>sizeId ${sizeId}: ${n}</title></rect>`;
+        x += w;
+        return rect;
+    }).join('');
+    return `<svg width="${width}" height="10" xmlns="http://www.w3.org/2000/svg">${parts}</svg>`;
+}
+
+/**
+ * Human-readable byte count
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let v = bytes;
+    let i = 0;
+    while (v >= 1024 && i < units.length - 1) {
+        v /= 1024;
+        i++;
+    }
+    return `${formatNumber(v, { maximumFractionDigits: i ? 1 : 0, minimumFractionDigits: i ? 1 : 0 })} ${units[i]}`;
+}
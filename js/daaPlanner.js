@@ -0,0 +1,155 @@
+// Save as: js/daaPlanner.js
+/**
+ * DAA Planner Module
+ *
+ * Decides where and when "Download around aircraft" (DAA) places its next
+ * circle, from the position pushed by the server (lat, lon, heading,
+ * altitude AGL in ft, speed in mph as computed by Connector.jl).
+ *
+ * - The circle is centred `leadMinutes` ahead along the heading at the
+ *   current groundspeed, and grows with the distance flown in that time
+ *   (up to `maxRadiusNm`) so it still reaches back to the aircraft.
+ * - The next circle is planned when the aircraft will leave the current one
+ *   in less than `replanMinutes`.
+ * - The resolution comes from the altitude band the aircraft is in.
+ *
+ * Settings are kept in localStorage so they survive a reload.
+ *
+ * Relationships:
+ * - geo.js: great-circle stepping and distances
+ * - main.js: startAutomaticFollowJob / checkAutoFollow
+ * - ui.js: settings panel (fillDaaSettingsForm / readDaaSettingsForm)
+ */
+
+import { destinationPoint, distanceNm, initialBearing } from './geo.js';
+
+const STORAGE_KEY = 'photoscenery.daaSettings';
+const MPH_PER_KT = 1.15078;
+
+// Below this groundspeed the aircraft is treated as parked/taxiing
+const MIN_MOVING_KT = 30;
+
+export const DEFAULT_DAA_SETTINGS = {
+    leadMinutes: 10,        // circle centre placed this far ahead
+    replanMinutes: 4,       // plan the next circle when leaving the current one sooner
+    radiusNm: 20,           // minimum circle radius
+    maxRadiusNm: 60,        // cap on the speed-scaled radius
+    minIntervalSec: 3,      // anti-flood throttle between two jobs
+    over: 1,                // overwrite mode sent with DAA jobs
+    skipCoveredPct: 95,     // skip a circle when this share of its tiles is on disk
+    // Resolution by altitude AGL: first band whose maxAltFt is above the aircraft
+    bands: [
+        { maxAltFt: 2000, size: 5 },
+        { maxAltFt: 10000, size: 4 },
+        { maxAltFt: 25000, size: 3 },
+        { maxAltFt: Infinity, size: 2 }
+    ]
+};
+
+/**
+ * Reads the settings saved in localStorage, filling missing fields with
+ * the defaults
+ * @returns {Object}
+ */
+export function loadDaaSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (!saved) return structuredClone(DEFAULT_DAA_SETTINGS);
+        const bands = Array.isArray(saved.bands) && saved.bands.length === DEFAULT_DAA_SETTINGS.bands.length
+            ? saved.bands.map(b => ({ maxAltFt: b.maxAltFt ?? Infinity, size: b.size }))
+            : structuredClone(DEFAULT_DAA_SETTINGS.bands);
+        return { ...DEFAULT_DAA_SETTINGS, ...saved, bands };
+    } catch (err) {
+        console.warn('DAA: invalid saved settings, using defaults.', err);
+        return structuredClone(DEFAULT_DAA_SETTINGS);
+    }
+}
+
+/**
+ * Saves the settings in localStorage (Infinity is stored as null)
+ * @param {Object} settings
+ */
+export function saveDaaSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Groundspeed in knots from the speed reported by /api/fgfs-status (mph)
+ * @param {Object} aircraft - Position payload
+ * @returns {number}
+ */
+export function groundspeedKt(aircraft) {
+    return Math.max(0, (aircraft.speed || 0) / MPH_PER_KT);
+}
+
+/**
+ * Resolution id for an altitude
+ * @param {number} altFt - Altitude AGL in feet
+ * @param {Array<{maxAltFt: number, size: number}>} bands - Ordered by altitude
+ * @returns {number}
+ */
+export function sizeForAltitude(altFt, bands) {
+    const band = bands.find(b => (altFt || 0) < b.maxAltFt) || bands[bands.length - 1];
+    return band.size;
+}
+
+/**
+ * Computes the next DAA circle
+ * @param {Object} aircraft - Position payload ({lat, lon, heading, altitude, speed})
+ * @param {Object} settings - See DEFAULT_DAA_SETTINGS
+ * @returns {{lat: number, lon: number, radius: number, size: number, leadNm: number}}
+ *          Radius and lead distance in NM
+ */
+export function planDaaCircle(aircraft, settings) {
+    const gs = groundspeedKt(aircraft);
+    const leadNm = gs < MIN_MOVING_KT ? 0 : gs * settings.leadMinutes / 60;
+
+    // Reaching back to the aircraft keeps consecutive circles overlapping
+    const radius = Math.min(settings.maxRadiusNm, Math.max(settings.radiusNm, leadNm));
+    const centre = leadNm > 0
+        ? destinationPoint(aircraft.lat, aircraft.lon, leadNm, aircraft.heading)
+        : { lat: aircraft.lat, lon: aircraft.lon };
+
+    return {
+        lat: centre.lat,
+        lon: centre.lon,
+        radius,
+        size: sizeForAltitude(aircraft.altitude, settings.bands),
+        leadNm
+    };
+}
+
+/**
+ * Distance flown along the current heading before leaving a circle
+ * (flat approximation, fine at DAA scales)
+ * @param {Object} aircraft - Position payload
+ * @param {{lat: number, lon: number}} centre - Circle centre
+ * @param {number} radiusNm - Circle radius
+ * @returns {number} NM, 0 when already outside and not flying into it
+ */
+export function distanceToExitNm(aircraft, centre, radiusNm) {
+    const d = distanceNm(aircraft.lat, aircraft.lon, centre.lat, centre.lon);
+    const rel = (initialBearing(aircraft.lat, aircraft.lon, centre.lat, centre.lon) - aircraft.heading) * Math.PI / 180;
+    const along = d * Math.cos(rel);                    // centre projected on the track
+    const disc = radiusNm * radiusNm - d * d + along * along;
+    if (disc < 0) return 0;
+    return Math.max(0, along + Math.sqrt(disc));
+}
+
+/**
+ * Tells whether the next circle should be planned
+ * @param {Object} aircraft - Position payload
+ * @param {{lat: number, lon: number, radius: number}|null} current - Last DAA circle (radius in NM)
+ * @param {Object} settings - See DEFAULT_DAA_SETTINGS
+ * @returns {boolean}
+ */
+export function shouldReplan(aircraft, current, settings) {
+    if (!current) return true;
+    const gs = groundspeedKt(aircraft);
+    if (gs < MIN_MOVING_KT) {
+        // Parked or taxiing: only when the aircraft has left the circle
+        return distanceNm(aircraft.lat, aircraft.lon, current.lat, current.lon) > current.radius;
+    }
+    const exitNm = distanceToExitNm(aircraft, current, current.radius);
+    return exitNm / gs * 60 < settings.replanMinutes;
+}
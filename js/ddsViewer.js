@@ -0,0 +1,310 @@
+// Save as: js/ddsViewer.js
+/**
+ * DDS Viewer Module
+ *
+ * Self-contained DDS (DXT1 / DXT3 / DXT5) decoder and tile viewer popup.
+ * It needs no CDN and no server-side conversion: the raw .dds file is
+ * fetched from /api/tile-dds and decoded in the browser, so it keeps working
+ * offline and while the Julia /preview route is busy assembling tiles.
+ *
+ * Orthophoto DDS files are written with a single mipmap level
+ * (png2ddsDXT1.jl) and can be 32768 px wide, so lower levels are also
+ * offered as "virtual" mipmaps: they are produced by sampling one texel per
+ * output pixel from the deepest stored level, never decoding the full image.
+ * The whole file still has to be downloaded, so tiles above MAX_DDS_BYTES
+ * (size 5 and 6) are shown from the server /preview image instead.
+ *
+ * Relationships:
+ * - api.js: getTileDdsUrl
+ * - main.js: opens the viewer from the coverage popup (tile + map passed in)
+ * - i18n.js: status and error texts
+ */
+
+import { t, formatNumber } from './i18n.js';
+
+const DDS_MAGIC = 0x20534444;           // "DDS "
+const FOURCC_DXT1 = 0x31545844;
+const FOURCC_DXT3 = 0x33545844;
+const FOURCC_DXT5 = 0x35545844;
+const DDS_HEADER_BYTES = 128;           // magic + 124-byte header
+
+// Largest level (width or height) the viewer offers, to keep decoding fast
+const MAX_DECODE_PX = 4096;
+// Largest file downloaded for decoding; matches MAX_VIEWER_DDS_BYTES in GuiMode.jl
+const MAX_DDS_BYTES = 80 * 1024 * 1024;
+
+// Worst-case file size of a tile: DXT3/DXT5 use one byte per pixel
+function estimatedBytes(tile) {
+    const width = 512 << tile.sizeId;
+    return DDS_HEADER_BYTES + width * width;
+}
+
+/**
+ * Parses the DDS header
+ * @param {ArrayBuffer} buffer - Whole DDS file
+ * @returns {{width: number, height: number, mipMapCount: number, format: string,
+ *            blockBytes: number, dataOffset: number}}
+ * @throws {Error} If the file is not a DXT1/DXT3/DXT5 DDS
+ */
+export function parseDdsHeader(buffer) {
+    if (buffer.byteLength < DDS_HEADER_BYTES) throw new Error(t('dds.tooSmall'));
+    const view = new DataView(buffer);
+    if (view.getUint32(0, true) !== DDS_MAGIC) throw new Error(t('dds.notDds'));
+
+    const height = view.getUint32(12, true);
+    const width = view.getUint32(16, true);
+    const mipMapCount = Math.max(1, view.getUint32(28, true));
+    const fourCC = view.getUint32(84, true);
+
+    const formats = {
+        [FOURCC_DXT1]: { format: 'DXT1', blockBytes: 8 },
+        [FOURCC_DXT3]: { format: 'DXT3', blockBytes: 16 },
+        [FOURCC_DXT5]: { format: 'DXT5', blockBytes: 16 }
+    };
+    const fmt = formats[fourCC];
+    if (!fmt) throw new Error(t('dds.unsupported'));
+
+    return { width, height, mipMapCount, ...fmt, dataOffset: DDS_HEADER_BYTES };
+}
+
+/**
+ * Lists the levels that can be displayed, from full size down to 1 px
+ * @param {Object} header - Result of parseDdsHeader
+ * @returns {Array<{level: number, width: number, height: number, stored: boolean}>}
+ */
+export function listLevels(header) {
+    const levels = [];
+    for (let level = 0; ; level++) {
+        const width = Math.max(1, header.width >> level);
+        const height = Math.max(1, header.height >> level);
+        levels.push({ level, width, height, stored: level < header.mipMapCount });
+        if (width === 1 && height === 1) break;
+    }
+    return levels;
+}
+
+/**
+ * Picks the largest level fitting in maxPx
+ * @param {Object} header - Result of parseDdsHeader
+ * @param {number} maxPx - Maximum width/height in pixels
+ * @returns {number} Level index
+ */
+export function levelForSize(header, maxPx) {
+    const levels = listLevels(header);
+    const fit = levels.find(l => Math.max(l.width, l.height) <= maxPx);
+    return fit ? fit.level : levels.length - 1;
+}
+
+// Byte offset and size of a stored mipmap level
+function storedLevel(header, level) {
+    let offset = header.dataOffset;
+    for (let i = 0; i < level; i++) {
+        const w = Math.max(1, header.width >> i);
+        const h = Math.max(1, header.height >> i);
+        offset += Math.ceil(w / 4) * Math.ceil(h / 4) * header.blockBytes;
+    }
+    return {
+        offset,
+        width: Math.max(1, header.width >> level),
+        height: Math.max(1, header.height >> level)
+    };
+}
+
+// Expands an RGB565 colour into out[o..o+2]
+function rgb565(c, out, o) {
+    out[o] = ((c >> 11) & 31) * 255 / 31;
+    out[o + 1] = ((c >> 5) & 63) * 255 / 63;
+    out[o + 2] = (c & 31) * 255 / 31;
+}
+
+// Fills the 4-colour RGBA palette of a colour block
+function colorPalette(bytes, o, palette, allowPunchThrough) {
+    const c0 = bytes[o] | (bytes[o + 1] << 8);
+    const c1 = bytes[o + 2] | (bytes[o + 3] << 8);
+    rgb565(c0, palette, 0);
+    rgb565(c1, palette, 4);
+    palette[3] = palette[7] = palette[11] = palette[15] = 255;
+
+    if (c0 > c1 || !allowPunchThrough) {
+        for (let k = 0; k < 3; k++) {
+            palette[8 + k] = (2 * palette[k] + palette[4 + k]) / 3;
+            palette[12 + k] = (palette[k] + 2 * palette[4 + k]) / 3;
+        }
+    } else {
+        for (let k = 0; k < 3; k++) {
+            palette[8 + k] = (palette[k] + palette[4 + k]) / 2;
+            palette[12 + k] = 0;
+        }
+        palette[15] = 0; // DXT1 1-bit alpha
+    }
+}
+
+// Fills the 8-entry alpha table of a DXT5 block
+function alphaTable(a0, a1, table) {
+    table[0] = a0;
+    table[1] = a1;
+    if (a0 > a1) {
+        for (let i = 1; i < 7; i++) table[i + 1] = ((7 - i) * a0 + i * a1) / 7;
+    } else {
+        for (let i = 1; i < 5; i++) table[i + 1] = ((5 - i) * a0 + i * a1) / 5;
+        table[6] = 0;
+        table[7] = 255;
+    }
+}
+
+/**
+ * Decodes one level to RGBA pixels
+ * @param {ArrayBuffer} buffer - Whole DDS file
+ * @param {Object} header - Result of parseDdsHeader
+ * @param {number} level - Level from listLevels (stored or virtual)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function decodeLevel(buffer, header, level) {
+    const storedIdx = Math.min(level, header.mipMapCount - 1);
+    const shift = level - storedIdx;
+    const step = 1 << shift;
+    const src = storedLevel(header, storedIdx);
+    const outW = Math.max(1, src.width >> shift);
+    const outH = Math.max(1, src.height >> shift);
+
+    const bytes = new Uint8Array(buffer);
+    const out = new Uint8ClampedArray(outW * outH * 4);
+    const blocksPerRow = Math.ceil(src.width / 4);
+    const { format, blockBytes } = header;
+    const colorOffset = format === 'DXT1' ? 0 : 8;
+
+    const palette = new Uint8ClampedArray(16);
+    const alphas = new Uint8ClampedArray(8);
+    let lastBlock = -1;
+    let colorBits = 0;
+    let alphaLo = 0;
+    let alphaHi = 0;
+
+    for (let y = 0; y < outH; y++) {
+        const sy = Math.min(y * step, src.height - 1);
+        for (let x = 0; x < outW; x++) {
+            const sx = Math.min(x * step, src.width - 1);
+            const block = (sy >> 2) * blocksPerRow + (sx >> 2);
+            const bo = src.offset + block * blockBytes;
+
+            // Neighbouring output pixels often share a block
+            if (block !== lastBlock) {
+                lastBlock = block;
+                colorPalette(bytes, bo + colorOffset, palette, format === 'DXT1');
+                colorBits = (bytes[bo + colorOffset + 4] | (bytes[bo + colorOffset + 5] << 8) |
+                    (bytes[bo + colorOffset + 6] << 16) | (bytes[bo + colorOffset + 7] << 24)) >>> 0;
+                if (format === 'DXT5') {
+                    alphaTable(bytes[bo], bytes[bo + 1], alphas);
+                    alphaLo = bytes[bo + 2] | (bytes[bo + 3] << 8) | (bytes[bo + 4] << 16);
+                    alphaHi = bytes[bo + 5] | (bytes[bo + 6] << 8) | (bytes[bo + 7] << 16);
+                }
+            }
+
+            const p = ((sy & 3) << 2) | (sx & 3);
+            const ci = ((colorBits >>> (2 * p)) & 3) * 4;
+            const o = (y * outW + x) * 4;
+            out[o] = palette[ci];
+            out[o + 1] = palette[ci + 1];
+            out[o + 2] = palette[ci + 2];
+
+            if (format === 'DXT5') {
+                const bits = p < 8 ? alphaLo >> (3 * p) : alphaHi >> (3 * (p - 8));
+                out[o + 3] = alphas[bits & 7];
+            } else if (format === 'DXT3') {
+                const a = (bytes[bo + (p >> 1)] >> ((p & 1) * 4)) & 15;
+                out[o + 3] = a * 17;
+            } else {
+                out[o + 3] = palette[ci + 3];
+            }
+        }
+    }
+    return { width: outW, height: outH, data: out };
+}
+
+/**
+ * Opens a popup at the top of the tile bbox showing the decoded DDS,
+ * with a selector for the mipmap level.
+ * @param {L.Map} map - Map the popup is opened on
+ * @param {Object} tile - coverage.json entry ({id, sizeId, bbox})
+ * @param {Object} options
+ * @param {string} options.ddsUrl - URL of the raw DDS file
+ * @param {string} options.previewUrl - Server-rendered image, used for files too large to decode
+ * @param {number} [options.maxPx=512] - Initial level: largest one fitting maxPx
+ * @returns {Promise<L.Popup>}
+ */
+export async function openTileViewer(map, tile, { ddsUrl, previewUrl, maxPx = 512 }) {
+    const b = tile.bbox;
+    const container = L.DomUtil.create('div', 'dds-viewer');
+    const status = L.DomUtil.create('div', 'dds-viewer-status', container);
+    status.textContent = t('dds.loading', { id: String(tile.id) });
+
+    const popup = L.popup({ maxWidth: maxPx + 40, minWidth: 200 })
+        .setLatLng([b.latUR, (b.lonLL + b.lonUR) / 2])
+        .setContent(container)
+        .openOn(map);
+
+    // Too large to download whole: the server decodes it for /preview
+    const showPreview = () => {
+        const img = L.DomUtil.create('img', '', container);
+        img.style.maxWidth = `${maxPx}px`;
+        img.style.width = '100%';
+        img.style.display = 'block';
+        img.onload = () => {
+            status.textContent = `${t('tile.label', { id: String(tile.id) })} · ${t('dds.previewFallback')}`;
+            popup.update();
+        };
+        img.onerror = () => {
+            status.textContent = t('dds.failed', { id: String(tile.id), error: t('dds.previewFailed') });
+            popup.update();
+        };
+        img.src = previewUrl;
+    };
+
+    try {
+        if (estimatedBytes(tile) > MAX_DDS_BYTES) {
+            showPreview();
+            return popup;
+        }
+        const res = await fetch(ddsUrl);
+        if (res.status === 413) {
+            showPreview();
+            return popup;
+        }
+        if (!res.ok) throw new Error(t('dds.serverError', { status: `${res.status} ${res.statusText}` }));
+        const buffer = await res.arrayBuffer();
+        const header = parseDdsHeader(buffer);
+
+        const select = L.DomUtil.create('select', 'dds-viewer-level', container);
+        listLevels(header)
+            .filter(l => Math.max(l.width, l.height) <= MAX_DECODE_PX)
+            .forEach(l => {
+                const label = t(l.stored ? 'dds.level' : 'dds.levelSampled', { level: String(l.level), size: `${l.width}×${l.height}` });
+                select.add(new Option(label, l.level));
+            });
+        const canvas = L.DomUtil.create('canvas', '', container);
+        canvas.style.maxWidth = `${maxPx}px`;
+        canvas.style.width = '100%';
+        canvas.style.display = 'block';
+
+        const render = () => {
+            const level = parseInt(select.value, 10);
+            const t0 = performance.now();
+            const img = decodeLevel(buffer, header, level);
+            canvas.width = img.width;
+            canvas.height = img.height;
+            canvas.getContext('2d').putImageData(new ImageData(img.data, img.width, img.height), 0, 0);
+            status.textContent = `${t('tile.label', { id: String(tile.id) })} · ${header.format} ${header.width}×${header.height} · ` +
+                t('dds.decoded', { ms: formatNumber(Math.round(performance.now() - t0)) });
+            popup.update();
+        };
+
+        select.value = levelForSize(header, Math.min(maxPx, MAX_DECODE_PX));
+        L.DomEvent.on(select, 'change', render);
+        L.DomEvent.disableClickPropagation(container);
+        render();
+    } catch (err) {
+        status.textContent = t('dds.failed', { id: String(tile.id), error: err.message });
+        popup.update();
+    }
+    return popup;
+}
@@ -0,0 +1,173 @@
+// Save as: js/flightTrack.js
+/**
+ * Flight Track Module
+ *
+ * Records the aircraft positions pushed by the server ("position" events,
+ * same payload as /api/fgfs-status) and exports them as GPX 1.1.
+ *
+ * - A sample is stored when the aircraft has moved, climbed/descended or
+ *   some time has passed since the previous one, so a long flight stays
+ *   small enough for localStorage and survives a page reload.
+ * - The export is a GPX route (<rte>/<rtept>) like the SkyVector files the
+ *   route importers already read (routeImport.js, Route.jl), so a recorded
+ *   flight can be loaded back as a corridor. Points closer than
+ *   EXPORT_SPACING_NM are merged to keep the route usable for downloads.
+ * - Altitudes are AGL, as reported by Connector.jl, so they are written to
+ *   <desc> instead of <ele> (which GPX defines as MSL).
+ *
+ * Relationships:
+ * - geo.js: distances between samples
+ * - html.js: escaping of the GPX text
+ * - main.js: feeds position events, export/clear buttons
+ * - ui.js: breadcrumb trail coloured with altitudeColor
+ */
+
+import { distanceNm } from './geo.js';
+import { escapeHtml } from './html.js';
+
+const STORAGE_KEY = 'photoscenery.flightTrack';
+const MPH_PER_KT = 1.15078;
+
+// Sampling thresholds
+const MIN_MOVE_NM = 0.05;
+const MIN_ALT_CHANGE_FT = 100;
+const MAX_SAMPLE_INTERVAL_MS = 30000;
+const MAX_SAMPLES = 50000;
+
+const EXPORT_SPACING_NM = 0.25;
+
+// Altitude scale of the breadcrumb trail (AGL ft → colour)
+const ALTITUDE_COLORS = [
+    { maxFt: 500, color: '#2e7d32' },
+    { maxFt: 2000, color: '#9ccc65' },
+    { maxFt: 5000, color: '#fdd835' },
+    { maxFt: 10000, color: '#fb8c00' },
+    { maxFt: 20000, color: '#e53935' },
+    { maxFt: Infinity, color: '#8e24aa' }
+];
+
+let track = load();
+let lastSaveTs = 0;
+
+function emptyTrack() {
+    return { startedAt: null, samples: [] };
+}
+
+function load() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        return saved && Array.isArray(saved.samples) ? saved : emptyTrack();
+    } catch (err) {
+        console.warn('Flight track: saved track unreadable, starting a new one.', err);
+        return emptyTrack();
+    }
+}
+
+function save() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(track));
+        lastSaveTs = Date.now();
+    } catch (err) {
+        console.warn('Flight track: cannot save the track (storage full?).', err);
+    }
+}
+
+/**
+ * Returns the recorded track
+ * @returns {{startedAt: string|null, samples: Array<{t: number, lat: number, lon: number, alt: number, kt: number, hdg: number}>}}
+ *          t in ms since epoch, alt in ft AGL, kt groundspeed in knots
+ */
+export function getTrack() {
+    return track;
+}
+
+/**
+ * Stores a position if it differs enough from the previous sample
+ * @param {Object} data - Position payload ({active, lat, lon, heading, altitude, speed})
+ * @returns {Object|null} The stored sample, or null when skipped
+ */
+export function addTrackSample(data) {
+    if (!data.active || track.samples.length >= MAX_SAMPLES) return null;
+
+    const now = Date.now();
+    const prev = track.samples[track.samples.length - 1];
+    if (prev) {
+        const moved = distanceNm(prev.lat, prev.lon, data.lat, data.lon) >= MIN_MOVE_NM;
+        const climbed = Math.abs(data.altitude - prev.alt) >= MIN_ALT_CHANGE_FT;
+        const stale = now - prev.t >= MAX_SAMPLE_INTERVAL_MS;
+        if (!moved && !climbed && !stale) return null;
+    }
+
+    const sample = {
+        t: now,
+        lat: data.lat,
+        lon: data.lon,
+        alt: Math.round(data.altitude),
+        kt: Math.round((data.speed || 0) / MPH_PER_KT),
+        hdg: Math.round(data.heading)
+    };
+    if (!track.startedAt) track.startedAt = new Date(now).toISOString();
+    track.samples.push(sample);
+
+    // Saving is cheap but not free: at most every few seconds
+    if (now - lastSaveTs > 5000) save();
+    return sample;
+}
+
+/**
+ * Forces a save of the track (e.g. when recording stops)
+ */
+export function flushTrack() {
+    save();
+}
+
+/**
+ * Deletes the recorded track
+ */
+export function clearTrack() {
+    track = emptyTrack();
+    save();
+}
+
+/**
+ * Colour of the trail for an altitude
+ * @param {number} altFt - Altitude AGL in feet
+ * @returns {string} CSS colour
+ */
+export function altitudeColor(altFt) {
+    return ALTITUDE_COLORS.find(c => altFt < c.maxFt).color;
+}
+
+/**
+ * Builds a GPX 1.1 route from a track
+ * @param {Object} [t=getTrack()] - Track to export
+ * @returns {string} GPX document
+ */
+export function trackToGpx(t = track) {
+    const name = `Flight ${(t.startedAt || new Date().toISOString()).slice(0, 16).replace('T', ' ')}`;
+
+    // Thin the samples; the last one is always kept
+    const points = [];
+    t.samples.forEach((s, i) => {
+        const last = points[points.length - 1];
+        const isLast = i === t.samples.length - 1;
+        if (!last || isLast || distanceNm(last.lat, last.lon, s.lat, s.lon) >= EXPORT_SPACING_NM) {
+            points.push(s);
+        }
+    });
+
+    const rtepts = points.map((s, i) => `    <rtept lat="${s.lat.toFixed(6)}" lon="${s.lon.toFixed(6)}">
+      <time>${new Date(s.t).toISOString()}</time>
+      <name>TRK${String(i + 1).padStart(4, '0')}</name>
+      <desc>AGL ${s.alt} ft, GS ${s.kt} kt, HDG ${s.hdg}</desc>
+    </rtept>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" creator="Photoscenery-GUI" version="1.1" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <rte>
+    <name>${escapeHtml(name)}</name>
+${rtepts}
+  </rte>
+</gpx>
+`;
+}
@@ -0,0 +1,69 @@
+// Save as: js/geo.js
+/**
+ * Geodesy Helpers Module
+ *
+ * Small spherical-earth helpers shared by the GUI modules that need to move
+ * along the ground (DAA look-ahead, route corridors, ...). Distances are in
+ * nautical miles and angles in degrees, matching the units used by the
+ * Julia backend (see Geodesics.jl / Commons.jl).
+ *
+ * Used by: main.js, routeImport.js, bucketGrid.js, daaPlanner.js, flightTrack.js,
+ *          simAircraft.js
+ */
+
+export const NM_TO_M = 1852;
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in nautical miles
+ */
+export function distanceNm(lat1, lon1, lat2, lon2) {
+    const φ1 = toRad(lat1);
+    const φ2 = toRad(lat2);
+    const Δφ = toRad(lat2 - lat1);
+    const Δλ = toRad(lon2 - lon1);
+    const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a))) / 1.852;
+}
+
+/**
+ * Initial true bearing from the first point towards the second one
+ * @returns {number} Bearing in degrees (0..360)
+ */
+export function initialBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = toRad(lat1);
+    const φ2 = toRad(lat2);
+    const Δλ = toRad(lon2 - lon1);
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point reached travelling dNm along a great circle with the given bearing
+ * @param {number} lat - Start latitude
+ * @param {number} lon - Start longitude
+ * @param {number} dNm - Distance in nautical miles
+ * @param {number} bearingDeg - True bearing in degrees
+ * @returns {{lat: number, lon: number}}
+ */
+export function destinationPoint(lat, lon, dNm, bearingDeg) {
+    const δ = (dNm * 1.852) / EARTH_RADIUS_KM;
+    const θ = toRad(bearingDeg);
+    const φ1 = toRad(lat);
+    const λ1 = toRad(lon);
+
+    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) +
+    Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+                               Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+    return { lat: toDeg(φ2), lon: toDeg(λ2) };
+}
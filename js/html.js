@@ -0,0 +1,21 @@
+// Save as: js/html.js
+/**
+ * HTML Helpers Module
+ *
+ * Escaping of text that ends up in markup built as strings (popups,
+ * tooltips, legends, dropdowns, exported GPX). Airport, server and waypoint
+ * names come from files and forms the GUI does not control.
+ *
+ * Used by: ui.js, offlineBaseMap.js, airportSearch.js, flightTrack.js
+ */
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for HTML/XML content and attribute values
+ * @param {*} text - Converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ENTITIES[c]);
+}
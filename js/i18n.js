@@ -0,0 +1,153 @@
+// Save as: js/i18n.js
+/**
+ * Internationalisation Module
+ *
+ * Translations of the user-visible strings, kept in one JSON file per locale
+ * (locales/<id>.json, flat "area.name" keys). English is the reference and
+ * the fallback of any missing key, so a new locale can be added one string
+ * at a time: copy locales/en.json, translate it and list it in LOCALES.
+ *
+ * - t(): translated string, with {name} placeholders filled from params and
+ *   the .one/.other form picked from params.count (Intl.PluralRules)
+ * - translatePage(): static markup, through data-i18n (text content),
+ *   data-i18n-title and data-i18n-placeholder attributes
+ * - formatNumber() / formatDate(): Intl formatting in the current locale
+ * - setLocale(): runtime switch; listeners re-render what JS generated
+ *
+ * The dictionaries are fetched as soon as the module loads; t() is
+ * synchronous, so main.js builds the UI once localeReady has resolved.
+ *
+ * Relationships:
+ * - locales/*.json: the dictionaries
+ * - ui.js, main.js and the other UI modules: every user-visible string
+ */
+
+export const LOCALES = [
+    { id: 'en', label: 'English' },
+    { id: 'it', label: 'Italiano' }
+];
+
+const FALLBACK = 'en';
+const STORAGE_KEY = 'photoscenery.locale';
+
+const dictionaries = {};
+const listeners = [];
+let current = FALLBACK;
+
+function loadDictionary(id) {
+    if (dictionaries[id]) return Promise.resolve(dictionaries[id]);
+    return fetch(`locales/${id}.json`)
+    .then(res => {
+        if (!res.ok) throw new Error(`Locale ${id}: ${res.statusText}`);
+        return res.json();
+    })
+    .then(dict => {
+        dictionaries[id] = dict;
+        return dict;
+    });
+}
+
+// Saved choice, else the browser language when supported
+function initialLocale() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LOCALES.some(l => l.id === saved)) return saved;
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return LOCALES.some(l => l.id === browser) ? browser : FALLBACK;
+}
+
+function lookup(key) {
+    const dict = dictionaries[current] || {};
+    if (key in dict) return dict[key];
+    const fallback = dictionaries[FALLBACK] || {};
+    return key in fallback ? fallback[key] : null;
+}
+
+/**
+ * Translates a key
+ * @param {string} key - Dictionary key
+ * @param {Object} [params] - Values of the {name} placeholders; `count` also
+ *                            selects the "<key>.one" / "<key>.other" form
+ * @returns {string} The translation, or the key itself when unknown
+ */
+export function t(key, params = {}) {
+    let text = null;
+    if (typeof params.count === 'number') {
+        const form = new Intl.PluralRules(current).select(params.count);
+        text = lookup(`${key}.${form}`) ?? lookup(`${key}.other`);
+    }
+    text = text ?? lookup(key);
+    if (text === null) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * @returns {string} Id of the locale in use
+ */
+export function getLocale() {
+    return current;
+}
+
+/**
+ * Formats a number in the current locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options] - e.g. {maximumFractionDigits: 1}
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(current, options).format(value);
+}
+
+/**
+ * Formats a date in the current locale
+ * @param {Date|string|number} date - Date, or anything new Date() accepts
+ *                                    ("YYYY-MM-DD hh:mm:ss" is read as local time)
+ * @param {Intl.DateTimeFormatOptions} [options] - Default: short date and time
+ * @returns {string} Formatted date, '' when invalid
+ */
+export function formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    const d = typeof date === 'string' ? new Date(date.replace(' ', 'T')) : new Date(date);
+    return Number.isNaN(d.getTime()) ? '' : new Intl.DateTimeFormat(current, options).format(d);
+}
+
+/**
+ * Translates the static markup of a subtree
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    if (root === document) document.documentElement.lang = current;
+}
+
+/**
+ * Registers a function called after every locale switch
+ * @param {Function} fn - Receives the new locale id
+ */
+export function onLocaleChange(fn) {
+    listeners.push(fn);
+}
+
+/**
+ * Switches the locale, translates the page and notifies the listeners
+ * @param {string} id - LOCALES id
+ * @returns {Promise<void>}
+ */
+export function setLocale(id) {
+    const locale = LOCALES.some(l => l.id === id) ? id : FALLBACK;
+    return Promise.all([loadDictionary(FALLBACK), loadDictionary(locale)])
+    .then(() => {
+        current = locale;
+        localStorage.setItem(STORAGE_KEY, locale);
+        translatePage();
+        listeners.forEach(fn => fn(locale));
+    })
+    .catch(err => console.error('i18n:', err.message));
+}
+
+// Resolves once the initial locale (saved, browser or English) is loaded
+export const localeReady = setLocale(initialLocale());
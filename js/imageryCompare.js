@@ -0,0 +1,160 @@
+// Save as: js/imageryCompare.js
+/**
+ * Imagery Compare Module
+ *
+ * Shows the imagery of a map server (params.xml) before anything is
+ * downloaded, to judge whether PNOA, Geoportal or ArcGIS is sharper for an
+ * area:
+ * - imageryLayer(): XYZ layer fed by the backend proxy /api/imagery, so the
+ *   browser needs no server URL, key or CORS setup. Failed tiles are drawn
+ *   transparent and reported through `onStatus`, never as broken images.
+ * - ImagerySwipe: vertical divider that clips a pane to the left of it and
+ *   optionally another pane to the right, to compare the server imagery
+ *   with the OSM base or with the local tiles.
+ *
+ * Relationships:
+ * - GuiMode.jl: /api/imagery (h_imagery)
+ * - ui.js: creates the layers in their panes, drives the compare modes
+ * - i18n.js: attribution and handle tooltip
+ */
+
+import { t } from './i18n.js';
+
+// 1×1 transparent PNG, shown instead of a failed tile
+const TRANSPARENT_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+export const IMAGERY_MIN_ZOOM = 6;
+
+/**
+ * Creates the layer showing the imagery of a map server
+ * @param {number} serverId - Map server id
+ * @param {Object} options
+ * @param {string} options.pane - Map pane of the layer
+ * @param {Function} [options.onStatus] - Receives 'ok', 'unavailable' or 'zoom' (below IMAGERY_MIN_ZOOM)
+ * @returns {L.TileLayer} Call setServer(id) on it to switch server
+ */
+export function imageryLayer(serverId, { pane, onStatus = () => {} }) {
+    const layer = L.tileLayer('/api/imagery?server={server}&z={z}&x={x}&y={y}', {
+        pane,
+        server: serverId,
+        minZoom: IMAGERY_MIN_ZOOM,
+        maxZoom: 19,
+        maxNativeZoom: 18,
+        errorTileUrl: TRANSPARENT_PNG,
+        attribution: t('imagery.attribution')
+    });
+
+    // Status of the current view: unavailable when nothing loaded and tiles failed
+    let loaded = 0;
+    let failed = 0;
+    const report = () => {
+        const map = layer._map;
+        if (!map) return;
+        if (map.getZoom() < IMAGERY_MIN_ZOOM) onStatus('zoom');
+        else if (failed && !loaded) onStatus('unavailable');
+        else onStatus('ok');
+    };
+    layer.on('loading', () => { loaded = 0; failed = 0; });
+    layer.on('tileload', () => { loaded++; });
+    layer.on('tileerror', () => { failed++; });
+    layer.on('load', report);
+    layer.on('add', () => layer._map.on('zoomend', report));
+    layer.on('remove', () => layer._map && layer._map.off('zoomend', report));
+
+    layer.setServer = id => {
+        layer.options.server = id;
+        layer.redraw();
+        return layer;
+    };
+    return layer;
+}
+
+export const ImagerySwipe = L.Layer.extend({
+    options: {
+        position: 0.5           // divider position, fraction of the map width
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._leftPane = null;
+        this._rightPane = null;
+    },
+
+    onAdd(map) {
+        this._divider = L.DomUtil.create('div', 'swipe-divider', map.getContainer());
+        this._handle = L.DomUtil.create('div', 'swipe-handle', this._divider);
+        this._handle.title = t('imagery.dragToCompare');
+        L.DomEvent.disableClickPropagation(this._divider);
+        L.DomEvent.on(this._handle, 'mousedown touchstart', this._startDrag, this);
+
+        map.on('move zoom resize', this._update, this);
+        this._update();
+    },
+
+    onRemove(map) {
+        map.off('move zoom resize', this._update, this);
+        this._setClip(this._leftPane, '');
+        this._setClip(this._rightPane, '');
+        L.DomUtil.remove(this._divider);
+    },
+
+    /**
+     * Sets the panes shown left and right of the divider
+     * @param {string} left - Pane clipped to the left side
+     * @param {string|null} right - Pane clipped to the right side (null: whatever is below)
+     */
+    setPanes(left, right) {
+        this._setClip(this._leftPane, '');
+        this._setClip(this._rightPane, '');
+        this._leftPane = left;
+        this._rightPane = right;
+        if (this._map) this._update();
+        return this;
+    },
+
+    _setClip(pane, clip) {
+        if (pane && this._map) this._map.getPane(pane).style.clip = clip;
+    },
+
+    _startDrag(e) {
+        L.DomEvent.preventDefault(e);
+        const map = this._map;
+        map.dragging.disable();
+        const move = ev => {
+            const point = ev.touches ? ev.touches[0] : ev;
+            const rect = map.getContainer().getBoundingClientRect();
+            this.options.position = Math.min(1, Math.max(0, (point.clientX - rect.left) / rect.width));
+            this._update();
+        };
+        const end = () => {
+            map.dragging.enable();
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('touchmove', move);
+            document.removeEventListener('mouseup', end);
+            document.removeEventListener('touchend', end);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('touchmove', move);
+        document.addEventListener('mouseup', end);
+        document.addEventListener('touchend', end);
+    },
+
+    // Panes move with the map: the clip is expressed in layer points
+    _update() {
+        const map = this._map;
+        if (!map) return;
+        const size = map.getSize();
+        const x = Math.round(size.x * this.options.position);
+        this._divider.style.left = `${x}px`;
+
+        const nw = map.containerPointToLayerPoint([0, 0]);
+        const se = map.containerPointToLayerPoint(size);
+        const split = nw.x + x;
+        this._setClip(this._leftPane, `rect(${nw.y}px, ${split}px, ${se.y}px, ${nw.x}px)`);
+        this._setClip(this._rightPane, `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${split}px)`);
+    }
+});
+
+export function imagerySwipe(options) {
+    return new ImagerySwipe(options);
+}
@@ -0,0 +1,230 @@
+// Save as: js/localOrthoLayer.js
+/**
+ * Local Ortho Layer Module
+ *
+ * Draws the downloaded tiles themselves (their /preview image) into their
+ * bbox, so the photoscenery can be browsed like a map to spot seams, colour
+ * mismatches and cloudy tiles.
+ *
+ * - Zoom-aware: each tile is requested at the power-of-two width closest
+ *   above its size on screen (× devicePixelRatio), never above its native
+ *   width nor maxWidth, so the server, which decodes every preview from the
+ *   DDS, is never asked for huge images.
+ * - Lazy: only the tiles returned by the `tiles` callback for the view are
+ *   loaded (the coverage layer passes its filtered tiles), nearest to the
+ *   centre first, with a few requests at a time.
+ * - Cancelled: requests of tiles that leave the view, or whose wanted width
+ *   changed, are aborted.
+ * - Cached: loaded images are kept as object URLs (LRU). A larger cached
+ *   image is reused as is, a smaller one is shown while the sharper one
+ *   loads. The URL carries last_modified, so a re-downloaded tile is fetched
+ *   again and the browser may cache the response.
+ *
+ * Relationships:
+ * - api.js: preview URLs
+ * - ui.js: creates the layer with the coverage tiles as source
+ */
+
+import { getTilePreview } from './api.js';
+
+const MIN_WIDTH = 64;
+
+function nextPowerOfTwo(value) {
+    return 2 ** Math.ceil(Math.log2(Math.max(1, value)));
+}
+
+export const LocalOrthoLayer = L.Layer.extend({
+    options: {
+        pane: 'overlayPane',
+        minZoom: 8,
+        maxTiles: 150,          // tiles drawn at once
+        maxRequests: 3,         // concurrent /preview requests
+        maxWidth: 2048,         // largest preview requested, whatever the zoom
+        cacheSize: 400,         // images kept in memory
+        tiles: () => []         // bounds => coverage.json entries in view
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._overlays = new Map();     // tile id → {overlay, key}
+        this._cache = new Map();        // key → object URL, oldest first
+        this._pending = new Map();      // key → {tile, width, controller}
+        this._queue = [];               // keys waiting for a request slot
+        this._active = 0;
+    },
+
+    onAdd(map) {
+        map.on('moveend', this._update, this);
+        this._update();
+    },
+
+    onRemove(map) {
+        map.off('moveend', this._update, this);
+        this._abortAll();
+        this._overlays.forEach(({ overlay }) => map.removeLayer(overlay));
+        this._overlays.clear();
+    },
+
+    /**
+     * Reloads the view (e.g. after the coverage or its filters changed)
+     */
+    refresh() {
+        if (this._map) this._update();
+        return this;
+    },
+
+    _key(tile, width) {
+        return `${tile.id}:${width}:${tile.last_modified || ''}`;
+    },
+
+    // Width matching the size of the tile on screen
+    _wantedWidth(tile) {
+        const map = this._map;
+        const b = tile.bbox;
+        const west = map.latLngToContainerPoint([b.latLL, b.lonLL]);
+        const east = map.latLngToContainerPoint([b.latLL, b.lonUR]);
+        const screen = (east.x - west.x) * (window.devicePixelRatio || 1);
+        const limit = Math.min(512 << tile.sizeId, this.options.maxWidth);
+        return Math.min(limit, Math.max(MIN_WIDTH, nextPowerOfTwo(screen)));
+    },
+
+    // Best cached image of a tile: at least `width` if any, else the largest smaller one
+    _cachedFor(tile, width) {
+        const limit = Math.min(512 << tile.sizeId, this.options.maxWidth);
+        for (let w = width; w <= limit; w *= 2) {
+            const key = this._key(tile, w);
+            if (this._cache.has(key)) return { key, sharp: true };
+        }
+        for (let w = width / 2; w >= MIN_WIDTH; w /= 2) {
+            const key = this._key(tile, w);
+            if (this._cache.has(key)) return { key, sharp: false };
+        }
+        return null;
+    },
+
+    _update() {
+        const map = this._map;
+        const centre = map.getCenter();
+        const tiles = map.getZoom() >= this.options.minZoom
+            ? this.options.tiles(map.getBounds())
+                .map(tile => ({
+                    tile,
+                    dist: Math.hypot((tile.bbox.latLL + tile.bbox.latUR) / 2 - centre.lat,
+                        (tile.bbox.lonLL + tile.bbox.lonUR) / 2 - centre.lng)
+                }))
+                .sort((a, b) => a.dist - b.dist)
+                .slice(0, this.options.maxTiles)
+                .map(item => item.tile)
+            : [];
+
+        const wantedIds = new Set();
+        const wantedKeys = new Set();
+        this._queue = [];
+        tiles.forEach(tile => {
+            wantedIds.add(tile.id);
+            const width = this._wantedWidth(tile);
+            const cached = this._cachedFor(tile, width);
+            if (cached) this._show(tile, cached.key);
+            if (cached && cached.sharp) return;
+
+            const key = this._key(tile, width);
+            wantedKeys.add(key);
+            if (!this._pending.has(key)) {
+                this._pending.set(key, { tile, width, controller: null });
+            }
+            if (!this._pending.get(key).controller) this._queue.push(key);
+        });
+
+        // Cancel what is no longer needed
+        for (const [key, request] of this._pending) {
+            if (wantedKeys.has(key)) continue;
+            if (request.controller) request.controller.abort();
+            this._pending.delete(key);
+        }
+        for (const [id, { overlay }] of this._overlays) {
+            if (!wantedIds.has(id)) {
+                map.removeLayer(overlay);
+                this._overlays.delete(id);
+            }
+        }
+        this._pump();
+    },
+
+    _pump() {
+        while (this._active < this.options.maxRequests && this._queue.length) {
+            const key = this._queue.shift();
+            const request = this._pending.get(key);
+            if (request && !request.controller) this._load(key, request);
+        }
+    },
+
+    _load(key, request) {
+        request.controller = new AbortController();
+        this._active++;
+        const url = `${getTilePreview(request.tile.id, request.width)}&v=${encodeURIComponent(request.tile.last_modified || '')}`;
+
+        fetch(url, { signal: request.controller.signal })
+        .then(res => {
+            if (!res.ok) throw new Error(`Preview ${request.tile.id}: ${res.statusText}`);
+            return res.blob();
+        })
+        .then(blob => {
+            this._cachePut(key, URL.createObjectURL(blob));
+            if (this._pending.get(key) === request) {
+                this._pending.delete(key);
+                if (this._map) this._show(request.tile, key);
+            }
+        })
+        .catch(err => {
+            if (err.name !== 'AbortError') console.warn('Local ortho layer:', err.message);
+            if (this._pending.get(key) === request) this._pending.delete(key);
+        })
+        .finally(() => {
+            this._active--;
+            this._pump();
+        });
+    },
+
+    _show(tile, key) {
+        const url = this._cache.get(key);
+        // Touch the entry: most recently used last
+        this._cache.delete(key);
+        this._cache.set(key, url);
+
+        const current = this._overlays.get(tile.id);
+        if (current) {
+            if (current.key !== key) {
+                current.overlay.setUrl(url);
+                current.key = key;
+            }
+            return;
+        }
+        const b = tile.bbox;
+        const overlay = L.imageOverlay(url, [[b.latLL, b.lonLL], [b.latUR, b.lonUR]],
+            { pane: this.options.pane, interactive: false }).addTo(this._map);
+        this._overlays.set(tile.id, { overlay, key });
+    },
+
+    _cachePut(key, url) {
+        this._cache.set(key, url);
+        if (this._cache.size <= this.options.cacheSize) return;
+
+        const shown = new Set([...this._overlays.values()].map(o => o.key));
+        for (const [oldKey, oldUrl] of this._cache) {
+            if (this._cache.size <= this.options.cacheSize) break;
+            if (shown.has(oldKey)) continue;
+            URL.revokeObjectURL(oldUrl);
+            this._cache.delete(oldKey);
+        }
+    },
+
+    _abortAll() {
+        this._pending.forEach(request => request.controller && request.controller.abort());
+        this._pending.clear();
+        this._queue = [];
+    }
+});
+
+export function localOrthoLayer(options) {
+    return new LocalOrthoLayer(options);
+}
@@ -3,6 +3,9 @@ import * as api from './api.js';
 import {
     elements,
     initializeMap,
+    setBaseMap,
+    toggleAirports,
+    showLocationStatus,
     updateMapCoverage,
     updateAircraftPosition,
     populateSdwnDropdown,
@@ -16,25 +19,77 @@ import {
     setupInteractiveSelection,
     updateHandleStyles,
     linkRadiusHandleToInput,
+    formatDownloadEstimate,
     updateFgfsIndicator,
+    drawRoute,
+    drawCorridorPreview,
+    clearRoute,
+    renderJobList,
+    previewShape,
+    enableShapeDrawing,
+    disableShapeDrawing,
+    toggleBucketGrid,
+    highlightTile,
+    fillDaaSettingsForm,
+    readDaaSettingsForm,
+    addTrackPoint,
+    drawTrack,
+    clearTrackTrail,
+    updateTrackControls,
+    updateSimControls,
+    renderPresetOptions,
+    readJobControls,
+    applyJobControls,
+    renderStatsPanel,
+    toggleStatsPanel,
+    setupBoxSelection,
+    showTileSelection,
+    readDateFilterControls,
+    showDateFilter,
+    getVisibleTiles,
+    renderServerOptions,
+    showServerCoverage,
+    setImageryCompare,
+    toggleLocalOrtho,
+    toggleServerForm,
+    readServerForm,
+    setServerFormBounds,
+    refreshLocaleTexts,
+    renderLocaleOptions,
 } from './ui.js';
+import { t, formatNumber, LOCALES, getLocale, setLocale, onLocaleChange, localeReady } from './i18n.js';
+import { distanceNm, initialBearing } from './geo.js';
+import { parseRouteText, resolveRouteWaypoints, buildCorridorCircles } from './routeImport.js';
+import { loadCachedCoverage, syncCoverage } from './coverageCache.js';
+import { openTileViewer } from './ddsViewer.js';
+import { airportAutocomplete } from './airportSearch.js';
+import { tilesInCircle, indexCoverage, estimateDownload, tileIndex, tileBbox, isValidTileId } from './bucketGrid.js';
+import { loadDaaSettings, saveDaaSettings, planDaaCircle, shouldReplan } from './daaPlanner.js';
+import { getTrack, addTrackSample, flushTrack, clearTrack, trackToGpx } from './flightTrack.js';
+import { startSimulation, stopSimulation } from './simAircraft.js';
+import {
+    loadPresets, upsertPreset, deletePreset, getActivePresetName, setActivePresetName,
+    exportPresets, importPresets
+} from './presets.js';
+import { URL_DEFAULTS, buildUrlHash, parseUrlHash } from './urlState.js';
+import { computeCoverageStats } from './coverageStats.js';
+import { setServers, getServers, getServer, areaCoverage } from './mapServers.js';
 
 // ---------- DEBUG SWITCH ----------
 window.DEBUG_FGFS = true;        // flip to false to silence
 const log = (...a) => window.DEBUG_FGFS && console.log('[DEBUG-JS]', ...a);
 
-// --- Aircraft-auto-queue settings ---
-const RADIUS_AROUND_AC = 20;   // NM of each circle
-const OVERLAP_FACTOR   = 0.4;  // ⅔ diameter offset
-const MIN_JOB_INTERVAL_MS = 3000; // anti-flood throttle
-
-const DATE_FILTER_LABELS = ["This Session", "Today", "Yesterday", "Last Week", "Last Month", "Last Year", "All Time"];
+// i18n keys of the date filter slider positions
+const DATE_FILTER_LABELS = ['dateFilter.session', 'dateFilter.today', 'dateFilter.twoDays', 'dateFilter.week', 'dateFilter.month', 'dateFilter.year', 'dateFilter.all'];
 
 // --- Global State ---
 const state = {
     isConnected: false,             // FlightGear connection status
+    connectionStatus: 'disconnected', // Last connection state pushed by the server
     isMapSelectionMode: false,      // Whether map coordinate selection is active
     currentOpacity: 0.4,            // Current opacity level for map coverage
+    colorMode: localStorage.getItem('photoscenery.colorMode') || 'resolution', // Coverage colouring mode
+    baseMap: localStorage.getItem('photoscenery.baseMap') || 'auto', // auto | osm | offline
     resState: Array(7).fill(true),  // Active/inactive state for each resolution filter
     hasPreview: false,
     previewAreas: [],
@@ -43,42 +98,109 @@ const state = {
     followAircraftAllowed: false,   // Se la modalità PUÒ essere attivata (FGFS connesso, etc.)
     isAutoJobPending: false,        // Flag per prevenire il re-trigger rapido dei job DAA
     lastDaaCircleId: null,          // ID dell'ultimo cerchio DAA creato
-    lastDaaOriginPoint: null,       // Posizione dell'aereo all'ultimo trigger DAA
     sessionStartTime: null,         // Aggiungi: Ora di avvio della sessione
-    dateFilterIndex: 6,             // Aggiungi: Indice del filtro (default: 6 = All Time)
-    lastDaaCenterPoint: null,       // centro dell’ultimo cerchio verde
+    dateFilter: { mode: 'preset', index: 6, from: '', to: '', days: 365 }, // Filtro data (indice 6 = All Time)
     lastAutoLaunchTs: 0,            // timestamp ultimo invio autoù
-    lastDaaCircleLayer: null,       // riferimento diretto all’ultimo cerchio verde
-    daaArmed: false                 // isteresi: diventa true solo dopo essere entrati sotto ARM_TH
+    lastDaaPlan: null,              // Last DAA circle planned ({lat, lon, radius, size}), even if skipped
+    daaSettings: loadDaaSettings(), // DAA planner settings (lead time, altitude bands, ...)
+    trackRecording: localStorage.getItem('photoscenery.trackRecording') === 'true', // Flight track recorder ON/OFF
+    simActive: false,               // Simulated aircraft replaces the FGFS positions
+    simPick: null,                  // Map clicks collected for a heading simulation (start, direction)
+    loadedRoute: null,              // Imported route ({name, format, waypoints}) for corridor jobs
+    corridorCircles: [],            // Circles covering the current route corridor
+    jobs: [],                       // Last job list received from /api/jobs
+    aircraft: { active: false },    // Last aircraft status pushed by the server
+    statsVisible: false,            // Coverage statistics panel open
+    serverCoverageShown: false,     // Outline of the selected map server drawn
+    selectedTiles: [],              // Coverage tiles picked with the shift-drag box
+    coverageData: [],               // Last coverage.json content
+    coverageIndex: new Map()        // Tile id → best sizeId on disk (download estimates)
 };
 
 const activeCircles = {};           // Stores active job circles on the map
 let pendingCircle = null;           // Temporary Leaflet circle object
+let pendingShape = null;            // Rectangle/polygon selection awaiting ✓ ({ layer, btnGroup })
 
 /**
- * Main update loop that runs periodically
- * - Updates aircraft position if connected
- * - Updates map coverage with current filters and opacity
+ * Redraws the coverage layer from the cached coverage data
+ * with the current filters and opacity
  */
-function mainUpdateLoop() {
-    if (state.isConnected) {
-        api.getFgfsStatus().then(data => {
-            // Prima aggiorna la posizione sulla mappa
-            updateAircraftPosition(data);
-            // POI salva la rotta nello stato globale
-            state.currentHeading = data.heading;
-        });
-        updateFollowAircraftAvailability();
+function renderCoverage() {
+    const allowedResolutions = new Set(
+        state.resState.map((active, i) => active ? i : -1).filter(i => i !== -1)
+    );
+    updateMapCoverage(state.coverageData, allowedResolutions, state.currentOpacity, state.dateFilter, state.sessionStartTime, state.colorMode);
+}
+
+/**
+ * Replaces the coverage data, redraws it and refreshes the estimates of
+ * the pending preview circles
+ * @param {Array} tiles - coverage.json entries
+ */
+function setCoverageData(tiles) {
+    state.coverageData = tiles;
+    state.coverageIndex = indexCoverage(tiles);
+    renderCoverage();
+    refreshAreaEstimates();
+    if (state.statsVisible) refreshStats();
+
+    // Keep the selection in sync (deleted tiles drop out, upgraded ones change size)
+    if (state.selectedTiles.length) {
+        const byId = new Map(tiles.map(tile => [tile.id, tile]));
+        selectTiles(state.selectedTiles.map(tile => byId.get(tile.id)).filter(Boolean));
     }
+}
 
-    api.getCoverageData().then(coverageData => {
-        const allowedResolutions = new Set(
-            state.resState.map((active, i) => active ? i : -1).filter(i => i !== -1)
-        );
-        updateMapCoverage(coverageData, allowedResolutions, state.currentOpacity, state.dateFilterIndex, state.sessionStartTime);
+// Zooms the map to a 1°×1° cell of the statistics table
+function zoomToStatsCell(cell) {
+    elements.map.fitBounds([[cell.lat, cell.lon], [cell.lat + 1, cell.lon + 1]]);
+}
+
+/**
+ * Reloads the disk usage and redraws the statistics panel
+ */
+function refreshStats() {
+    api.getDiskUsage()
+    .then(({ files }) => {
+        renderStatsPanel(computeCoverageStats(state.coverageData, files), zoomToStatsCell);
+    })
+    .catch(err => {
+        // Counts and areas still work from coverage.json alone
+        renderStatsPanel(computeCoverageStats(state.coverageData, []), zoomToStatsCell,
+            t('stats.diskUnavailable', { error: err.message }));
     });
 }
 
+function setStatsVisible(visible) {
+    state.statsVisible = visible;
+    toggleStatsPanel(visible);
+    if (!visible) return;
+    renderStatsPanel(null, null, t('common.loading'));
+    refreshStats();
+}
+
+/**
+ * Syncs the coverage with the server (delta/conditional request) and
+ * redraws it only if something changed (on start-up and on "coverage" events)
+ */
+function refreshCoverage() {
+    syncCoverage()
+    .then(({ tiles, changed }) => {
+        if (!changed) return;
+        setCoverageData(tiles);
+    })
+    .catch(err => console.error('Coverage sync failed:', err));
+}
+
+/**
+ * Returns the latest aircraft status: the one pushed by the event stream,
+ * or a fresh request when nothing has been received yet.
+ * @returns {Promise<Object>}
+ */
+function currentAircraft() {
+    return state.aircraft.active ? Promise.resolve(state.aircraft) : api.getFgfsStatus();
+}
+
 /**
  * Handles resolution filter button clicks
  * @param {number} index - Index of the clicked resolution filter
@@ -86,7 +208,8 @@ function mainUpdateLoop() {
 function handleResFilterClick(index) {
     state.resState[index] = !state.resState[index];
     renderSvgButtons(state.resState, handleResFilterClick);
-    mainUpdateLoop();
+    renderCoverage();
+    scheduleUrlUpdate();
 }
 
 // ------------------------------------------------------------------
@@ -96,7 +219,7 @@ function handleResFilterClick(index) {
 function updateCoordinates(lat, lon) {
     elements.latInput.value = lat.toFixed(6);
     elements.lonInput.value = lon.toFixed(6);
-    elements.icaoInput.value = `Coords: ${lat.toFixed(4)}, ${lon.toFixed(4)}`;
+    elements.icaoInput.value = t('location.coords', { lat: lat.toFixed(4), lon: lon.toFixed(4) });
 }
 
 function updatePreview() {
@@ -135,8 +258,6 @@ function drawCircle(jobId, lat, lon, radiusKm) {
     }).addTo(elements.map);
 
     activeCircles[jobId] = circle;
-    state.lastDaaCenterPoint = circle.getLatLng();
-    state.lastDaaCircleLayer = circle;
 }
 
 /**
@@ -152,20 +273,62 @@ function clearCircle(jobId) {
 }
 
 /**
- * Checks for and clears circles of completed jobs
+ * Handles a job that has just finished: clears its circle and starts the
+ * next pending preview (not while DAA is managing the circles)
+ * @param {number} jobId - Job identifier
  */
-function checkCompletedJobs() {
+function onJobFinished(jobId) {
     if (state.followAircraftActive) {
         return; // Esce immediatamente dalla funzione.
     }
-    api.getCompletedJobs().then(ids => {
-        if (ids.length) {
-            ids.forEach(id => clearCircle(id));        // remove green circle
-            processQueueSequentially();                // start next preview → green
+    clearCircle(jobId);                 // remove green circle
+    processQueueSequentially();         // start next preview → green
+}
+
+/**
+ * Merges job records into the local list and re-renders the panel.
+ * A job seen going from active to finished triggers onJobFinished.
+ * @param {Array} jobs - Job records (full list or single updates)
+ */
+function applyJobUpdates(jobs) {
+    const isActive = j => j.state === 'queued' || j.state === 'running';
+
+    jobs.forEach(job => {
+        const idx = state.jobs.findIndex(j => j.jobId === job.jobId);
+        const prev = idx > -1 ? state.jobs[idx] : null;
+        if (idx > -1) state.jobs[idx] = job; else state.jobs.push(job);
+
+        if (!isActive(job) && (activeCircles[job.jobId] || (prev && isActive(prev)))) {
+            onJobFinished(job.jobId);
         }
     });
+    renderJobList(state.jobs);
+}
+
+/**
+ * Zooms the map to a job: its green circle while the job is active,
+ * otherwise the area recorded in its parameters.
+ * @param {number} jobId - Job identifier
+ */
+function zoomToJob(jobId) {
+    const circle = activeCircles[jobId];
+    if (circle) {
+        elements.map.fitBounds(circle.getBounds());
+        return;
+    }
+    const job = state.jobs.find(j => j.jobId === jobId);
+    const p = job && job.params;
+    if (p && Number.isFinite(p.lat) && Number.isFinite(p.lon)) {
+        const sizeM = (p.radius || 1) * 1852 * 2;
+        elements.map.fitBounds(L.latLng(p.lat, p.lon).toBounds(sizeM));
+    }
 }
 
+elements.jobList.addEventListener('click', (e) => {
+    const row = e.target.closest('.job-row');
+    if (row) zoomToJob(parseInt(row.dataset.jobId, 10));
+});
+
 // ------------------------------------------------------------------
 // DDA Download Around Aircraft (DAA)
 // ------------------------------------------------------------------
@@ -181,7 +344,7 @@ function updateFollowAircraftAvailability() {
 
     if (!btnFollow || !sdwnSelect) return;
 
-    state.followAircraftAllowed = state.isConnected && Number.isFinite(state.currentHeading);
+    state.followAircraftAllowed = (state.isConnected || state.simActive) && Number.isFinite(state.currentHeading);
     btnFollow.disabled = !state.followAircraftAllowed;
 
     if (state.followAircraftActive && state.followAircraftAllowed) {
@@ -200,16 +363,16 @@ function updateFollowAircraftAvailability() {
 // 3. Event Handling
 // ------------------------------------------------------------------
 elements.controlsPanel.addEventListener('click', (e) => {
-    const t = e.target.closest('button');
-    if (!t) return;
+    const button = e.target.closest('button');
+    if (!button) return;
 
-    switch (t.id) {
+    switch (button.id) {
 
         case 'btn-download-around-aircraft':
             // This button now acts as a toggle switch for the "Follow Aircraft" mode.
 
             if (!state.followAircraftAllowed) {
-                alert('Connect to FlightGear first and ensure the aircraft has a heading.');
+                alert(t('daa.connectFirst'));
                 break;
             }
 
@@ -228,17 +391,118 @@ elements.controlsPanel.addEventListener('click', (e) => {
             updateFollowAircraftAvailability();
             break;
 
+        case 'btn-daa-settings':
+            elements.daaSettingsPanel.style.display =
+                elements.daaSettingsPanel.style.display === 'none' ? 'block' : 'none';
+            break;
+
+        case 'btn-sim':
+            if (state.simActive || state.simPick) stopSimulator(); else startSimulator();
+            break;
+
+        case 'btn-track-record':
+            setTrackRecording(!state.trackRecording);
+            break;
+
+        case 'btn-track-export':
+            exportTrack();
+            break;
+
+        case 'btn-track-clear':
+            if (getTrack().samples.length && confirm(t('track.confirmClear'))) {
+                clearTrack();
+                clearTrackTrail();
+                updateTrackControls(state.trackRecording, 0);
+            }
+            break;
+
+        case 'btn-preset-save':
+            savePresetFromControls();
+            break;
+
+        case 'btn-preset-delete': {
+            const name = elements.presetSelect.value;
+            if (name && confirm(t('preset.confirmDelete', { name }))) {
+                renderPresetOptions(deletePreset(name), null);
+            }
+            break;
+        }
+
+        case 'btn-preset-export': {
+            const blob = new Blob([exportPresets()], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'photoscenery-presets.json';
+            a.click();
+            URL.revokeObjectURL(a.href);
+            break;
+        }
+
+        case 'btn-preset-import':
+            elements.presetFileInput.click();
+            break;
+
+        case 'btn-stats':
+            setStatsVisible(!state.statsVisible);
+            break;
+
+        case 'btn-refresh-stale':
+            refreshTilesInView();
+            break;
+
+        case 'btn-server-coverage': {
+            const server = getServer(parseInt(elements.serverSelect.value, 10));
+            if (state.serverCoverageShown || !server) {
+                state.serverCoverageShown = false;
+                showServerCoverage(null);
+            } else {
+                state.serverCoverageShown = showServerCoverage(server);
+                if (!state.serverCoverageShown) alert(t('server.worldwideCoverage', { name: server.name }));
+            }
+            break;
+        }
+
+        case 'btn-server-add':
+            toggleServerForm(elements.serverForm.style.display === 'none');
+            break;
+
+        case 'btn-server-cancel':
+            toggleServerForm(false);
+            break;
+
+        case 'btn-server-bounds-view':
+            setServerFormBounds(elements.map.getBounds());
+            break;
+
+        case 'btn-server-save':
+            api.editServer({ action: 'add', ...readServerForm() })
+            .then(({ id }) => {
+                toggleServerForm(false);
+                return loadServers(id);
+            })
+            .catch(err => alert(t('server.addFailed', { error: err.message })));
+            break;
+
+        case 'btn-server-delete': {
+            const server = getServer(parseInt(elements.serverSelect.value, 10));
+            if (!server || !server.custom || !confirm(t('server.confirmRemove', { name: server.name }))) break;
+            api.editServer({ action: 'delete', id: server.id })
+            .then(() => loadServers())
+            .catch(err => alert(t('server.removeFailed', { error: err.message })));
+            break;
+        }
+
         case 'btn-stop':
-            if (confirm("Stop the server?")) api.shutdownServer();
+            if (confirm(t('app.confirmStop'))) api.shutdownServer();
             break;
 
         case 'btn-get-coords':
             if (state.isConnected) {
-                api.getFgfsStatus().then(data => {
+                currentAircraft().then(data => {
                     if (data.active) {
                         elements.latInput.value = data.lat.toFixed(6);
                         elements.lonInput.value = data.lon.toFixed(6);
-                        elements.icaoInput.value = `Coords: ${data.lat.toFixed(4)}, ${data.lon.toFixed(4)}`;
+                        elements.icaoInput.value = t('location.coords', { lat: data.lat.toFixed(4), lon: data.lon.toFixed(4) });
                     }
                 });
             }
@@ -246,6 +510,18 @@ elements.controlsPanel.addEventListener('click', (e) => {
         case 'btn-select-from-map':
             state.isMapSelectionMode = !state.isMapSelectionMode;
             toggleMapSelectionMode(state.isMapSelectionMode);
+            updateShapeDrawing();
+            break;
+
+        case 'btn-queue-corridor':
+            queueCorridor();
+            break;
+
+        case 'btn-clear-route':
+            state.loadedRoute = null;
+            state.corridorCircles = [];
+            elements.routeFileInput.value = '';
+            clearRoute();
             break;
     }
 });
@@ -253,9 +529,69 @@ elements.controlsPanel.addEventListener('click', (e) => {
 
 // Event listeners
 elements.sizeInput.addEventListener('input', populateSdwnDropdown);
+elements.daaSettingsPanel.addEventListener('change', () => {
+    state.daaSettings = readDaaSettingsForm(state.daaSettings);
+    saveDaaSettings(state.daaSettings);
+    fillDaaSettingsForm(state.daaSettings);
+    drawTrack(getTrack().samples);
+    updateTrackControls(state.trackRecording, getTrack().samples.length);
+});
+[elements.sizeInput, elements.sdwnSelect, elements.overSelect].forEach(el => {
+    el.addEventListener('input', refreshAreaEstimates);
+    el.addEventListener('change', refreshAreaEstimates);
+});
+// Editing a job parameter by hand leaves the active preset
+[elements.sizeInput, elements.sdwnSelect, elements.overSelect, elements.serverSelect, elements.radiusInput].forEach(el => {
+    el.addEventListener('input', markCustomPreset);
+    el.addEventListener('change', markCustomPreset);
+});
+elements.serverSelect.addEventListener('change', () => {
+    updateServerControls();
+    setImageryCompare(elements.compareModeSelect.value, parseInt(elements.serverSelect.value, 10));
+    if (state.serverCoverageShown) {
+        state.serverCoverageShown = showServerCoverage(getServer(parseInt(elements.serverSelect.value, 10)));
+    }
+});
+elements.serverTypeSelect.addEventListener('change', () => toggleServerForm(true));
+elements.compareModeSelect.addEventListener('change', (e) => {
+    setImageryCompare(e.target.value, parseInt(elements.serverSelect.value, 10));
+});
+elements.presetSelect.addEventListener('change', (e) => {
+    if (e.target.value) applyPreset(e.target.value);
+    else setActivePresetName(null);
+});
+elements.presetFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+        const { imported, skipped } = importPresets(await file.text());
+        renderPresetOptions(loadPresets(), getActivePresetName());
+        alert(t('preset.imported', { count: imported }) + (skipped ? ' ' + t('preset.importSkipped', { count: skipped }) : ''));
+    } catch (err) {
+        alert(t('preset.importFailed', { error: err.message }));
+    } finally {
+        e.target.value = '';
+    }
+});
+elements.statsPanel.addEventListener('click', (e) => {
+    const action = e.target.dataset.statsAction;
+    if (action === 'close') setStatsVisible(false);
+    else if (action === 'refresh') refreshStats();
+});
 elements.opacitySlider.addEventListener('input', (e) => {
     state.currentOpacity = parseFloat(e.target.value);
-    mainUpdateLoop();
+    renderCoverage();
+    scheduleUrlUpdate();
+});
+elements.baseMapSelect.addEventListener('change', (e) => {
+    state.baseMap = e.target.value;
+    localStorage.setItem('photoscenery.baseMap', state.baseMap);
+    setBaseMap(state.baseMap);
+});
+elements.colorModeSelect.addEventListener('change', (e) => {
+    state.colorMode = e.target.value;
+    localStorage.setItem('photoscenery.colorMode', state.colorMode);
+    renderCoverage();
 });
 
 
@@ -271,6 +607,35 @@ elements.map.on('popupopen', (e) => {
             showTileInPanel(tileId, sizeId, previewUrl, nativeUrl);
         };
     }
+
+    e.popup._container.querySelectorAll('.tile-action').forEach(btn => {
+        btn.onclick = () => runTileAction(e.popup, btn);
+    });
+
+    // Airport marker: new preview area centred on the airport
+    const airportBtn = e.popup._container.querySelector('.airport-area-button');
+    if (airportBtn) {
+        airportBtn.onclick = () => {
+            elements.map.closePopup(e.popup);
+            elements.icaoInput.value = airportBtn.dataset.ident;
+            createPreviewCircleAt(parseFloat(airportBtn.dataset.lat), parseFloat(airportBtn.dataset.lon));
+        };
+    }
+
+    // In-browser DDS decoding, independent of the server-side /preview route
+    const ddsBtn = e.popup._container.querySelector('.dds-button');
+    if (ddsBtn) {
+        ddsBtn.onclick = () => {
+            const tileId = parseInt(ddsBtn.dataset.tileId, 10);
+            const tile = state.coverageData.find(entry => entry.id === tileId);
+            if (tile) {
+                openTileViewer(elements.map, tile, {
+                    ddsUrl: api.getTileDdsUrl(tileId),
+                    previewUrl: api.getTilePreview(tileId)
+                });
+            }
+        };
+    }
 });
 
 elements.radiusInput.addEventListener('input', () => {
@@ -284,91 +649,411 @@ elements.radiusInput.addEventListener('input', () => {
         }
         // Update handle styles to reflect the new size
         updateHandleStyles(preview.circle);
+        scheduleUrlUpdate();
+    }
+});
+
+/**
+ * Runs a per-tile action from the coverage popup. Downloads show up in the
+ * job list; the coverage is redrawn by the "coverage" event once the server
+ * has regenerated coverage.json.
+ * @param {L.Popup} popup - Coverage popup (closed once the action is accepted)
+ * @param {HTMLButtonElement} btn - Action button (data-action, data-tile-id, data-size-id)
+ */
+function runTileAction(popup, btn) {
+    const action = btn.dataset.action;
+    const tileId = parseInt(btn.dataset.tileId, 10);
+    const options = {};
+
+    if (action === 'delete' && !confirm(t('tile.confirmDelete', { id: String(tileId) }))) return;
+    if (action === 'redownload' || action === 'upgrade') {
+        options.server = getJobParameters().server;
+    }
+    if (action === 'upgrade') {
+        options.size = parseInt(popup._container.querySelector('.tile-upgrade-size').value, 10);
+    }
+
+    btn.disabled = true;
+    api.tileAction(tileId, action, options)
+    .then(result => {
+        elements.map.closePopup(popup);
+        if (action === 'delete' && result.remaining > 0) {
+            alert(t('tile.deleted', { id: String(tileId), count: result.remaining }));
+        }
+    })
+    .catch(err => {
+        btn.disabled = false;
+        alert(t('tile.actionFailed', { id: String(tileId), action: t(`tileAction.${action}`), error: err.message }));
+    });
+}
+
+// ------------------------------------------------------------------
+// Map server catalogue
+// ------------------------------------------------------------------
+
+/**
+ * Loads the map servers from params.xml into the dropdown
+ * @param {number} [selectId] - Server to select (e.g. the one just added)
+ * @returns {Promise}
+ */
+function loadServers(selectId) {
+    return api.getServers().then(servers => {
+        setServers(servers);
+        renderServerOptions(servers);
+        if (selectId !== undefined) elements.serverSelect.value = selectId;
+        updateServerControls();
+        renderCoverage();           // legend of the "map server" colouring
+    }).catch(err => console.warn('Map servers: catalogue not available, keeping the built-in list.', err));
+}
+
+function updateServerControls() {
+    const server = getServer(parseInt(elements.serverSelect.value, 10));
+    elements.btnServerDelete.disabled = !(server && server.custom);
+}
+
+/**
+ * Warns before queuing a job the selected map server cannot serve: blocks
+ * areas entirely outside its coverage, asks for partial coverage or a
+ * resolution above what the server offers
+ * @param {L.LatLngBounds} bounds - Area of the job
+ * @param {number} size - Requested sizeId
+ * @returns {boolean} Whether the job can be sent
+ */
+function confirmServerCoverage(bounds, size) {
+    const server = getServer(parseInt(elements.serverSelect.value, 10));
+    if (!server) return true;       // catalogue not loaded: nothing to check
+
+    const coverage = areaCoverage(server, {
+        south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast()
+    });
+    if (coverage === 'outside') {
+        alert(t('server.outside', { name: server.name }));
+        return false;
+    }
+
+    const warnings = [];
+    if (coverage === 'partial') warnings.push(t('server.partial', { name: server.name }));
+    if (size > server.maxSize) {
+        warnings.push(t('server.maxSize', { name: server.name, max: String(512 << server.maxSize), requested: String(512 << size) }));
+    }
+    return !warnings.length || confirm(t('server.confirmAnyway', { warnings: warnings.join('; ') }));
+}
+
+// ------------------------------------------------------------------
+// Box selection of coverage tiles and batch actions
+// ------------------------------------------------------------------
+
+function selectTiles(tiles) {
+    state.selectedTiles = tiles;
+    showTileSelection(tiles);
+}
+
+// Saves the selection as CSV (one tile per line)
+function exportSelection(tiles) {
+    const lines = ['id,sizeId,widthPx,latLL,lonLL,latUR,lonUR,lastModified'];
+    tiles.forEach(tile => lines.push([
+        tile.id, tile.sizeId, 512 << tile.sizeId,
+        tile.bbox.latLL, tile.bbox.lonLL, tile.bbox.latUR, tile.bbox.lonUR,
+        tile.last_modified || ''
+    ].join(',')));
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `tile-selection-${tiles.length}.csv`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+/**
+ * Runs an action of the batch bar on the selected tiles
+ * @param {string} action - data-batch value of the clicked button
+ */
+function runBatchAction(action) {
+    const tiles = state.selectedTiles;
+    const ids = tiles.map(tile => tile.id);
+    if (!ids.length) return;
+
+    switch (action) {
+        case 'clear':
+            selectTiles([]);
+            return;
+        case 'copy':
+            navigator.clipboard.writeText(ids.join('\n'))
+            .catch(() => prompt(t('batch.copyPrompt'), ids.join(' ')));
+            return;
+        case 'export':
+            exportSelection(tiles);
+            return;
+    }
+
+    const size = parseInt(elements.batchUpgradeSize.value, 10);
+    const questions = {
+        redownload: t('batch.confirmRedownload', { count: ids.length }),
+        upgrade: t('batch.confirmUpgrade', {
+            px: String(512 << size),
+            selected: tiles.filter(tile => tile.sizeId < size).length,
+            total: ids.length
+        }),
+        delete: t('batch.confirmDelete', { count: ids.length })
+    };
+    if (!questions[action] || !confirm(questions[action])) return;
+
+    const options = { server: getJobParameters().server };
+    if (action === 'upgrade') options.size = size;
+
+    api.tileAction(ids, action, options)
+    .then(result => {
+        const skipped = result.skipped ? ' ' + t('batch.skipped', { count: result.skipped }) : '';
+        if (action === 'delete') {
+            alert(t('batch.deleted', { count: result.deleted }) + skipped +
+                (result.remaining ? ' ' + t('batch.remaining', { count: result.remaining }) : ''));
+        } else if (result.jobId === null) {
+            alert(t('batch.nothing') + skipped);
+        } else if (skipped) {
+            alert(t('batch.queued', { id: String(result.jobId), count: result.tiles }) + skipped);
+        }
+        selectTiles([]);
+    })
+    .catch(err => alert(t('batch.failed', { action: t(`tileAction.${action}`), error: err.message })));
+}
+
+elements.batchBar.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-batch]');
+    if (btn) runBatchAction(btn.dataset.batch);
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.selectedTiles.length) selectTiles([]);
+});
+
+// ------------------------------------------------------------------
+// Bucket grid overlay and tile search
+// ------------------------------------------------------------------
+
+// Tooltip status of a bucket, from the loaded coverage data
+function bucketStatus(tileId) {
+    const sizeId = state.coverageIndex.get(tileId);
+    return sizeId === undefined
+        ? t('bucket.notOnDisk')
+        : t('bucket.onDisk', { px: String(512 << sizeId), size: String(sizeId) });
+}
+
+/**
+ * Resolves the tile search box ("tile id" or "lat,lon") and zooms to the tile
+ */
+function searchTile() {
+    const query = elements.tileSearchInput.value.trim();
+    if (!query) return;
+
+    const coords = query.match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    let tileId;
+    if (coords) {
+        const lat = parseFloat(coords[1]);
+        const lon = parseFloat(coords[2]);
+        if (Math.abs(lat) >= 90 || Math.abs(lon) > 180) {
+            alert(t('search.outOfRange', { query }));
+            return;
+        }
+        tileId = tileIndex(lat, lon);
+    } else if (/^\d+$/.test(query) && isValidTileId(parseInt(query, 10))) {
+        tileId = parseInt(query, 10);
+    } else {
+        alert(t('search.invalid', { query }));
+        return;
     }
+    highlightTile(tileId, tileBbox(tileId));
+}
+
+elements.bucketGridToggle.addEventListener('change', (e) => {
+    toggleBucketGrid(e.target.checked, bucketStatus);
 });
 
+elements.localOrthoToggle.addEventListener('change', (e) => {
+    toggleLocalOrtho(e.target.checked);
+});
+
+elements.airportsToggle.addEventListener('change', (e) => {
+    toggleAirports(e.target.checked);
+});
+
+elements.btnTileSearch.addEventListener('click', searchTile);
+elements.tileSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        searchTile();
+    }
+});
+
+/**
+ * Changes the date filter, updates its controls and redraws the coverage
+ * @param {Object} changes - Fields of state.dateFilter to replace
+ */
+function setDateFilter(changes) {
+    state.dateFilter = { ...state.dateFilter, ...changes };
+    showDateFilter(state.dateFilter, t(DATE_FILTER_LABELS[state.dateFilter.index]));
+    renderCoverage(); // Forza l'aggiornamento della mappa
+    scheduleUrlUpdate();
+}
+
 elements.dateFilterSlider.addEventListener('input', (e) => {
-    const value = parseInt(e.target.value, 10);
-    state.dateFilterIndex = value; // Aggiorna lo stato
-    elements.dateFilterLabel.textContent = DATE_FILTER_LABELS[value]; // Aggiorna l'etichetta
-    mainUpdateLoop(); // Forza l'aggiornamento della mappa
+    setDateFilter({ index: parseInt(e.target.value, 10) });
 });
+[elements.dateFilterModeSelect, elements.dateFromInput, elements.dateToInput, elements.dateOlderDaysInput]
+.forEach(input => input.addEventListener('change', () => setDateFilter(readDateFilterControls())));
+
+/**
+ * Queues a re-download, at their current resolution, of the tiles the
+ * filters show in the visible part of the map
+ */
+function refreshTilesInView() {
+    const tiles = getVisibleTiles();
+    if (!tiles.length) {
+        alert(t('refresh.noTiles'));
+        return;
+    }
+    if (!confirm(t('refresh.confirm', { count: tiles.length }))) return;
+
+    api.tileAction(tiles.map(tile => tile.id), 'redownload', { server: getJobParameters().server })
+    .then(result => {
+        if (result.jobId === null) alert(t('refresh.nothing'));
+        else if (result.skipped) alert(t('batch.queued', { id: String(result.jobId), count: result.tiles }) + ' ' + t('batch.skipped', { count: result.skipped }));
+    })
+    .catch(err => alert(t('refresh.failed', { error: err.message })));
+}
 
 // ------------------------------------------------------------------
-// --- Aircraft-auto-queue settings ---
+// --- Job-parameter presets ---
 // ------------------------------------------------------------------
-function destinationPoint(lat, lon, dNm, bearingDeg) {
-    const R = 6371;
-    const δ = (dNm * 1.852) / R;
-    const θ = bearingDeg * Math.PI / 180;
-    const φ1 = lat * Math.PI / 180;
-    const λ1 = lon * Math.PI / 180;
 
-    const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) +
-    Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
-    const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
-                               Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
-    return { lat: φ2 * 180 / Math.PI, lon: λ2 * 180 / Math.PI };
+/**
+ * Applies a saved preset to the job controls (and, when it carries them,
+ * to the DAA settings and the date filter)
+ * @param {string} name - Preset name
+ */
+function applyPreset(name) {
+    const preset = loadPresets().find(p => p.name === name);
+    if (!preset) {
+        setActivePresetName(null);
+        renderPresetOptions(loadPresets(), null);
+        return;
+    }
+
+    applyJobControls(preset);
+    elements.radiusInput.dispatchEvent(new Event('input'));   // resize the pending circle
+    if (preset.daa) {
+        saveDaaSettings(preset.daa);
+        state.daaSettings = loadDaaSettings();
+        fillDaaSettingsForm(state.daaSettings);
+    }
+    if (preset.dateFilterIndex !== undefined) {
+        setDateFilter({ mode: 'preset', index: preset.dateFilterIndex });
+    }
+
+    setActivePresetName(preset.name);
+    elements.presetSelect.value = preset.name;
+    refreshAreaEstimates();
+}
+
+/**
+ * Saves the current job controls as a preset, asking for its name
+ */
+function savePresetFromControls() {
+    const name = prompt(t('preset.namePrompt'), getActivePresetName() || '');
+    if (!name || !name.trim()) return;
+
+    const preset = { name: name.trim(), ...readJobControls() };
+    if (elements.presetIncludeDaa.checked) preset.daa = state.daaSettings;
+    // Presets carry the slider period only, not a date range
+    if (elements.presetIncludeDate.checked && state.dateFilter.mode === 'preset') {
+        preset.dateFilterIndex = state.dateFilter.index;
+    }
+
+    try {
+        const presets = upsertPreset(preset);
+        setActivePresetName(preset.name);
+        renderPresetOptions(presets, preset.name);
+    } catch (err) {
+        alert(t('preset.saveFailed', { error: err.message }));
+    }
+}
+
+function markCustomPreset() {
+    if (!getActivePresetName()) return;
+    setActivePresetName(null);
+    elements.presetSelect.value = '';
 }
 
+// ------------------------------------------------------------------
+// --- Aircraft-auto-queue settings ---
+// ------------------------------------------------------------------
 
 /**
  * Handles the "Download Around Aircraft" automatic job submission.
  * This process is fully automated:
- * 1. It forces overwrite mode to 2 for tile replacement.
- * 2. It reads the radius and the desired minimum resolution (--sdwn) from the GUI.
- * 3. It sends these parameters to the Julia backend.
- * 4. The backend handles the adaptive resolution logic based on altitude and distance.
+ * 1. The DAA planner places the circle `leadMinutes` ahead at the current
+ *    groundspeed and picks the resolution from the altitude band.
+ * 2. Circles whose tiles are already on disk (skipCoveredPct) are skipped,
+ *    but still become the reference for the next re-plan.
+ * 3. It reads the desired minimum resolution (--sdwn) from the GUI and the
+ *    overwrite mode from the DAA settings.
+ * 4. The backend refines the resolution based on altitude and distance.
  * 5. It draws a green, confirmed circle and immediately starts the download.
  */
 function startAutomaticFollowJob() {
     state.isAutoJobPending = true;
 
     // 1. Get real-time aircraft data
-    api.getFgfsStatus().then(data => {
+    currentAircraft().then(data => {
         if (!data.active) {
-            alert('Cannot start job: aircraft data not available.');
+            alert(t('daa.noAircraft'));
             state.followAircraftActive = false;
             updateFollowAircraftAvailability();
             return;
         }
 
-        state.lastDaaOriginPoint = L.latLng(data.lat, data.lon);
-
-        const radiusNm  = parseFloat(elements.radiusInput.value) || 20;
-        const ahead = destinationPoint(data.lat, data.lon, radiusNm * OVERLAP_FACTOR, data.heading);
+        const settings = state.daaSettings;
+        const plan = planDaaCircle(data, settings);
+        const sdwn = parseInt(elements.sdwnSelect.value, 10) || 0;
+        state.lastDaaPlan = plan;
+
+        // 2. Niente job se l'area è già (quasi) tutta su disco
+        const tiles = tilesInCircle(plan.lat, plan.lon, plan.radius, { size: plan.size, sdwn });
+        const est = estimateDownload(tiles, state.coverageIndex, settings.over);
+        const coveredPct = est.total ? 100 * (est.total - est.toDownload) / est.total : 100;
+        if (coveredPct >= settings.skipCoveredPct) {
+            log(`DAA skip: ${coveredPct.toFixed(0)}% of ${est.total} tiles already on disk`);
+            return;
+        }
 
         const jobParams = {
-            lat: ahead.lat,
-            lon: ahead.lon,
-            radius: radiusNm,
-            over: 2,
-            size: parseInt(elements.sizeInput.value, 10) || 4,
-            sdwn: parseInt(elements.sdwnSelect.value, 10) || 0,
+            lat: plan.lat,
+            lon: plan.lon,
+            radius: plan.radius,
+            over: settings.over,
+            size: plan.size,
+            sdwn,
             server: parseInt(elements.serverSelect.value, 10) || 1,
-            mode: 'daa'
+            mode: 'daa',
+            heading: data.heading,      // LOD lato server anche senza FGFS (aereo simulato)
+            altitude: data.altitude
         };
 
-        const circle = L.circle([ahead.lat, ahead.lon], {
-            radius: radiusNm * 1852,
+        const circle = L.circle([plan.lat, plan.lon], {
+            radius: plan.radius * 1852,
             color: '#00cc00',
             fillColor: '#00cc00',
             fillOpacity: 0.15,
             weight: 1.5
         }).addTo(elements.map);
 
-        // SALVA il centro del cerchio corrente per il prossimo trigger
-        state.lastDaaCenterPoint = circle.getLatLng();
-        state.daaArmed = false;  // all’inizio NON siamo armati: prima bisogna avvicinarsi
-
         return api.startJob(jobParams).then(jobData => {
             activeCircles[jobData.jobId] = circle;
             state.lastDaaCircleId = jobData.jobId;
-            console.log(`Automatic job #${jobData.jobId} started (k_max=${jobParams.size}).`);
-            state.lastAutoLaunchTs = 0; // reset throttle per il prossimo tick
+            console.log(`Automatic job #${jobData.jobId} started (size=${plan.size}, ` +
+                `radius=${plan.radius.toFixed(1)} nm, lead=${plan.leadNm.toFixed(1)} nm).`);
         }).catch(err => {
             elements.map.removeLayer(circle);
-            alert(`Error starting automatic job: ${err.message}`);
+            alert(t('daa.startFailed', { error: err.message }));
             state.followAircraftActive = false;
             updateFollowAircraftAvailability();
         });
@@ -386,13 +1071,20 @@ function processQueueSequentially() {
     const next = state.previewAreas.find(a => !a.isFixed);
     if (!next) return;
 
+    // Same parameters and server check as the ✓ button (active preset included);
+    // if the user declines, the preview stays orange and the queue stops here
+    const { size, over, sdwn, server } = getJobParameters();
+    if (!confirmServerCoverage(next.circle.getBounds(), size)) return;
+
     const params = {
         lat   : next.lat,
         lon   : next.lon,
         radius: next.radius,
-        size  : parseInt(elements.sizeInput.value) || 4,
-        over  : parseInt(elements.overSelect.value)  || 1,
-        sdwn  : parseInt(elements.sdwnSelect.value)  || -1
+        size,
+        over,
+        sdwn,
+        server,
+        mode  : 'manual'
     };
 
     api.startJob(params)
@@ -406,79 +1098,29 @@ function processQueueSequentially() {
         const idx = state.previewAreas.indexOf(next);
         if (idx > -1) state.previewAreas.splice(idx, 1);
 
-        // Wait for Julia “completed” then start next
-        const checkNext = () => {
-            api.getCompletedJobs().then(ids => {
-                if (ids.includes(data.jobId)) {
-                    processQueueSequentially();
-                } else {
-                    setTimeout(checkNext, 1000);
-                }
-            });
-        };
-        checkNext();
+        // The next preview starts from onJobFinished when this job ends
     })
-    .catch(err => alert(`Error: ${err.message}`));
+    .catch(err => alert(t('job.startFailed', { error: err.message })));
 }
 
 
 /**
  * Auto-follow logic for "Download around aircraft".
- * Generates new ahead-positioned circles when the aircraft moves
- * close to the center of the current job circle.
+ * Plans a new circle when the aircraft will leave the last one within
+ * the configured re-plan time (see daaPlanner.shouldReplan).
+ * Runs on every "position" event.
  */
 function checkAutoFollow() {
-    const now = Date.now();
-    const throttleOk = (now - state.lastAutoLaunchTs) >= MIN_JOB_INTERVAL_MS;
     if (!state.followAircraftActive) return;
     if (state.isAutoJobPending) { log('DAA skip: pending'); return; }
+    const throttleOk = (Date.now() - state.lastAutoLaunchTs) >= state.daaSettings.minIntervalSec * 1000;
     if (!throttleOk) { log('DAA skip: throttle'); return; }
 
-    api.getFgfsStatus().then(data => {
+    currentAircraft().then(data => {
         if (!data.active) return;
-
-        // Usa prima il layer salvato; se manca, prova con l'ID
-        const lastCircle =
-        state.lastDaaCircleLayer ||
-        (state.lastDaaCircleId ? activeCircles[state.lastDaaCircleId] : null);
-
-        if (!lastCircle) {
-            if (state.lastDaaCenterPoint) {
-                const acPos  = L.latLng(data.lat, data.lon);
-                const radius = (parseFloat(elements.radiusInput.value) || 20) * 1852; // metri
-                const distToCtr = acPos.distanceTo(state.lastDaaCenterPoint);
-                if (distToCtr > radius * OVERLAP_FACTOR) {
-                    log('DAA Fallback trigger (no layer, using saved centre)');
-                    state.isAutoJobPending = true;
-                    startAutomaticFollowJob();
-                }
-            }
-            return;
-        }
-
-        const acPos   = L.latLng(data.lat, data.lon);
-        const radius  = lastCircle.getRadius();                    // metri
-        const centre  = state.lastDaaCenterPoint || lastCircle.getLatLng();
-
-        const distToCtr = acPos.distanceTo(centre);
-        const FIRE_TH   = radius * OVERLAP_FACTOR;       // es. 0.4·R
-        const ARM_TH    = radius * (OVERLAP_FACTOR * 0.7); // isteresi: es. 0.28·R
-
-        // 1) Se NON armati, armiamoci solo quando entriamo “sotto” ARM_TH
-        if (!state.daaArmed) {
-            if (distToCtr <= ARM_TH) {
-                state.daaArmed = true;
-                log('DAA armed: dist=', Math.round(distToCtr), 'arm=', Math.round(ARM_TH));
-            }
-            return; // fino a quando non siamo armati, niente trigger
-        }
-        // 2) Se armati, spara quando torniamo SOPRA FIRE_TH (e throttle OK)
-        if (distToCtr >= FIRE_TH) {
-            log('DAA fire: dist=', Math.round(distToCtr), 'fire=', Math.round(FIRE_TH));
-            state.isAutoJobPending = true;
+        if (shouldReplan(data, state.lastDaaPlan, state.daaSettings)) {
+            log('DAA re-plan');
             startAutomaticFollowJob();
-            // disarma per il ciclo successivo (verrà riaramato quando ci si riavvicina)
-            state.daaArmed = false;
         }
     });
 }
@@ -497,19 +1139,269 @@ function clearAllDaaCircles() {
         }
     }
     state.lastDaaCircleId = null;
-    state.lastDaaOriginPoint = null;
-    state.lastDaaCenterPoint = null;
-    state.lastDaaCircleLayer = null;
-    state.daaArmed = false;
+    state.lastDaaPlan = null;
     console.log("DAA: Cleared all active job circles.");
 }
 
 
+// ------------------------------------------------------------------
+// Simulated aircraft (DAA without FlightGear)
+// ------------------------------------------------------------------
+
+/**
+ * Applies an aircraft position, from the server or the simulator:
+ * marker, DAA triggering and flight track
+ * @param {Object} data - Position payload
+ */
+function applyAircraftPosition(data) {
+    state.aircraft = data;
+    updateAircraftPosition(data);
+    state.currentHeading = data.active ? data.heading : undefined;
+    updateFollowAircraftAvailability();
+    checkAutoFollow();
+    recordTrack(data);
+}
+
+/**
+ * Starts the simulated aircraft from the chosen source: the loaded route,
+ * or two map clicks (start point, then direction)
+ */
+function startSimulator() {
+    if (elements.simSourceSelect.value === 'route') {
+        const waypoints = state.loadedRoute && state.loadedRoute.waypoints;
+        if (!waypoints || waypoints.length < 2) {
+            alert(t('sim.needRoute'));
+            return;
+        }
+        runSimulation({ waypoints }, t('sim.flyingRoute', { name: state.loadedRoute.name || t('route.unnamed') }));
+    } else {
+        state.simPick = [];
+        updateSimControls(true, t('sim.pickStart'));
+    }
+}
+
+/**
+ * Collects the map clicks of a heading simulation
+ * @param {L.LatLng} latlng - Clicked point
+ */
+function pickSimPoint(latlng) {
+    state.simPick.push(latlng);
+    if (state.simPick.length === 1) {
+        updateSimControls(true, t('sim.pickHeading'));
+        return;
+    }
+    const [from, to] = state.simPick;
+    const heading = initialBearing(from.lat, from.lng, to.lat, to.lng);
+    runSimulation({ start: { lat: from.lat, lon: from.lng }, heading }, t('sim.flyingHeading', { heading: String(Math.round(heading)) }));
+}
+
+function runSimulation(path, info) {
+    state.simPick = null;
+    state.simActive = true;
+    startSimulation({
+        ...path,
+        speedKt: parseFloat(elements.simSpeedInput.value) || 120,
+        altitudeFt: parseFloat(elements.simAltitudeInput.value) || 0,
+        timeScale: parseFloat(elements.simTimeScaleSelect.value) || 1,
+        onPosition: applyAircraftPosition,
+        onEnd: () => stopSimulator(t('sim.completed'))
+    });
+    updateSimControls(true, info);
+}
+
+/**
+ * Stops the simulated aircraft; DAA is switched off with it and the
+ * FGFS positions are used again from the next server event
+ * @param {string} [info] - Status text left in the panel
+ */
+function stopSimulator(info = '') {
+    stopSimulation();
+    const wasActive = state.simActive;
+    state.simActive = false;
+    state.simPick = null;
+    updateSimControls(false, info);
+    if (wasActive) {
+        state.followAircraftActive = false;
+        applyAircraftPosition({ active: false, simulated: true });
+    }
+}
+
+// ------------------------------------------------------------------
+// Flight track recorder
+// ------------------------------------------------------------------
+
+/**
+ * Starts or stops recording the aircraft positions
+ * @param {boolean} recording
+ */
+function setTrackRecording(recording) {
+    state.trackRecording = recording;
+    localStorage.setItem('photoscenery.trackRecording', String(recording));
+    if (!recording) flushTrack();
+    updateTrackControls(recording, getTrack().samples.length);
+}
+
+/**
+ * Records a position event when the recorder is on
+ * @param {Object} data - Position payload
+ */
+function recordTrack(data) {
+    if (!state.trackRecording) return;
+    const sample = addTrackSample(data);
+    if (sample) {
+        addTrackPoint(sample);
+        updateTrackControls(true, getTrack().samples.length);
+    }
+}
+
+/**
+ * Saves the recorded track as a GPX route file
+ */
+function exportTrack() {
+    const track = getTrack();
+    if (!track.samples.length) {
+        alert(t('track.empty'));
+        return;
+    }
+    const blob = new Blob([trackToGpx(track)], { type: 'application/gpx+xml' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `track-${(track.startedAt || '').slice(0, 16).replace(/[-:T]/g, '')}.gpx`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ------------------------------------------------------------------
+// Route corridor (GPX / FlightGear route-manager import)
+// ------------------------------------------------------------------
+
+/**
+ * Reads a route file, resolves airport-only waypoints and draws it.
+ * @param {File} file - File chosen in the picker or dropped on the map
+ */
+function loadRouteFile(file) {
+    file.text()
+    .then(text => resolveRouteWaypoints(parseRouteText(text, file.name), api.resolveIcao))
+    .then(route => {
+        if (route.waypoints.length < 2) {
+            throw new Error(t('route.tooShort'));
+        }
+        state.loadedRoute = route;
+        drawRoute(route);
+        refreshCorridorPreview();
+        elements.btnClearRoute.disabled = false;
+    })
+    .catch(err => alert(t('route.loadFailed', { file: file.name, error: err.message })));
+}
+
+/**
+ * Recomputes the corridor circles for the loaded route and the current width.
+ */
+function refreshCorridorPreview() {
+    const route = state.loadedRoute;
+    if (!route) return;
+
+    const widthNm = parseFloat(elements.corridorWidthInput.value) || 0;
+    state.corridorCircles = buildCorridorCircles(route.waypoints, widthNm);
+    drawCorridorPreview(state.corridorCircles);
+
+    showRouteInfo();
+    elements.btnQueueCorridor.disabled = state.corridorCircles.length === 0;
+}
+
+// Summary line of the loaded route and its corridor
+function showRouteInfo() {
+    const route = state.loadedRoute;
+    elements.routeInfo.textContent = t('route.info', {
+        name: route.name || t('route.unnamed'),
+        format: route.format,
+        waypoints: t('route.waypoints', { count: route.waypoints.length }),
+        circles: t('route.circles', { count: state.corridorCircles.length }),
+        radius: formatNumber(state.corridorCircles[0]?.radius || 0, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    });
+}
+
+/**
+ * Sends one job per corridor circle, in route order, and turns each
+ * circle green as soon as the server accepts it.
+ */
+async function queueCorridor() {
+    if (!state.corridorCircles.length) return;
+    const size = parseInt(elements.corridorSizeInput.value, 10);
+    const corridorBounds = L.latLngBounds([]);
+    state.corridorCircles.forEach(c => corridorBounds.extend(L.latLng(c.lat, c.lon).toBounds(2 * c.radius * 1852)));
+    if (!confirmServerCoverage(corridorBounds, Number.isFinite(size) ? size : 4)) return;
+
+    const btn = elements.btnQueueCorridor;
+    btn.disabled = true;
+    btn.classList.add('btn-working');
+
+    const { over, sdwn, server } = getJobParameters();
+    const common = {
+        size: Number.isFinite(size) ? size : 4,
+        over,
+        sdwn,
+        server,
+        mode: 'manual'
+    };
+
+    // Circles are dropped as they are queued, so a retry after a failure
+    // only sends the remaining ones
+    const total = state.corridorCircles.length;
+    try {
+        while (state.corridorCircles.length) {
+            const c = state.corridorCircles[0];
+            const data = await api.startJob({ ...common, lat: c.lat, lon: c.lon, radius: c.radius });
+            drawCircle(data.jobId, c.lat, c.lon, c.radius);
+            state.corridorCircles.shift();
+        }
+        console.log(`Corridor: queued ${total} jobs for route ${state.loadedRoute.name}.`);
+        drawCorridorPreview([]);
+    } catch (err) {
+        drawCorridorPreview(state.corridorCircles);
+        alert(t('route.queueFailed', {
+            queued: total - state.corridorCircles.length,
+            total,
+            error: err.message
+        }));
+    } finally {
+        btn.classList.remove('btn-working');
+        btn.disabled = state.corridorCircles.length === 0;
+        if (state.loadedRoute) showRouteInfo();
+    }
+}
+
+elements.routeFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) loadRouteFile(file);
+});
+
+elements.corridorWidthInput.addEventListener('input', refreshCorridorPreview);
+
+// Drag-and-drop of route files directly onto the map
+elements.mapContainer.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    elements.mapContainer.classList.add('route-drop-active');
+});
+elements.mapContainer.addEventListener('dragleave', () => {
+    elements.mapContainer.classList.remove('route-drop-active');
+});
+elements.mapContainer.addEventListener('drop', (e) => {
+    e.preventDefault();
+    elements.mapContainer.classList.remove('route-drop-active');
+    const file = e.dataTransfer.files[0];
+    if (file) loadRouteFile(file);
+});
+
 // ------------------------------------------------------------------
 // Map click handler for coordinate selection
 // ------------------------------------------------------------------
 elements.map.on('click', (e) => {
-    if (state.isDragging || !state.isMapSelectionMode) {
+    if (state.simPick) {
+        pickSimPoint(e.latlng);
+        return;
+    }
+    if (state.isDragging || !state.isMapSelectionMode || elements.shapeSelect.value !== 'circle') {
         return;
     }
     // Chiama la nuova funzione riutilizzabile passando le coordinate del click
@@ -522,18 +1414,15 @@ window.addEventListener('DOMContentLoaded', () => {
     api.connectToFgfs(port);
 });
 
-// ---------- Traffic-light poller ----------
-import {getFgfsConnectionState} from './api.js';  // Tenere o togliere ?
-// Sostituisci il vecchio poller alla fine di main.js con questo
-setInterval(() => {
-    fetch('/api/connection-state')
-    .then(r => {
-        if (!r.ok) { throw new Error(`Il server ha risposto ${r.status}`); }
-        return r.json();
-    })
-    .then(response => { // <<< CORREZIONE CHIAVE: rinominata la variabile per evitare conflitti
-        const btn = elements.btnConnect;
-        const connectionStatus = response.state; // Estraiamo lo stato (es. "connecting")
+// ---------- Traffic-light (connection state) ----------
+/**
+ * Updates the FGFS button and the connection flag from a connection state
+ * @param {string} connectionStatus - "connected", "connecting" or "disconnected"
+ */
+function applyConnectionState(connectionStatus) {
+    const btn = elements.btnConnect;
+
+    state.connectionStatus = connectionStatus;
 
     // Rimuove tutte le classi di stato precedenti per una gestione pulita
     btn.classList.remove('active', 'connecting', 'disconnected');
@@ -541,49 +1430,85 @@ setInterval(() => {
     switch (connectionStatus) {
         case 'connected':
             btn.classList.add('active');
-            btn.title = 'FGFS connected';
-            // Ora modifichiamo l'oggetto globale 'state' corretto
+            btn.title = t('fgfs.connected');
             state.isConnected = true;
             break;
         case 'connecting':
             btn.classList.add('connecting');
-            btn.title = 'FGFS connecting…';
-            // Ora modifichiamo l'oggetto globale 'state' corretto
+            btn.title = t('fgfs.connecting');
             state.isConnected = false;
             break;
         default: // 'disconnected'
             btn.classList.add('disconnected');
-            btn.title = 'FGFS disconnected';
-            // Ora modifichiamo l'oggetto globale 'state' corretto
+            btn.title = t('fgfs.disconnected');
             state.isConnected = false;
     }
-    })
-    .catch((err) => {
-        console.error("Impossibile ottenere lo stato della connessione:", err);
-        const btn = elements.btnConnect;
-        btn.classList.remove('active', 'connecting');
-        btn.classList.add('disconnected');
-        state.isConnected = false;
+    updateFollowAircraftAvailability();
+}
+
+/**
+ * Handlers for the server event stream (see api.subscribeEvents)
+ */
+const eventHandlers = {
+    connection: ({ state: connectionStatus }) => applyConnectionState(connectionStatus),
+
+    // Ignored while the simulated aircraft is flying
+    position: (data) => {
+        if (!state.simActive) applyAircraftPosition(data);
+    },
+
+    jobs: (jobs) => applyJobUpdates(jobs),
+
+    job: (job) => applyJobUpdates([job]),
+
+    coverage: () => refreshCoverage()
+};
+
+/**
+ * Refreshes the download estimate in the popup of a pending preview circle.
+ * Updates are coalesced to one per animation frame while dragging.
+ * @param {Object} areaState - Entry of state.previewAreas
+ */
+function updateAreaEstimate(areaState) {
+    if (areaState.isFixed || areaState.estimateFrame) return;
+    areaState.estimateFrame = requestAnimationFrame(() => {
+        areaState.estimateFrame = null;
+        const circle = areaState.circle;
+        const centre = circle.getLatLng();
+        const { size, sdwn, over } = getJobParameters();
+        const tiles = tilesInCircle(centre.lat, centre.lng, circle.getRadius() / 1852, { size, sdwn });
+        circle.setPopupContent(formatDownloadEstimate(estimateDownload(tiles, state.coverageIndex, over)));
     });
-}, 1500);
+}
+
+function refreshAreaEstimates() {
+    state.previewAreas.forEach(updateAreaEstimate);
+}
 
 /**
  * Creates a complete, interactive preview circle at a specific location.
  * @param {number} lat - Latitude for the circle's center.
  * @param {number} lon - Longitude for the circle's center.
+ * @param {number} [radius] - Radius in NM; default: the radius field, which is
+ *                            then normalised (a given radius leaves it untouched)
  */
-function createPreviewCircleAt(lat, lon) {
-    let radiusNm = parseFloat(elements.radiusInput.value) || 3;
+function createPreviewCircleAt(lat, lon, radius) {
+    let radiusNm = radius ?? (parseFloat(elements.radiusInput.value) || 3);
     if (radiusNm < 3) radiusNm = 3;
-    elements.radiusInput.value = radiusNm;
+    if (radius === undefined) elements.radiusInput.value = radiusNm;
 
     updateCoordinates(lat, lon); // CORRETTO: usa 'lon'
 
     const circle = previewArea(lat, lon, radiusNm); // CORRETTO: usa 'lon'
-    linkRadiusHandleToInput(circle);
-
     const areaState = { lat, lon, radius: radiusNm, circle, isFixed: false }; // CORRETTO: usa 'lon'
     state.previewAreas.push(areaState);
+    scheduleUrlUpdate();
+
+    // Stima del download, aggiornata dal vivo durante drag e resize
+    linkRadiusHandleToInput(circle, () => updateAreaEstimate(areaState));
+    circle.bindPopup('', { autoClose: false, closeOnClick: false, autoPan: false });
+    updateAreaEstimate(areaState);
+    circle.openPopup();
 
     // Bottoni di conferma e cancellazione
     const btnGroup = L.layerGroup().addTo(elements.map);
@@ -621,20 +1546,26 @@ function createPreviewCircleAt(lat, lon) {
     okBtn.on('click', (event) => {
         L.DomEvent.stop(event);
 
+        // Il server scelto deve coprire l'area (altrimenti il cerchio resta modificabile)
+        if (!confirmServerCoverage(circle.getBounds(), getJobParameters().size)) return;
+
         // Congela il cerchio (niente più editing) e rimuove i bottoni
         circle.pm.disable();
+        circle.closePopup();
+        circle.unbindPopup();
         elements.map.removeLayer(btnGroup);
 
-        // Parametri job → direttamente dal cerchio e dai controlli
+        // Parametri job → dal cerchio e dai controlli (preset attivo)
         const centre = circle.getLatLng();
+        const { size, over, sdwn, server } = getJobParameters();
         const params = {
             lat: centre.lat,
             lon: centre.lng,
             radius: circle.getRadius() / 1852, // m → NM
-            size: parseInt(elements.sizeInput.value, 10) || 4,
-            over: parseInt(elements.overSelect.value, 10) || 1,
-            sdwn: parseInt(elements.sdwnSelect.value, 10) || 0, // default 0 ⇒ precoverage ON
-            server: parseInt(elements.serverSelect.value, 10) || 1,
+            size,
+            over,
+            sdwn,
+            server,
             mode: 'manual'
         };
 
@@ -649,9 +1580,10 @@ function createPreviewCircleAt(lat, lon) {
             });
             activeCircles[data.jobId] = circle;
             areaState.isFixed = true; // ormai è “confermato”
+            scheduleUrlUpdate();
         })
         .catch(err => {
-            alert(`Error starting job: ${err.message}`);
+            alert(t('job.startFailed', { error: err.message }));
             // opzionale: riabilita l’editing se vuoi consentire un nuovo tentativo
             circle.pm.enable();
         });
@@ -663,6 +1595,7 @@ function createPreviewCircleAt(lat, lon) {
         elements.map.removeLayer(btnGroup);
         const idx = state.previewAreas.findIndex(a => a.circle === circle);
         if (idx !== -1) state.previewAreas.splice(idx, 1);
+        scheduleUrlUpdate();
     });
 
     // --- Aggiorna posizione bottoni durante le modifiche ---
@@ -682,10 +1615,13 @@ function createPreviewCircleAt(lat, lon) {
         const rLatDeg = circle.getRadius() / 111320;
         okBtn.setLatLng([centre.lat + rLatDeg, centre.lng]); // CORRETTO: usa 'lon'
         delBtn.setLatLng([centre.lat - rLatDeg, centre.lng]); // CORRETTO: usa 'lon'
+        updateAreaEstimate(areaState);
+        scheduleUrlUpdate();
     });
 
     circle.on('pm:markerdrag', updateButtons);
     circle.on('pm:markerdrag', updateButtons);
+    circle.on('pm:markerdragend', scheduleUrlUpdate);
 
     // Wait for Geoman to fire the 'pm:enable' event, which signals
     // that the editing handles have been created and are ready.
@@ -702,31 +1638,218 @@ function createPreviewCircleAt(lat, lon) {
             const newRadiusMeters = (parseFloat(elements.radiusInput.value) || 0) * 1852;
             if (newRadiusMeters > 0) {
                 preview.circle.setRadius(newRadiusMeters);
+                updateAreaEstimate(preview);
             }
         }
     });
 }
 
-elements.icaoInput.addEventListener('keydown', (e) => {
-    // Controlla se il tasto premuto è 'Invio' e se il campo non è vuoto
-    if (e.key === 'Enter' && elements.icaoInput.value.trim() !== '') {
-        e.preventDefault(); // Impedisce l'invio di un form (comportamento di default)
+// ------------------------------------------------------------------
+// Rectangle / polygon selection
+// ------------------------------------------------------------------
 
-    const icao = elements.icaoInput.value.trim().toUpperCase();
+/**
+ * Starts or stops Geoman drawing according to the selection mode and the
+ * chosen shape (circles keep using the plain map click)
+ */
+function updateShapeDrawing() {
+    const shape = elements.shapeSelect.value;
+    if (state.isMapSelectionMode && shape !== 'circle') {
+        enableShapeDrawing(shape);
+    } else {
+        disableShapeDrawing();
+    }
+    elements.btnCutHole.disabled = !pendingShape;
+}
 
-    // Chiama l'API per ottenere le coordinate
-    api.resolveIcao(icao)
-    .then(coords => {
-        // Successo! Crea il cerchio di anteprima con le coordinate ricevute
-        createPreviewCircleAt(coords.lat, coords.lon);
+// Leaflet polygon latlngs → list of parts, each a list of rings
+function shapeParts(layer) {
+    const latlngs = layer.getLatLngs();
+    return Array.isArray(latlngs[0][0]) ? latlngs : [latlngs];
+}
 
-        // Centra la mappa sulla nuova posizione
-        elements.map.setView([coords.lat, coords.lon], 10);
-    })
-    .catch(err => {
-        // Gestisce l'errore se l'ICAO non viene trovato
-        alert(`Error: Could not resolve ICAO '${icao}'.`);
+/**
+ * Converts a selection layer into the payload expected by /api/start-job:
+ * polygons as [[[lat, lon], ...rings], ...parts], open rings (no repeated
+ * closing vertex), plus a centre and radius (NM) enclosing the whole shape.
+ * @param {L.Polygon} layer - Confirmed selection
+ * @returns {{polygon: Array, lat: number, lon: number, radius: number}}
+ */
+function shapeToJobArea(layer) {
+    const geometry = layer.toGeoJSON().geometry;
+    const parts = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const polygon = parts.map(rings => rings.map(ring => {
+        const pts = ring.map(([lon, lat]) => [lat, lon]);
+        const [first, last] = [pts[0], pts[pts.length - 1]];
+        if (pts.length > 1 && first[0] === last[0] && first[1] === last[1]) pts.pop();
+        return pts;
+    }));
+
+    const centre = layer.getBounds().getCenter();
+    let radius = 0;
+    polygon.forEach(rings => rings[0].forEach(([lat, lon]) => {
+        radius = Math.max(radius, distanceNm(centre.lat, centre.lng, lat, lon));
+    }));
+    return { polygon, lat: centre.lat, lon: centre.lng, radius };
+}
+
+// Keeps the ✓ / 🗑 buttons above and below the pending shape
+function placeShapeButtons() {
+    if (!pendingShape) return;
+    const b = pendingShape.layer.getBounds();
+    const lon = b.getCenter().lng;
+    pendingShape.okBtn.setLatLng([b.getNorth(), lon]);
+    pendingShape.delBtn.setLatLng([b.getSouth(), lon]);
+}
+
+function discardPendingShape() {
+    if (!pendingShape) return;
+    elements.map.removeLayer(pendingShape.layer);
+    elements.map.removeLayer(pendingShape.btnGroup);
+    pendingShape = null;
+    updateShapeDrawing();
+    scheduleUrlUpdate();
+}
+
+/**
+ * Wires the editing and button events of the pending shape layer
+ * @param {L.Polygon} layer - Editable preview polygon
+ */
+function attachPendingShapeLayer(layer) {
+    pendingShape.layer = layer;
+    layer.on('pm:dragstart pm:markerdragstart', () => { state.isDragging = true; });
+    layer.on('pm:dragend pm:markerdragend', () => {
+        setTimeout(() => { state.isDragging = false; }, 0);
+    });
+    layer.on('pm:edit pm:drag pm:markerdrag', placeShapeButtons);
+    layer.on('pm:edit pm:dragend', scheduleUrlUpdate);
+    placeShapeButtons();
+    scheduleUrlUpdate();
+}
+
+/**
+ * Adds a drawn rectangle/polygon to the pending selection. The first one
+ * creates the selection with its ✓ / 🗑 buttons, further ones become extra
+ * parts of the same (multi-)polygon.
+ * @param {L.Polygon} drawn - Layer created by Geoman
+ */
+function addShapePart(drawn) {
+    const rings = drawn.getLatLngs();
+    elements.map.removeLayer(drawn);
+
+    if (pendingShape) {
+        const layer = pendingShape.layer;
+        layer.pm.disable();
+        layer.setLatLngs([...shapeParts(layer), rings]);
+        layer.pm.enable({ allowSelfIntersection: false });
+        placeShapeButtons();
+        scheduleUrlUpdate();
+        return;
+    }
+
+    const btnGroup = L.layerGroup().addTo(elements.map);
+    const okBtn = L.marker([0, 0], {
+        icon: L.divIcon({
+            html: '<button class="mini-btn ok">✓</button>',
+            className: 'mini-btn-container', iconSize: [22, 22], iconAnchor: [11, 11]
+        })
+    }).addTo(btnGroup);
+    const delBtn = L.marker([0, 0], {
+        icon: L.divIcon({
+            html: '<button class="mini-btn del">🗑</button>',
+            className: 'mini-btn-container', iconSize: [22, 22], iconAnchor: [11, 11]
+        })
+    }).addTo(btnGroup);
+
+    pendingShape = { layer: null, btnGroup, okBtn, delBtn };
+    attachPendingShapeLayer(previewShape(rings));
+    elements.btnCutHole.disabled = false;
+
+    okBtn.on('click', (event) => {
+        L.DomEvent.stop(event);
+        const layer = pendingShape.layer;
+        const { size, over, sdwn, server } = getJobParameters();
+        if (!confirmServerCoverage(layer.getBounds(), size)) return;
+        const area = shapeToJobArea(layer);
+        const params = {
+            ...area,
+            shape: 'polygon',
+            size,
+            over,
+            sdwn,
+            server,
+            mode: 'manual'
+        };
+
+        api.startJob(params)
+        .then(data => {
+            layer.pm.disable();
+            layer.setStyle({
+                color: '#00cc00',
+                fillColor: '#00cc00',
+                fillOpacity: 0.15,
+                dashArray: null
+            });
+            activeCircles[data.jobId] = layer;
+            elements.map.removeLayer(btnGroup);
+            pendingShape = null;
+            updateShapeDrawing();
+            scheduleUrlUpdate();
+        })
+        .catch(err => alert(t('job.startFailed', { error: err.message })));
+    });
+
+    delBtn.on('click', (event) => {
+        L.DomEvent.stop(event);
+        discardPendingShape();
     });
+}
+
+elements.map.on('pm:create', (e) => {
+    if (e.shape === 'Rectangle' || e.shape === 'Polygon') addShapePart(e.layer);
+});
+
+// Geoman replaces the cut layer with a new one carrying the hole
+elements.map.on('pm:cut', (e) => {
+    if (!pendingShape || e.originalLayer !== pendingShape.layer) return;
+    elements.map.pm.disableGlobalCutMode();
+    attachPendingShapeLayer(e.layer);
+    e.layer.pm.enable({ allowSelfIntersection: false });
+    updateShapeDrawing();
+});
+
+elements.shapeSelect.addEventListener('change', updateShapeDrawing);
+
+elements.btnCutHole.addEventListener('click', () => {
+    if (!pendingShape) return;
+    elements.map.pm.disableDraw();
+    elements.map.pm.enableGlobalCutMode({ layersToCut: [pendingShape.layer] });
+});
+
+// Ricerca aeroporti: suggerimenti mentre si scrive, Invio senza selezione usa resolve-icao
+airportAutocomplete(elements.icaoInput, {
+    onSelect: airport => {
+        showLocationStatus('');
+        createPreviewCircleAt(airport.lat, airport.lon);
+        elements.map.setView([airport.lat, airport.lon], 10);
+    },
+    onSubmit: text => {
+        const icao = text.toUpperCase();
+        showLocationStatus('');
+
+        // Chiama l'API per ottenere le coordinate
+        api.resolveIcao(icao)
+        .then(coords => {
+            // Successo! Crea il cerchio di anteprima con le coordinate ricevute
+            createPreviewCircleAt(coords.lat, coords.lon);
+
+            // Centra la mappa sulla nuova posizione
+            elements.map.setView([coords.lat, coords.lon], 10);
+        })
+        .catch(() => {
+            // Codice sconosciuto o ambiguo: i suggerimenti mostrano le alternative
+            showLocationStatus(t('location.notFound', { code: icao }));
+        });
     }
 });
 
@@ -737,17 +1860,14 @@ elements.btnFillHoles.addEventListener('click', () => {
 
     // Recupera i dati necessari (lo facciamo qui, così se l'utente annulla non succede nulla)
     const bounds = elements.map.getBounds();
-    const settings = {
-        size: parseInt(elements.sizeInput.value, 10) || 4,
-                                       over: parseInt(elements.overSelect.value, 10) || 1,
-                                       sdwn: parseInt(elements.sdwnSelect.value, 10) || 0
-    };
+    const { size, over, sdwn } = getJobParameters();
+    const settings = { size, over, sdwn };
 
     // 2. Chiama l'API per avviare il processo in background
     api.fillHoles(bounds, settings)
     .catch(err => {
         // Se c'è un errore nella chiamata, mostra un alert
-        alert(`Error starting the patch process: ${err.message}`);
+        alert(t('fillHoles.failed', { error: err.message }));
     })
     .finally(() => {
         // 3. Imposta un timer per riattivare il pulsante dopo 60 secondi
@@ -760,33 +1880,167 @@ elements.btnFillHoles.addEventListener('click', () => {
 });
 
 
+// ------------------------------------------------------------------
+// Shareable URL state (view, filters, pending areas)
+// ------------------------------------------------------------------
+
+let urlStateReady = false;          // no writes until a shared link has been restored
+let urlUpdateTimer = null;
+
+function currentUrlState() {
+    const centre = elements.map.getCenter();
+    return {
+        view: { lat: centre.lat, lon: centre.lng, zoom: elements.map.getZoom() },
+        res: state.resState,
+        date: state.dateFilter.index,
+        dateFilter: state.dateFilter,
+        opacity: state.currentOpacity,
+        circles: state.previewAreas.filter(a => !a.isFixed).map(a => {
+            const c = a.circle.getLatLng();
+            return { lat: c.lat, lon: c.lng, radius: a.circle.getRadius() / 1852 };
+        }),
+        polygon: pendingShape && pendingShape.layer ? shapeParts(pendingShape.layer) : null
+    };
+}
+
+/**
+ * Writes the current state in the URL hash. View changes get their own
+ * history entry (back/forward steps through them), anything else replaces it.
+ * @param {boolean} push - Whether this write comes from a view change
+ */
+function writeUrlState(push) {
+    if (!urlStateReady) return;
+    const hash = buildUrlHash(currentUrlState());
+    if (hash === location.hash) return;
+
+    const viewOf = h => new URLSearchParams(h.replace(/^#/, '')).get('map');
+    if (push && location.hash && viewOf(hash) !== viewOf(location.hash)) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+function scheduleUrlUpdate() {
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(() => writeUrlState(false), 300);
+}
+
+/**
+ * Applies a state read from the URL hash; missing filters go back to their defaults
+ * @param {Object} s - parseUrlHash output
+ * @param {boolean} withAreas - Whether to recreate the pending circles/polygon
+ */
+function applyUrlState(s, withAreas) {
+    if (s.view) elements.map.setView([s.view.lat, s.view.lon], s.view.zoom);
+
+    state.resState = (s.res || URL_DEFAULTS.res).slice();
+    renderSvgButtons(state.resState, handleResFilterClick);
+
+    state.dateFilter = { ...state.dateFilter, mode: 'preset', index: s.date ?? URL_DEFAULTS.date, ...s.dateFilter };
+    showDateFilter(state.dateFilter, t(DATE_FILTER_LABELS[state.dateFilter.index]));
+
+    state.currentOpacity = s.opacity ?? URL_DEFAULTS.opacity;
+    elements.opacitySlider.value = state.currentOpacity;
+    renderCoverage();
+
+    if (!withAreas) return;
+    (s.circles || []).forEach(c => createPreviewCircleAt(c.lat, c.lon, c.radius));
+    (s.polygon || []).forEach(rings => addShapePart(L.polygon(rings)));
+}
+
+elements.map.on('moveend', () => writeUrlState(true));
+
+window.addEventListener('popstate', () => {
+    // Pending areas of the link are only recreated when nothing is pending yet
+    const hasPending = pendingShape || state.previewAreas.some(a => !a.isFixed);
+    applyUrlState(parseUrlHash(location.hash), !hasPending);
+});
+
+// ------------------------------------------------------------------
+// Language switching
+// ------------------------------------------------------------------
+
+/**
+ * Re-renders the texts generated from JS after a locale switch (the static
+ * markup is translated by i18n.js itself)
+ */
+function applyLocale() {
+    refreshLocaleTexts();
+    toggleMapSelectionMode(state.isMapSelectionMode);
+    showDateFilter(state.dateFilter, t(DATE_FILTER_LABELS[state.dateFilter.index]));
+    if (getServers().length) renderServerOptions(getServers());   // built-in list otherwise
+    renderCoverage();
+    renderJobList(state.jobs);
+    updateTrackControls(state.trackRecording, getTrack().samples.length);
+    updateSimControls(state.simActive || state.simPick !== null, elements.simInfo.textContent);
+    renderPresetOptions(loadPresets(), getActivePresetName());
+    applyConnectionState(state.connectionStatus);
+    if (state.loadedRoute) showRouteInfo();
+    else elements.routeInfo.textContent = t('route.none');
+    if (state.selectedTiles.length) showTileSelection(state.selectedTiles);
+    if (state.aircraft.active) updateAircraftPosition(state.aircraft);
+    if (state.statsVisible) refreshStats();
+    refreshAreaEstimates();
+}
+
+elements.localeSelect.addEventListener('change', (e) => setLocale(e.target.value));
+
 // ------------------------------------------------------------------
 // 4. Initialization
 // ------------------------------------------------------------------
-window.addEventListener('DOMContentLoaded', () => {
-    initializeMap();
+function initializeApp() {
+    renderLocaleOptions(LOCALES, getLocale());
+    onLocaleChange(applyLocale);
+    if (![...elements.baseMapSelect.options].some(opt => opt.value === state.baseMap)) state.baseMap = 'auto';
+    elements.baseMapSelect.value = state.baseMap;
+    initializeMap(state.baseMap);
     populateSdwnDropdown();
     renderSvgButtons(state.resState, handleResFilterClick);
+    // A mode saved by another version of the page may no longer exist
+    if (![...elements.colorModeSelect.options].some(opt => opt.value === state.colorMode)) state.colorMode = 'resolution';
+    elements.colorModeSelect.value = state.colorMode;
+    showDateFilter(state.dateFilter, t(DATE_FILTER_LABELS[state.dateFilter.index]));
     setupInteractiveSelection();
+    setupBoxSelection(selectTiles);
     toggleMapSelectionMode(state.isMapSelectionMode);
+    fillDaaSettingsForm(state.daaSettings);
+    updateTrackControls(state.trackRecording, getTrack().samples.length);
+    updateSimControls(false);
+
+    const activePreset = getActivePresetName();
+    renderPresetOptions(loadPresets(), activePreset);
+    if (activePreset) applyPreset(activePreset);
+
+    // A shared link wins over the defaults (and the preset radius)
+    if (location.hash) applyUrlState(parseUrlHash(location.hash), true);
+    urlStateReady = true;
+    writeUrlState(false);
 
     // Primo sync tra DAA e Execute Job
     updateFollowAircraftAvailability();
 
+    loadServers();
+
     api.getSessionInfo().then(info => {
         state.sessionStartTime = new Date(info.startTime);
-        console.log("Ora di avvio sessione impostata:", state.sessionStartTime);
+        console.log('Session start time:', state.sessionStartTime);
     }).catch(err => {
-        console.error("Impossibile recuperare l'ora della sessione:", err);
+        console.error('Cannot get the session start time:', err);
     });
 
-    // Avvia il loop periodic
-    mainUpdateLoop();
-});                          // Initial update on startup
+    // Copertura: prima quella in cache (istantanea), poi il delta dal server,
+    // poi solo su evento "coverage"
+    loadCachedCoverage().then(cached => {
+        if (cached) setCoverageData(cached);
+        refreshCoverage();
+    });
+
+    // Position, connection, job and coverage updates are pushed by the server
+    api.subscribeEvents(eventHandlers);
+}
 
-// Set up periodic updates
-setInterval(checkCompletedJobs, 3000);      // Check completed jobs every 3 seconds
-setInterval(mainUpdateLoop, 5000);          // Main update every 5 seconds
-setInterval(checkAutoFollow, 2000);  // run every 2 s
+// The UI is built once the strings of the locale in use are loaded
+window.addEventListener('DOMContentLoaded', () => localeReady.then(initializeApp));
 
 
@@ -0,0 +1,59 @@
+// Save as: js/mapServers.js
+/**
+ * Map Servers Module
+ *
+ * Keeps the map server catalogue received from /api/servers (params.xml)
+ * and checks job areas against the region each server covers, so a USGS
+ * job over Italy or a PNOA job outside Spain is caught before it is queued.
+ *
+ * Coverage is checked on the bounding box of the area: good enough for the
+ * rectangles of params.xml, and it never blocks an area that is covered.
+ *
+ * Relationships:
+ * - api.js: getServers / editServer
+ * - ui.js: dropdown options and coverage outline
+ * - main.js: confirms job areas before queuing them
+ */
+
+let servers = [];
+
+/**
+ * Replaces the catalogue
+ * @param {Array} list - /api/servers entries
+ */
+export function setServers(list) {
+    servers = list;
+}
+
+/**
+ * @returns {Array} The catalogue (empty until loaded)
+ */
+export function getServers() {
+    return servers;
+}
+
+/**
+ * @param {number} id - Server id
+ * @returns {Object|undefined} Catalogue entry
+ */
+export function getServer(id) {
+    return servers.find(s => s.id === id);
+}
+
+/**
+ * Where an area lies with respect to the coverage of a server
+ * @param {Object} server - Catalogue entry ({bounds: [[lonW, latS, lonE, latN], ...]})
+ * @param {{south: number, west: number, north: number, east: number}} box - Area bounding box
+ * @returns {string} 'inside', 'partial' or 'outside' ('inside' for worldwide servers)
+ */
+export function areaCoverage(server, box) {
+    if (!server.bounds || !server.bounds.length) return 'inside';
+
+    const intersects = ([lonW, latS, lonE, latN]) =>
+        box.west < lonE && box.east > lonW && box.south < latN && box.north > latS;
+    const contains = ([lonW, latS, lonE, latN]) =>
+        box.west >= lonW && box.east <= lonE && box.south >= latS && box.north <= latN;
+
+    if (server.bounds.some(contains)) return 'inside';
+    return server.bounds.some(intersects) ? 'partial' : 'outside';
+}
@@ -0,0 +1,198 @@
+// Save as: js/offlineBaseMap.js
+/**
+ * Offline Base Map Module
+ *
+ * Fallback base map for machines without internet, where the OSM tiles
+ * never load:
+ * - offlineBaseLayer(): land, country borders and major lakes drawn
+ *   client-side from the bundled data/basemap.json (Natural Earth 1:50m,
+ *   lakes from OpenStreetMap), on a canvas. The data is fetched on first use.
+ * - airportLayer(): airports of the view from the backend ICAO database
+ *   (/api/airports), bigger airports first and small ones only zoomed in.
+ *   Also shown on its own over OSM; the popup offers a "Create area here"
+ *   button (.airport-area-button, handled by main.js).
+ * - osmFailureWatcher(): tells when an OSM layer loads nothing but errors,
+ *   so the GUI can switch to the offline map by itself.
+ *
+ * Relationships:
+ * - api.js: getAirports
+ * - GuiMode.jl: /api/airports (h_airports), data/basemap.json (static)
+ * - ui.js: base map selection
+ * - i18n.js: popup button
+ * - html.js: escapeHtml
+ */
+
+import { getAirports } from './api.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './html.js';
+
+const BASEMAP_URL = 'data/basemap.json';
+const WATER_COLOR = '#aad3df';
+
+const STYLES = {
+    land: { stroke: true, color: '#8a8a7a', weight: 0.8, fillColor: '#f2efe9', fillOpacity: 1 },
+    lakes: { stroke: true, color: '#7fb2c4', weight: 0.6, fillColor: WATER_COLOR, fillOpacity: 1 },
+    borders: { color: '#9c6fa1', weight: 1, dashArray: '4 3' }
+};
+
+// Airport types shown per zoom, from the ICAO database `type` column
+const AIRPORT_TYPES = [
+    { minZoom: 8, types: ['large_airport', 'medium_airport', 'small_airport'] },
+    { minZoom: 6, types: ['large_airport', 'medium_airport'] },
+    { minZoom: 0, types: ['large_airport'] }
+];
+
+const AIRPORT_STYLES = {
+    large_airport: { radius: 6, color: '#1a237e', fillColor: '#3f51b5' },
+    medium_airport: { radius: 4, color: '#1a237e', fillColor: '#7986cb' },
+    small_airport: { radius: 3, color: '#455a64', fillColor: '#b0bec5' }
+};
+
+let basemapData = null;         // Promise of data/basemap.json, shared by all layers
+
+function airportPopup(a) {
+    const details = [a.iata, a.city, a.country].filter(Boolean).map(escapeHtml).join(' · ');
+    return `<b>${escapeHtml(a.ident)}</b> ${escapeHtml(a.name)}` +
+        (details ? `<br><small>${details}</small>` : '') +
+        `<br><button class="airport-area-button" data-lat="${a.lat}" data-lon="${a.lon}" data-ident="${escapeHtml(a.ident)}">${t('airport.createArea')}</button>`;
+}
+
+function loadBasemap() {
+    if (!basemapData) {
+        basemapData = fetch(BASEMAP_URL).then(res => {
+            if (!res.ok) throw new Error(`Offline base map: ${res.statusText}`);
+            return res.json();
+        });
+        basemapData.catch(() => { basemapData = null; });
+    }
+    return basemapData;
+}
+
+const toLatLngs = line => line.map(([lon, lat]) => [lat, lon]);
+
+export const OfflineBaseLayer = L.Layer.extend({
+    options: {
+        pane: 'tilePane',
+        attribution: 'Offline map: Natural Earth, lakes &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._group = null;
+    },
+
+    onAdd(map) {
+        map.getContainer().style.background = WATER_COLOR;
+        loadBasemap()
+        .then(data => {
+            if (!this._map) return;
+            if (!this._group) this._group = this._build(data);
+            this._group.addTo(this._map);
+        })
+        .catch(err => console.error(err.message));
+    },
+
+    onRemove(map) {
+        map.getContainer().style.background = '';
+        if (this._group) map.removeLayer(this._group);
+    },
+
+    getAttribution() {
+        return this.options.attribution;
+    },
+
+    _build(data) {
+        const renderer = L.canvas({ pane: this.options.pane, padding: 0.5 });
+        const common = { renderer, interactive: false };
+        return L.layerGroup([
+            L.polygon(data.land.map(poly => poly.map(toLatLngs)), { ...common, ...STYLES.land }),
+            L.polygon(data.lakes.map(poly => poly.map(toLatLngs)), { ...common, ...STYLES.lakes }),
+            L.polyline(data.borders.map(toLatLngs), { ...common, ...STYLES.borders })
+        ]);
+    }
+});
+
+export function offlineBaseLayer(options) {
+    return new OfflineBaseLayer(options);
+}
+
+export const AirportLayer = L.Layer.extend({
+    options: {
+        pane: 'overlayPane',
+        limit: 500
+    },
+
+    initialize(options) {
+        L.setOptions(this, options);
+        this._markers = L.layerGroup();
+        this._byIdent = new Map();      // ident → marker
+        this._controller = null;
+    },
+
+    onAdd(map) {
+        this._markers.addTo(map);
+        map.on('moveend', this._update, this);
+        this._update();
+    },
+
+    onRemove(map) {
+        map.off('moveend', this._update, this);
+        if (this._controller) this._controller.abort();
+        map.removeLayer(this._markers);
+    },
+
+    _update() {
+        const map = this._map;
+        if (this._controller) this._controller.abort();
+        this._controller = new AbortController();
+        const { types } = AIRPORT_TYPES.find(entry => map.getZoom() >= entry.minZoom);
+
+        getAirports(map.getBounds(), types, this.options.limit, this._controller.signal)
+        .then(airports => {
+            // Markers still in view are kept, so an open popup survives the move
+            const wanted = new Set(airports.map(a => a.ident));
+            for (const [ident, marker] of this._byIdent) {
+                if (!wanted.has(ident)) {
+                    this._markers.removeLayer(marker);
+                    this._byIdent.delete(ident);
+                }
+            }
+            airports.forEach(a => {
+                if (this._byIdent.has(a.ident)) return;
+                const marker = L.circleMarker([a.lat, a.lon], {
+                    pane: this.options.pane,
+                    weight: 1,
+                    fillOpacity: 0.9,
+                    ...AIRPORT_STYLES[a.type]
+                })
+                .bindTooltip(`<b>${escapeHtml(a.ident)}</b> ${escapeHtml(a.name)}`, { direction: 'top' })
+                .bindPopup(airportPopup(a))
+                .addTo(this._markers);
+                this._byIdent.set(a.ident, marker);
+            });
+        })
+        .catch(err => {
+            if (err.name !== 'AbortError') console.warn('Airport layer:', err.message);
+        });
+    }
+});
+
+export function airportLayer(options) {
+    return new AirportLayer(options);
+}
+
+/**
+ * Watches a tile layer and reports when it cannot load anything
+ * @param {L.TileLayer} layer - Online base layer
+ * @param {Function} onFailure - Called once the layer had `maxErrors` failed tiles and no loaded one
+ * @param {number} [maxErrors=4]
+ */
+export function osmFailureWatcher(layer, onFailure, maxErrors = 4) {
+    let loaded = 0;
+    let failed = 0;
+    layer.on('tileload', () => { loaded++; });
+    layer.on('tileerror', () => {
+        failed++;
+        if (!loaded && failed === maxErrors) onFailure();
+    });
+}
@@ -0,0 +1,140 @@
+// Save as: js/presets.js
+/**
+ * Presets Module
+ *
+ * Named sets of job parameters (size, sdwn, over, server, radius) kept in
+ * localStorage, optionally carrying the DAA planner settings and the date
+ * filter. Presets can be exported to and imported from a JSON file so they
+ * can be shared.
+ *
+ * Relationships:
+ * - main.js: applies/saves presets through the controls in ui.js
+ * - daaPlanner.js: shape of the optional `daa` settings
+ * - i18n.js: error messages
+ */
+
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'photoscenery.presets';
+const ACTIVE_KEY = 'photoscenery.activePreset';
+const FILE_FORMAT = 'photoscenery-presets';
+
+// Seeded on first use, then freely edited or deleted
+const DEFAULT_PRESETS = [
+    { name: 'Airport detail', size: 6, sdwn: 3, over: 1, server: 1, radius: 5 },
+    { name: 'En-route low-res', size: 3, sdwn: 0, over: 0, server: 1, radius: 30 },
+    { name: 'Spain PNOA high-res', size: 5, sdwn: 2, over: 1, server: 3, radius: 20 }
+];
+
+const intIn = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+/**
+ * Validates a preset and keeps only the known fields
+ * @param {Object} raw - Preset candidate (e.g. from an imported file)
+ * @returns {Object|null} Clean preset, or null if invalid
+ */
+export function normalizePreset(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    if (!intIn(raw.size, 0, 6) || !intIn(raw.sdwn, -1, 6) || !intIn(raw.over, 0, 2) ||
+        !intIn(raw.server, 1, 999) || !(raw.radius > 0)) {
+        return null;
+    }
+
+    const preset = {
+        name: raw.name.trim(),
+        size: raw.size,
+        sdwn: raw.sdwn,
+        over: raw.over,
+        server: raw.server,
+        radius: raw.radius
+    };
+    if (raw.daa && typeof raw.daa === 'object') preset.daa = raw.daa;
+    if (intIn(raw.dateFilterIndex, 0, 6)) preset.dateFilterIndex = raw.dateFilterIndex;
+    return preset;
+}
+
+/**
+ * Reads the saved presets (the defaults on first use)
+ * @returns {Array<Object>} Sorted by name
+ */
+export function loadPresets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        const list = Array.isArray(saved) ? saved : DEFAULT_PRESETS;
+        return list.map(normalizePreset).filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (err) {
+        console.warn('Presets: saved presets unreadable, using defaults.', err);
+        return DEFAULT_PRESETS.map(p => ({ ...p }));
+    }
+}
+
+function savePresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
+
+/**
+ * Adds a preset or replaces the one with the same name
+ * @param {Object} preset
+ * @returns {Array<Object>} Updated list
+ * @throws {Error} If the preset is invalid
+ */
+export function upsertPreset(preset) {
+    const clean = normalizePreset(preset);
+    if (!clean) throw new Error(t('preset.invalid'));
+    const presets = loadPresets().filter(p => p.name !== clean.name);
+    presets.push(clean);
+    savePresets(presets);
+    return loadPresets();
+}
+
+/**
+ * Deletes a preset by name
+ * @param {string} name
+ * @returns {Array<Object>} Updated list
+ */
+export function deletePreset(name) {
+    savePresets(loadPresets().filter(p => p.name !== name));
+    if (getActivePresetName() === name) setActivePresetName(null);
+    return loadPresets();
+}
+
+/**
+ * @returns {string|null} Name of the preset last applied
+ */
+export function getActivePresetName() {
+    return localStorage.getItem(ACTIVE_KEY);
+}
+
+/**
+ * Remembers the preset last applied (null once the controls are edited)
+ * @param {string|null} name
+ */
+export function setActivePresetName(name) {
+    if (name) localStorage.setItem(ACTIVE_KEY, name);
+    else localStorage.removeItem(ACTIVE_KEY);
+}
+
+/**
+ * Serializes all presets for sharing
+ * @returns {string} JSON document
+ */
+export function exportPresets() {
+    return JSON.stringify({ format: FILE_FORMAT, version: 1, presets: loadPresets() }, null, 2);
+}
+
+/**
+ * Merges the presets of an exported file; same-name presets are replaced
+ * @param {string} text - JSON document (exportPresets output or a plain array)
+ * @returns {{imported: number, skipped: number}}
+ * @throws {Error} If the file is not a presets file
+ */
+export function importPresets(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : (data && data.format === FILE_FORMAT ? data.presets : null);
+    if (!Array.isArray(list)) throw new Error(t('preset.notPresetsFile'));
+
+    const valid = list.map(normalizePreset).filter(Boolean);
+    const names = new Set(valid.map(p => p.name));
+    savePresets([...loadPresets().filter(p => !names.has(p.name)), ...valid]);
+    return { imported: valid.length, skipped: list.length - valid.length };
+}
@@ -0,0 +1,172 @@
+// Save as: js/routeImport.js
+/**
+ * Route Import Module
+ *
+ * Parses flight plans in the browser and turns them into download corridors.
+ * It understands the same two formats handled on the Julia side by
+ * Route.getRouteListFormatGPX! and Route.getRouteListFormatFGFS!:
+ * - GPX 1.1 files with <rtept> (routes) or <trkpt> (tracks) points
+ * - FlightGear route-manager files (<PropertyList><route><wp>)
+ *
+ * FlightGear waypoints that carry only an <icao> element (e.g. the departure
+ * runway) are resolved through a caller-supplied resolver, normally
+ * api.resolveIcao, so no airport database is needed in the browser.
+ *
+ * Relationships:
+ * - geo.js: distances and great-circle stepping along each leg
+ * - main.js: loads files, draws the route through ui.js and queues the
+ *   corridor circles with api.startJob
+ * - i18n.js: error messages
+ */
+
+import { distanceNm, initialBearing, destinationPoint } from './geo.js';
+import { t } from './i18n.js';
+
+/**
+ * Parses the text of a route file
+ * @param {string} text - File content (XML)
+ * @param {string} [fileName] - Original file name, used as fallback route name
+ * @returns {{name: string, format: string, waypoints: Array<Object>}}
+ *          Waypoints are {lat, lon, name}; unresolved FGFS airports have
+ *          lat/lon set to null and an `icao` field instead.
+ * @throws {Error} If the document is not a GPX or FlightGear route
+ */
+export function parseRouteText(text, fileName = '') {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error(t('route.invalidXml'));
+    }
+
+    const rootName = doc.documentElement.nodeName.toLowerCase();
+    const fallbackName = fileName.replace(/\.[^.]+$/, '');
+
+    if (rootName === 'gpx') {
+        return parseGpx(doc, fallbackName);
+    }
+    if (rootName === 'propertylist') {
+        return parseFgfsRoute(doc, fallbackName);
+    }
+    throw new Error(t('route.unsupported', { root: doc.documentElement.nodeName }));
+}
+
+function parseGpx(doc, fallbackName) {
+    // Routes take precedence over tracks, as in the Julia loader
+    let points = [...doc.getElementsByTagName('rtept')];
+    if (!points.length) points = [...doc.getElementsByTagName('trkpt')];
+
+    const waypoints = points.map((pt, i) => ({
+        lat: parseFloat(pt.getAttribute('lat')),
+        lon: parseFloat(pt.getAttribute('lon')),
+        name: childText(pt, 'name') || `WP${i + 1}`
+    })).filter(wp => Number.isFinite(wp.lat) && Number.isFinite(wp.lon));
+
+    const nameNode = doc.querySelector('rte > name, trk > name, metadata > name');
+    return {
+        name: nameNode ? nameNode.textContent.trim() : fallbackName,
+        format: 'GPX',
+        waypoints
+    };
+}
+
+function parseFgfsRoute(doc, fallbackName) {
+    const route = doc.querySelector('PropertyList > route');
+    if (!route) throw new Error(t('route.noRouteElement'));
+
+    const waypoints = [];
+    for (const wp of route.getElementsByTagName('wp')) {
+        const lat = parseFloat(childText(wp, 'lat'));
+        const lon = parseFloat(childText(wp, 'lon'));
+        const icao = childText(wp, 'icao');
+        const name = childText(wp, 'ident') || icao || `WP${waypoints.length + 1}`;
+
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+            waypoints.push({ lat, lon, name });
+        } else if (icao) {
+            // Same fallback as Route.getRouteListFormatFGFS!: locate the airport
+            waypoints.push({ lat: null, lon: null, name: icao, icao });
+        }
+    }
+
+    const dep = childText(doc.querySelector('PropertyList > departure'), 'airport');
+    const dest = childText(doc.querySelector('PropertyList > destination'), 'airport');
+    return {
+        name: dep && dest ? `${dep}-${dest}` : fallbackName,
+        format: 'FGFS',
+        waypoints
+    };
+}
+
+function childText(node, tag) {
+    if (!node) return '';
+    const child = [...node.children].find(c => c.nodeName === tag);
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Fills in the coordinates of waypoints known only by ICAO code.
+ * Waypoints that cannot be resolved are dropped.
+ * @param {Object} route - Route returned by parseRouteText
+ * @param {Function} resolver - icao => Promise<{lat, lon}>
+ * @returns {Promise<Object>} The same route with every waypoint located
+ */
+export async function resolveRouteWaypoints(route, resolver) {
+    const resolved = [];
+    for (const wp of route.waypoints) {
+        if (wp.lat !== null && wp.lon !== null) {
+            resolved.push(wp);
+            continue;
+        }
+        try {
+            const coords = await resolver(wp.icao);
+            resolved.push({ ...wp, lat: coords.lat, lon: coords.lon });
+        } catch (err) {
+            console.warn(`Route import: cannot resolve waypoint ${wp.icao}, skipped.`);
+        }
+    }
+    return { ...route, waypoints: resolved };
+}
+
+/**
+ * Computes the circles needed to cover a corridor along the route.
+ *
+ * Circles are centred on the route line and spaced one radius apart. With a
+ * radius of (width / 2) · 2/√3 the lens shared by two neighbouring circles is
+ * exactly as wide as the corridor, so no gap is left between them.
+ *
+ * @param {Array<{lat: number, lon: number}>} waypoints - Located waypoints
+ * @param {number} widthNm - Total corridor width in nautical miles
+ * @returns {Array<{lat: number, lon: number, radius: number}>} Radius in NM
+ */
+export function buildCorridorCircles(waypoints, widthNm) {
+    if (!waypoints.length || !(widthNm > 0)) return [];
+
+    const radius = (widthNm / 2) * 2 / Math.sqrt(3);
+    const step = radius;
+    const circles = [{ lat: waypoints[0].lat, lon: waypoints[0].lon, radius }];
+
+    // Distance already travelled since the last circle, carried across legs
+    let sinceLast = 0;
+
+    for (let i = 1; i < waypoints.length; i++) {
+        const from = waypoints[i - 1];
+        const to = waypoints[i];
+        const legNm = distanceNm(from.lat, from.lon, to.lat, to.lon);
+        const bearing = initialBearing(from.lat, from.lon, to.lat, to.lon);
+
+        let along = step - sinceLast;
+        while (along < legNm) {
+            const p = destinationPoint(from.lat, from.lon, along, bearing);
+            circles.push({ lat: p.lat, lon: p.lon, radius });
+            along += step;
+        }
+        sinceLast = legNm - (along - step);
+    }
+
+    // Always close the corridor on the final waypoint
+    const last = waypoints[waypoints.length - 1];
+    const prev = circles[circles.length - 1];
+    if (distanceNm(prev.lat, prev.lon, last.lat, last.lon) > step * 0.25) {
+        circles.push({ lat: last.lat, lon: last.lon, radius });
+    }
+    return circles;
+}
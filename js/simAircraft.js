@@ -0,0 +1,126 @@
+// Save as: js/simAircraft.js
+/**
+ * Simulated Aircraft Module
+ *
+ * Moves a virtual aircraft so that "Download around aircraft" (DAA) can be
+ * tested, or a whole planned flight pre-fetched, without FlightGear.
+ * The aircraft follows a loaded route or flies a fixed heading from a start
+ * point, at a chosen groundspeed and time compression.
+ *
+ * Positions are emitted with the same shape as the server "position" event
+ * (/api/fgfs-status): {active, lat, lon, heading, altitude, speed}, speed in
+ * mph as computed by Connector.jl, plus `simulated: true`.
+ *
+ * Relationships:
+ * - geo.js: great-circle stepping along the legs
+ * - main.js: feeds the positions to the aircraft marker and the DAA logic
+ */
+
+import { distanceNm, initialBearing, destinationPoint } from './geo.js';
+
+const MPH_PER_KT = 1.15078;
+const TICK_MS = 1000;
+
+let sim = null;
+
+/**
+ * Starts the simulation, replacing any running one
+ * @param {Object} options
+ * @param {Array<{lat: number, lon: number}>} [options.waypoints] - Route to follow (2+ points)
+ * @param {{lat: number, lon: number}} [options.start] - Start point when no route is given
+ * @param {number} [options.heading] - True heading (deg) when no route is given
+ * @param {number} options.speedKt - Groundspeed in knots
+ * @param {number} options.altitudeFt - Altitude AGL in feet
+ * @param {number} [options.timeScale=1] - Simulated seconds per real second
+ * @param {Function} options.onPosition - Receives each position payload
+ * @param {Function} [options.onEnd] - Called when the end of the route is reached
+ * @throws {Error} If neither a route nor a start point and heading are given
+ */
+export function startSimulation(options) {
+    stopSimulation();
+
+    const { waypoints, start, heading, speedKt, altitudeFt, timeScale = 1, onPosition, onEnd } = options;
+    const useRoute = Array.isArray(waypoints) && waypoints.length >= 2;
+    if (!useRoute && (!start || !Number.isFinite(heading))) {
+        throw new Error('A route or a start point and heading are required');
+    }
+
+    sim = {
+        waypoints: useRoute ? waypoints : null,
+        leg: 0,                                   // index of the leg start waypoint
+        pos: useRoute ? { lat: waypoints[0].lat, lon: waypoints[0].lon } : { ...start },
+        heading: useRoute ? initialBearing(waypoints[0].lat, waypoints[0].lon, waypoints[1].lat, waypoints[1].lon) : heading,
+        speedKt,
+        altitudeFt,
+        timeScale,
+        onPosition,
+        onEnd,
+        lastTs: Date.now(),
+        timer: null
+    };
+    sim.timer = setInterval(tick, TICK_MS);
+    emit();
+}
+
+/**
+ * Stops the simulation (no-op when none is running)
+ */
+export function stopSimulation() {
+    if (!sim) return;
+    clearInterval(sim.timer);
+    sim = null;
+}
+
+/**
+ * @returns {boolean} Whether a simulation is running
+ */
+export function isSimulating() {
+    return sim !== null;
+}
+
+function emit() {
+    sim.onPosition({
+        active: true,
+        lat: sim.pos.lat,
+        lon: sim.pos.lon,
+        heading: sim.heading,
+        altitude: sim.altitudeFt,
+        speed: sim.speedKt * MPH_PER_KT,
+        simulated: true
+    });
+}
+
+function tick() {
+    const now = Date.now();
+    let stepNm = sim.speedKt * sim.timeScale * (now - sim.lastTs) / 3600000;
+    sim.lastTs = now;
+
+    if (!sim.waypoints) {
+        sim.pos = destinationPoint(sim.pos.lat, sim.pos.lon, stepNm, sim.heading);
+        emit();
+        return;
+    }
+
+    // Consume the step across as many legs as needed
+    while (stepNm > 0) {
+        const next = sim.waypoints[sim.leg + 1];
+        const toNext = distanceNm(sim.pos.lat, sim.pos.lon, next.lat, next.lon);
+        if (stepNm < toNext) {
+            sim.heading = initialBearing(sim.pos.lat, sim.pos.lon, next.lat, next.lon);
+            sim.pos = destinationPoint(sim.pos.lat, sim.pos.lon, stepNm, sim.heading);
+            break;
+        }
+        stepNm -= toNext;
+        sim.pos = { lat: next.lat, lon: next.lon };
+        sim.leg++;
+
+        if (sim.leg >= sim.waypoints.length - 1) {
+            const { onEnd } = sim;
+            emit();
+            stopSimulation();
+            if (onEnd) onEnd();
+            return;
+        }
+    }
+    emit();
+}
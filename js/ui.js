@@ -8,6 +8,17 @@
  * - Visual feedback and updates
  */
 
+import { coverageLayer as createCoverageLayer } from './coverageLayer.js';
+import { bucketGridLayer as createBucketGridLayer } from './bucketGridLayer.js';
+import { altitudeColor } from './flightTrack.js';
+import { LEVEL_COLORS, barChartSvg, levelMixSvg, formatBytes } from './coverageStats.js';
+import { tileColor, cellRank, legendEntries, serverPalette } from './coverageColors.js';
+import { imageryLayer, imagerySwipe, IMAGERY_MIN_ZOOM } from './imageryCompare.js';
+import { localOrthoLayer } from './localOrthoLayer.js';
+import { offlineBaseLayer, airportLayer, osmFailureWatcher } from './offlineBaseMap.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+import { escapeHtml } from './html.js';
+
 // DOM elements and map references
 
 const elements = {
@@ -35,7 +46,70 @@ const elements = {
     btnFillHoles: document.getElementById('btn-fill-holes'),
     dateFilterSlider: document.getElementById('date-filter-slider'),
     dateFilterLabel: document.getElementById('date-filter-label'),
-    serverSelect: document.getElementById('server')
+    serverSelect: document.getElementById('server'),
+    routeFileInput: document.getElementById('route-file'),
+    corridorWidthInput: document.getElementById('corridor-width'),
+    corridorSizeInput: document.getElementById('corridor-size'),
+    routeInfo: document.getElementById('route-info'),
+    btnQueueCorridor: document.getElementById('btn-queue-corridor'),
+    btnClearRoute: document.getElementById('btn-clear-route'),
+    jobList: document.getElementById('job-list'),
+    shapeSelect: document.getElementById('shape-select'),
+    btnCutHole: document.getElementById('btn-cut-hole'),
+    bucketGridToggle: document.getElementById('bucket-grid-toggle'),
+    localOrthoToggle: document.getElementById('local-ortho-toggle'),
+    airportsToggle: document.getElementById('airports-toggle'),
+    icaoStatus: document.getElementById('icao-status'),
+    tileSearchInput: document.getElementById('tile-search'),
+    btnTileSearch: document.getElementById('btn-tile-search'),
+    daaSettingsPanel: document.getElementById('daa-settings'),
+    daaLeadInput: document.getElementById('daa-lead-min'),
+    daaReplanInput: document.getElementById('daa-replan-min'),
+    daaRadiusInput: document.getElementById('daa-radius'),
+    daaMaxRadiusInput: document.getElementById('daa-max-radius'),
+    daaIntervalInput: document.getElementById('daa-interval'),
+    daaSkipCoveredInput: document.getElementById('daa-skip-covered'),
+    daaOverSelect: document.getElementById('daa-over'),
+    trackInfo: document.getElementById('track-info'),
+    btnTrackRecord: document.getElementById('btn-track-record'),
+    simSourceSelect: document.getElementById('sim-source'),
+    simSpeedInput: document.getElementById('sim-speed'),
+    simAltitudeInput: document.getElementById('sim-altitude'),
+    simTimeScaleSelect: document.getElementById('sim-time-scale'),
+    btnSim: document.getElementById('btn-sim'),
+    simInfo: document.getElementById('sim-info'),
+    presetSelect: document.getElementById('preset-select'),
+    presetFileInput: document.getElementById('preset-file'),
+    presetIncludeDaa: document.getElementById('preset-include-daa'),
+    presetIncludeDate: document.getElementById('preset-include-date'),
+    statsPanel: document.getElementById('stats-panel'),
+    batchBar: document.getElementById('batch-bar'),
+    batchInfo: document.getElementById('batch-info'),
+    batchUpgradeSize: document.getElementById('batch-upgrade-size'),
+    colorModeSelect: document.getElementById('color-mode'),
+    dateFilterModeSelect: document.getElementById('date-filter-mode'),
+    datePresetControls: document.getElementById('date-preset-controls'),
+    dateRangeControls: document.getElementById('date-range-controls'),
+    dateOlderControls: document.getElementById('date-older-controls'),
+    dateFromInput: document.getElementById('date-from'),
+    dateToInput: document.getElementById('date-to'),
+    dateOlderDaysInput: document.getElementById('date-older-days'),
+    btnRefreshStale: document.getElementById('btn-refresh-stale'),
+    btnServerDelete: document.getElementById('btn-server-delete'),
+    serverForm: document.getElementById('server-form'),
+    serverNameInput: document.getElementById('server-name'),
+    serverTypeSelect: document.getElementById('server-type'),
+    serverUrlInput: document.getElementById('server-url'),
+    serverLayersRow: document.getElementById('server-layers-row'),
+    serverLayersInput: document.getElementById('server-layers'),
+    serverBoundsInputs: ['server-lon-w', 'server-lat-s', 'server-lon-e', 'server-lat-n'].map(id => document.getElementById(id)),
+    serverMaxSizeSelect: document.getElementById('server-max-size'),
+    serverCommentInput: document.getElementById('server-comment'),
+    compareModeSelect: document.getElementById('compare-mode'),
+    baseMapSelect: document.getElementById('base-map-mode'),
+    baseMapStatus: document.getElementById('base-map-status'),
+    compareStatus: document.getElementById('compare-status'),
+    localeSelect: document.getElementById('locale-select')
 };
 
 const CROSSHAIR_SVG_ICON_HTML = '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 32 32">' +
@@ -51,75 +125,339 @@ const AIRPLANE_SVG_ICON_HTML = '<svg xmlns="http://www.w3.org/2000/svg" width="2
 '<path fill="#333333" d="M21 16v-2l-8-5V3.5c0-.83-.67-1.5-1.5-1.5S10 2.67 10 3.5V9l-8 5v2l8-2.5V19l-2 1.5V22l3.5-1 3.5 1v-1.5L13 19v-5.5l8 2.5z"/></svg>';
 
 // Map layers and markers
-let coverageLayer = L.layerGroup().addTo(elements.map);
+const coverageLayer = createCoverageLayer({
+    style: tile => getCoverageStyle(tile, 'resolution', new Date()),
+    popupContent: tile => `ID: ${tile.id}<br>${t('tile.resolution', { size: String(tile.sizeId) })}${tile.protected ? ` 🔒 ${t('tile.protected')}` : ''}` +
+        (tile.last_modified ? `<br>${t('tile.modified', { date: formatDate(tile.last_modified) })}` : '') +
+        `<br><button class="preview-button" data-tile-id="${tile.id}" data-size-id="${tile.sizeId}">${t('tile.viewPreview')}</button> ` +
+        `<button class="dds-button" data-tile-id="${tile.id}" title="${t('tile.ddsViewerTitle')}">${t('tile.ddsViewer')}</button>${tileActionsHtml(tile)}`
+}).addTo(elements.map);
 let aircraftMarker = null;
+let routeLayer = L.layerGroup().addTo(elements.map);
+let corridorLayer = L.layerGroup().addTo(elements.map);
+let bucketGrid = null;                  // Bucket grid overlay, created on first use
+let highlightedTile = null;             // Rectangle of the last tile search
+let trackLayer = L.layerGroup().addTo(elements.map);
+let trackRun = null;                    // Polyline currently extended ({line, color})
+let serverCoverageLayer = null;         // Outline of the area covered by a map server
+let serverImagery = null;               // Imagery of the selected map server (proxy)
+let localOrtho = null;                  // Downloaded tiles drawn from their previews
+let localOrthoShown = false;            // "Show downloaded orthophotos" checkbox
+let compareMode = 'off';                // Server imagery compare mode
+let imageryStatus = 'ok';               // Last status of the server imagery (showImageryStatus)
+let imagerySwipeLayer = null;           // Swipe divider of the compare modes
+let osmLayer = null;                    // OpenStreetMap tiles
+let offlineBase = null;                 // Bundled offline base map, created on first use
+let airports = null;                    // Airport markers, created on first use
+let airportsShown = false;              // "Show airports" checkbox
+let baseMapMode = 'auto';               // Base map selected (setBaseMap)
+let osmUnreachable = false;             // OSM tiles failed to load in this session
+let coverageLegend = null;              // Legend control of the colouring mode
+let legendKey = null;                   // Content currently shown in the legend
 
 /**
- * Initializes the base map with OpenStreetMap tiles
- */
-
-/**
- * Updates map coverage display with filtered tiles
+ * Updates map coverage display with filtered tiles.
+ * The canvas layer diffs the dataset, so calling this with an unchanged
+ * coverage.json only re-applies filters and opacity.
  * @param {Array} coverageData - Tile coverage information
  * @param {Set} allowedResolutions - Set of allowed resolution IDs
  * @param {number} currentOpacity - Current opacity setting
+ * @param {Object} dateFilter - Date filter ({mode, index, from, to, days}, see passesDateFilter)
+ * @param {Date|null} sessionStartTime - Server start time, for "This Session"
+ * @param {string} [colorMode='resolution'] - Colouring mode (coverageColors.js COLOR_MODES)
  */
-function updateMapCoverage(coverageData, allowedResolutions, currentOpacity, dateFilterIndex, sessionStartTime) {
-    coverageLayer.clearLayers();
+function updateMapCoverage(coverageData, allowedResolutions, currentOpacity, dateFilter, sessionStartTime, colorMode = 'resolution') {
     const now = new Date();
+    const servers = serverPalette(coverageData);
+    coverageLayer.setOpacity(currentOpacity);
+    coverageLayer.setFilter(tile =>
+        allowedResolutions.has(tile.sizeId) &&
+        passesDateFilter(tile, dateFilter, sessionStartTime, now)
+    );
+    coverageLayer.setStyle(tile => getCoverageStyle(tile, colorMode, now, servers), cellRank(colorMode, now));
+    coverageLayer.setData(coverageData);
+    if (localOrtho) localOrtho.refresh();
+    renderCoverageLegend(legendEntries(colorMode, {
+        tiles: coverageData,
+        allowedResolutions,
+        serverNames: getServerNames(),
+        servers
+    }));
+}
 
-    coverageData.forEach(tile => {
-        // --- LOGICA DI FILTRO TEMPORALE ---
-        // Se il filtro è su "All Time" (indice 5), saltiamo tutti i controlli sulla data.
-        if (dateFilterIndex !== 6) {
-            // Per qualsiasi altro filtro attivo, il tile DEVE avere una data valida.
-            if (!tile.last_modified || typeof tile.last_modified !== 'string') {
-                return; // Se non ha una data, lo nascondiamo e passiamo al prossimo.
-            }
+// Protected tiles keep a black outline whatever the colouring mode
+function getCoverageStyle(tile, colorMode, now, servers) {
+    const color = tileColor(colorMode, tile, now, servers);
+    return tile.protected
+        ? { color: '#000', weight: 2, fillColor: color }
+        : { color, weight: 1, fillColor: color };
+}
 
-            const tileDate = new Date(tile.last_modified.replace(' ', 'T'));
-            let showTile = false; // Il default ora è NASCONDERE.
-
-            switch (dateFilterIndex) {
-                case 0: // Sessione
-                    if (sessionStartTime) showTile = tileDate >= sessionStartTime;
-                    break;
-                case 1: // Oggi (ultime 24 ore)
-                    showTile = (now - tileDate) < (24 * 3600 * 1000);
-                    break;
-                case 2: // Ieri (ultime 48 ore)
-                    const today = new Date();
-                    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-                    const startOfYesterday = new Date(startOfToday);
-                    startOfYesterday.setDate(startOfYesterday.getDate() - 1);
-                    // Il tile deve essere compreso tra l'inizio di ieri e l'inizio di oggi
-                    showTile = tileDate >= startOfYesterday && tileDate < startOfToday;
-                    break;
-                case 3: // Ultima Settimana
-                    showTile = (now - tileDate) < (7 * 24 * 3600 * 1000);
-                    break;
-                case 4: // Ultimo Mese (30 giorni)
-                    showTile = (now - tileDate) < (30 * 24 * 3600 * 1000);
-                    break;
-                case 5: // Ultimo Anno (365 giorni)
-                    showTile = (now - tileDate) < (365 * 24 * 3600 * 1000);
-                    break;
-            }
+// Server id → name, from the options of the server dropdown ("1: Arcgis")
+function getServerNames() {
+    const names = {};
+    [...elements.serverSelect.options].forEach(opt => {
+        names[opt.value] = opt.dataset.name || opt.textContent.replace(/^\s*\d+:\s*/, '');
+    });
+    return names;
+}
 
-            if (!showTile) {
-                return; // Se il tile non passa il controllo specifico, lo nascondiamo.
-            }
-        }
-        // --- FINE LOGICA FILTRO ---
+/**
+ * Shows the legend of the colouring mode in the bottom-left corner of the map
+ * @param {{title: string, items: Array<{color: string, label: string, inactive?: boolean}>, note?: string}} legend
+ */
+function renderCoverageLegend(legend) {
+    // Labels are plain text: server names come from params.xml and the GUI form
+    const html = `<div class="legend-title">${escapeHtml(legend.title)}</div>` +
+        legend.items.map(item =>
+            `<div${item.inactive ? ` class="legend-inactive" title="${escapeHtml(t('legend.hiddenByFilter'))}"` : ''}>` +
+            `<span class="legend-swatch" style="background: ${item.color};"></span>${escapeHtml(item.label)}</div>`).join('') +
+        (legend.note ? `<div class="legend-note">${escapeHtml(legend.note)}</div>` : '');
+    if (html === legendKey) return;
+    legendKey = html;
 
-        // Filtro per risoluzione.
-        if (!allowedResolutions.has(tile.sizeId)) return;
+    if (!coverageLegend) {
+        coverageLegend = L.control({ position: 'bottomleft' });
+        coverageLegend.onAdd = () => L.DomUtil.create('div', 'coverage-legend');
+        coverageLegend.addTo(elements.map);
+    }
+    coverageLegend.getContainer().innerHTML = html;
+}
 
-        // Disegno del tile sulla mappa (invariato)
-        const popupHtml = `ID: ${tile.id}<br>Resolution: ${tile.sizeId}<br><button class="preview-button" data-tile-id="${tile.id}" data-size-id="${tile.sizeId}">View Preview</button>`;
-        const bounds = [[tile.bbox.latLL, tile.bbox.lonLL], [tile.bbox.latUR, tile.bbox.lonUR]];
-        L.rectangle(bounds, {...getStyleForSizeId(tile.sizeId), fillOpacity: currentOpacity, opacity: 1}).addTo(coverageLayer).bindPopup(popupHtml);
-    });
+/**
+ * Checks a tile against the date filter
+ * @param {Object} tile - coverage.json entry
+ * @param {Object} dateFilter
+ * @param {string} dateFilter.mode - 'preset' (slider), 'range' or 'older'
+ * @param {number} dateFilter.index - Slider index of the preset mode (6 = All Time)
+ * @param {string} dateFilter.from - First day of the range mode (YYYY-MM-DD, '' = no limit)
+ * @param {string} dateFilter.to - Last day of the range mode, included
+ * @param {number} dateFilter.days - Minimum age in days of the "older than" mode
+ * @param {Date|null} sessionStartTime - Server start time
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the tile must be shown
+ */
+function passesDateFilter(tile, dateFilter, sessionStartTime, now) {
+    // --- LOGICA DI FILTRO TEMPORALE ---
+    // Se il filtro è su "All Time" (indice 6), saltiamo tutti i controlli sulla data.
+    if (dateFilter.mode === 'preset' && dateFilter.index === 6) return true;
+
+    // Per qualsiasi altro filtro attivo, il tile DEVE avere una data valida.
+    if (!tile.last_modified || typeof tile.last_modified !== 'string') {
+        return false; // Se non ha una data, lo nascondiamo.
+    }
+
+    const tileDate = new Date(tile.last_modified.replace(' ', 'T'));
+
+    if (dateFilter.mode === 'range') {
+        // Giorni in ora locale, come last_modified; il giorno finale è incluso
+        const from = dateFilter.from ? new Date(`${dateFilter.from}T00:00:00`) : null;
+        const to = dateFilter.to ? new Date(`${dateFilter.to}T00:00:00`) : null;
+        if (to) to.setDate(to.getDate() + 1);
+        return (!from || tileDate >= from) && (!to || tileDate < to);
+    }
+    if (dateFilter.mode === 'older') {
+        return (now - tileDate) >= dateFilter.days * 24 * 3600 * 1000;
+    }
+
+    switch (dateFilter.index) {
+        case 0: // Sessione
+            return sessionStartTime ? tileDate >= sessionStartTime : false;
+        case 1: // Oggi (ultime 24 ore)
+            return (now - tileDate) < (24 * 3600 * 1000);
+        case 2: // Ultimi 2 giorni (48 ore)
+            return (now - tileDate) < (2 * 24 * 3600 * 1000);
+        case 3: // Ultima Settimana
+            return (now - tileDate) < (7 * 24 * 3600 * 1000);
+        case 4: // Ultimo Mese (30 giorni)
+            return (now - tileDate) < (30 * 24 * 3600 * 1000);
+        case 5: // Ultimo Anno (365 giorni)
+            return (now - tileDate) < (365 * 24 * 3600 * 1000);
+    }
+    return false; // Il default è NASCONDERE.
+}
+
+/**
+ * Reads the date filter controls
+ * @returns {{mode: string, index: number, from: string, to: string, days: number}}
+ */
+function readDateFilterControls() {
+    const days = parseInt(elements.dateOlderDaysInput.value, 10);
+    return {
+        mode: elements.dateFilterModeSelect.value,
+        index: parseInt(elements.dateFilterSlider.value, 10),
+        from: elements.dateFromInput.value,
+        to: elements.dateToInput.value,
+        days: days > 0 ? days : 365
+    };
+}
+
+/**
+ * Shows a date filter in the controls (only the inputs of its mode are visible)
+ * @param {Object} dateFilter - Same shape as readDateFilterControls()
+ * @param {string} presetLabel - Label of the slider position
+ */
+function showDateFilter(dateFilter, presetLabel) {
+    elements.dateFilterModeSelect.value = dateFilter.mode;
+    elements.dateFilterSlider.value = dateFilter.index;
+    elements.dateFilterLabel.textContent = presetLabel;
+    elements.dateFromInput.value = dateFilter.from;
+    elements.dateToInput.value = dateFilter.to;
+    elements.dateOlderDaysInput.value = dateFilter.days;
+
+    elements.datePresetControls.style.display = dateFilter.mode === 'preset' ? 'flex' : 'none';
+    elements.dateRangeControls.style.display = dateFilter.mode === 'range' ? 'flex' : 'none';
+    elements.dateOlderControls.style.display = dateFilter.mode === 'older' ? 'flex' : 'none';
+}
+
+/**
+ * Fills the map server dropdown from the catalogue, keeping the selection
+ * @param {Array} servers - /api/servers entries
+ */
+function renderServerOptions(servers) {
+    const selected = elements.serverSelect.value;
+    elements.serverSelect.innerHTML = servers.map(srv => {
+        const area = srv.bounds.length ? '' : ` (${t('server.worldwide')})`;
+        const title = [srv.comment, srv.urlTemplate].filter(Boolean).join('\n');
+        return `<option value="${srv.id}" data-name="${escapeHtml(srv.name)}" title="${escapeHtml(title)}">${srv.id}: ${escapeHtml(srv.name)}${area}${srv.custom ? ' ★' : ''}</option>`;
+    }).join('');
+    if (servers.some(srv => String(srv.id) === selected)) elements.serverSelect.value = selected;
+}
+
+/**
+ * Outlines the area covered by a map server (null removes the outline)
+ * @param {Object|null} server - Catalogue entry
+ * @returns {boolean} Whether something was drawn (false for worldwide servers)
+ */
+function showServerCoverage(server) {
+    if (serverCoverageLayer) elements.map.removeLayer(serverCoverageLayer);
+    serverCoverageLayer = null;
+    if (!server || !server.bounds.length) return false;
+
+    serverCoverageLayer = L.featureGroup(server.bounds.map(([lonW, latS, lonE, latN]) =>
+        L.rectangle([[latS, lonW], [latN, lonE]], {
+            color: '#e67e22', weight: 2, dashArray: '6 4', fill: false, interactive: false
+        }))).addTo(elements.map);
+    elements.map.fitBounds(serverCoverageLayer.getBounds(), { padding: [20, 20] });
+    return true;
+}
+
+/**
+ * Shows or hides the custom server form (the WMS layers only apply to WMS types)
+ * @param {boolean} show
+ */
+function toggleServerForm(show) {
+    elements.serverForm.style.display = show ? 'block' : 'none';
+    elements.serverLayersRow.style.display = elements.serverTypeSelect.value.startsWith('wms') ? 'block' : 'none';
+}
+
+/**
+ * Reads the custom server form
+ * @returns {Object} Payload of the "add" action of /api/servers (bounds only if all four are set)
+ */
+function readServerForm() {
+    const bounds = elements.serverBoundsInputs.map(input => parseFloat(input.value));
+    const server = {
+        name: elements.serverNameInput.value.trim(),
+        type: elements.serverTypeSelect.value,
+        url: elements.serverUrlInput.value.trim(),
+        layers: elements.serverLayersInput.value.trim(),
+        maxSize: parseInt(elements.serverMaxSizeSelect.value, 10),
+        comment: elements.serverCommentInput.value.trim()
+    };
+    if (bounds.every(Number.isFinite)) server.bounds = bounds;
+    return server;
+}
+
+/**
+ * Writes a coverage box in the custom server form
+ * @param {L.LatLngBounds} bounds
+ */
+function setServerFormBounds(bounds) {
+    [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+    .forEach((v, i) => { elements.serverBoundsInputs[i].value = v.toFixed(3); });
+}
+
+function createImageryPanes() {
+    const map = elements.map;
+    if (map.getPane('imageryPane')) return;
+    map.createPane('localOrthoPane').style.zIndex = 300;   // above the base map (tilePane, 200)
+    map.createPane('imageryPane').style.zIndex = 350;      // below the coverage (overlayPane, 400)
+}
+
+// The downloaded tiles are drawn when asked for, or as right side of the 'local' swipe
+function updateLocalOrtho() {
+    const map = elements.map;
+    const wanted = localOrthoShown || compareMode === 'local';
+    if (wanted && !localOrtho) {
+        createImageryPanes();
+        // Filtered like the coverage: hidden resolutions and dates are not drawn
+        localOrtho = localOrthoLayer({ pane: 'localOrthoPane', tiles: bounds => coverageLayer.tilesInBounds(bounds) });
+    }
+    if (!localOrtho) return;
+    if (wanted && !map.hasLayer(localOrtho)) localOrtho.addTo(map);
+    else if (!wanted && map.hasLayer(localOrtho)) map.removeLayer(localOrtho);
+}
+
+/**
+ * Shows or hides the downloaded tiles drawn from their previews
+ * @param {boolean} show - Whether the orthophotos are visible
+ */
+function toggleLocalOrtho(show) {
+    localOrthoShown = show;
+    updateLocalOrtho();
+}
+
+function showImageryStatus(status) {
+    imageryStatus = status;
+    elements.compareStatus.textContent = {
+        zoom: t('imagery.zoomIn', { zoom: IMAGERY_MIN_ZOOM }),
+        unavailable: t('imagery.unavailable')
+    }[status] || '';
+}
+
+/**
+ * Shows the imagery of a map server through the /api/imagery proxy
+ * @param {string} mode - 'off', 'full' (over the whole map), 'osm' (swipe vs. base map)
+ *                        or 'local' (swipe vs. the local tile previews)
+ * @param {number} serverId - Map server of the imagery
+ */
+function setImageryCompare(mode, serverId) {
+    const map = elements.map;
+    compareMode = mode;
+    if (mode === 'off') {
+        [serverImagery, imagerySwipeLayer].forEach(layer => layer && map.removeLayer(layer));
+        serverImagery = imagerySwipeLayer = null;
+        updateLocalOrtho();
+        showImageryStatus('ok');
+        return;
+    }
+
+    createImageryPanes();
+    if (!serverImagery) {
+        serverImagery = imageryLayer(serverId, { pane: 'imageryPane', onStatus: showImageryStatus }).addTo(map);
+    } else if (serverImagery.options.server !== serverId) {
+        serverImagery.setServer(serverId);
+    }
+
+    updateLocalOrtho();
+
+    if (mode === 'full') {
+        if (imagerySwipeLayer) map.removeLayer(imagerySwipeLayer);
+        imagerySwipeLayer = null;
+    } else {
+        if (!imagerySwipeLayer) imagerySwipeLayer = imagerySwipe().addTo(map);
+        imagerySwipeLayer.setPanes('imageryPane', mode === 'local' ? 'localOrthoPane' : null);
+    }
+    showImageryStatus(map.getZoom() < IMAGERY_MIN_ZOOM ? 'zoom' : 'ok');
+}
+
+/**
+ * Returns the coverage tiles shown (resolution and date filters) in the map view
+ * @returns {Array} coverage.json entries
+ */
+function getVisibleTiles() {
+    return coverageLayer.tilesInBounds(elements.map.getBounds());
 }
 
 /**
@@ -127,7 +465,8 @@ function updateMapCoverage(coverageData, allowedResolutions, currentOpacity, dat
  * @param {Object} data - Aircraft status data
  */
 function updateAircraftPosition(data) {
-    updateFgfsIndicator(data.active);
+    // The simulated aircraft must not light up the FGFS indicator
+    if (!data.simulated) updateFgfsIndicator(data.active);
 
     // debug data from aircraft
     /**
@@ -145,9 +484,9 @@ function updateAircraftPosition(data) {
 
     const latLng = [data.lat, data.lon];
     const tooltipContent = `
-    <b>Heading:</b> ${Math.round(data.heading)}°<br>
-    <b>Altitude:</b> ${Math.round(data.altitude)} ft<br>
-    <b>Speed:</b> ${Math.round(data.speed)} kts
+    <b>${t('aircraft.heading')}:</b> ${Math.round(data.heading)}°<br>
+    <b>${t('aircraft.altitude')}:</b> ${formatNumber(Math.round(data.altitude))} ft<br>
+    <b>${t('aircraft.speed')}:</b> ${formatNumber(Math.round(data.speed))} kts
     `;
 
     if (!aircraftMarker) {
@@ -183,10 +522,10 @@ function populateSdwnDropdown() {
     const currentSdwnValue = elements.sdwnSelect.value;
 
     elements.sdwnSelect.innerHTML = '';
-    elements.sdwnSelect.add(new Option("Disabled", "-1"));
+    elements.sdwnSelect.add(new Option(t('sdwn.disabled'), "-1"));
 
     for (let i = 0; i <= maxSize; i++) {
-        elements.sdwnSelect.add(new Option(`From ${maxSize} to ${i}`, i));
+        elements.sdwnSelect.add(new Option(t('sdwn.range', { from: String(maxSize), to: String(i) }), i));
     }
 
     elements.sdwnSelect.value = (currentSdwnValue >= 0 && currentSdwnValue <= maxSize) ? currentSdwnValue : "-1";
@@ -233,7 +572,7 @@ function toggleMapSelectionMode(isSelectionMode) {
         btn.classList.add('active');
         // Use the SVG icon instead of the text symbol
         btn.innerHTML = CROSSHAIR_SVG_ICON_HTML;
-        btn.title = 'Return to ICAO/Manual Input';
+        btn.title = t('selection.returnToInput');
 
         elements.mapContainer.classList.add('map-selection-active');
 
@@ -246,7 +585,7 @@ function toggleMapSelectionMode(isSelectionMode) {
         btn.classList.remove('active');
         // Use the new airplane SVG constant
         btn.innerHTML = AIRPLANE_SVG_ICON_HTML;
-        btn.title = 'Select Coordinates from Map';
+        btn.title = t('selection.fromMap');
 
         elements.mapContainer.classList.remove('map-selection-active');
 
@@ -275,7 +614,8 @@ function showTileInPanel(tileId, sizeId, previewUrl, nativeUrl) {
     elements.tilePreviewImage.src = previewUrl;
     elements.tilePreviewImage.style.display = 'block';
 
-    elements.downloadBtn.textContent = `Download full PNG (Res: ${sizeId})`;
+    elements.downloadBtn.dataset.sizeId = sizeId;
+    elements.downloadBtn.textContent = t('preview.downloadPng', { size: String(sizeId) });
     elements.downloadBtn.style.display = 'block';
 
     elements.downloadBtn.onclick = () => {
@@ -321,6 +661,48 @@ function previewArea(lat, lon, radiusNm) {
     return previewCircle;
 }
 
+// Style shared by pending (not yet confirmed) selection shapes
+const PREVIEW_STYLE = {
+    color: '#ff7800',
+    fillColor: '#ff7800',
+    fillOpacity: 0.2,
+    weight: 2,
+    dashArray: '5, 5'
+};
+
+/**
+ * Creates an editable preview polygon (possibly multi-part, with holes)
+ * @param {Array} latlngs - Leaflet polygon latlngs (rings or array of polygons)
+ * @returns {L.Polygon} The Leaflet polygon object
+ */
+function previewShape(latlngs) {
+    const shape = L.polygon(latlngs, PREVIEW_STYLE).addTo(elements.map);
+    shape.pm.enable({ allowSelfIntersection: false });
+    return shape;
+}
+
+/**
+ * Starts Geoman drawing of rectangles or polygons; drawing stays active
+ * so that several parts can be added to the same selection.
+ * @param {string} shape - 'rectangle' or 'polygon'
+ */
+function enableShapeDrawing(shape) {
+    elements.map.pm.enableDraw(shape === 'rectangle' ? 'Rectangle' : 'Polygon', {
+        pathOptions: PREVIEW_STYLE,
+        templineStyle: { color: '#ff7800' },
+        hintlineStyle: { color: '#ff7800', dashArray: '5, 5' },
+        continueDrawing: true
+    });
+}
+
+/**
+ * Stops any Geoman drawing or cutting in progress
+ */
+function disableShapeDrawing() {
+    elements.map.pm.disableDraw();
+    elements.map.pm.disableGlobalCutMode();
+}
+
 /**
  * Creates a custom L.DivIcon for Geoman handles.
  * @param {number} size - The size of the icon in pixels.
@@ -367,18 +749,143 @@ function updateHandleStyles(circle) {
 }
 
 
+/**
+ * Draws an imported route as a polyline with one marker per waypoint
+ * and fits the map to it
+ * @param {Object} route - Route from routeImport.js ({name, waypoints})
+ */
+function drawRoute(route) {
+    routeLayer.clearLayers();
+    const latLngs = route.waypoints.map(wp => [wp.lat, wp.lon]);
+
+    const line = L.polyline(latLngs, { color: '#0066cc', weight: 3 }).addTo(routeLayer);
+    route.waypoints.forEach((wp, i) => {
+        L.circleMarker([wp.lat, wp.lon], {
+            radius: 5,
+            color: '#003366',
+            fillColor: '#ffffff',
+            fillOpacity: 1,
+            weight: 2
+        }).addTo(routeLayer).bindTooltip(`${i + 1}. ${escapeHtml(wp.name)}`);
+    });
+
+    elements.map.fitBounds(line.getBounds(), { padding: [30, 30] });
+}
+
+/**
+ * Shows the circles that would cover the route corridor (dashed, not editable)
+ * @param {Array<{lat: number, lon: number, radius: number}>} circles - Radius in NM
+ */
+function drawCorridorPreview(circles) {
+    corridorLayer.clearLayers();
+    circles.forEach(c => {
+        L.circle([c.lat, c.lon], {
+            radius: c.radius * 1852,
+            color: '#ff7800',
+            fillColor: '#ff7800',
+            fillOpacity: 0.1,
+            weight: 1,
+            dashArray: '5, 5',
+            interactive: false
+        }).addTo(corridorLayer);
+    });
+}
+
+/**
+ * Removes the imported route and its corridor preview from the map
+ */
+function clearRoute() {
+    routeLayer.clearLayers();
+    corridorLayer.clearLayers();
+    elements.routeInfo.textContent = t('route.none');
+    elements.btnQueueCorridor.disabled = true;
+    elements.btnClearRoute.disabled = true;
+}
+
+/**
+ * Renders the job list panel: active jobs (queued/running) on top,
+ * finished jobs below as session history, newest first.
+ * Each row carries data-job-id so clicks can be handled by delegation.
+ * @param {Array} jobs - Jobs as returned by api.getJobs()
+ */
+function renderJobList(jobs) {
+    if (!jobs.length) {
+        elements.jobList.innerHTML = `<div class="job-empty">${t('jobs.empty')}</div>`;
+        return;
+    }
+
+    const isActive = j => j.state === 'queued' || j.state === 'running';
+    const newestFirst = (a, b) => b.jobId - a.jobId;
+    const active = jobs.filter(isActive).sort(newestFirst);
+    const history = jobs.filter(j => !isActive(j)).sort(newestFirst);
+
+    let html = '';
+    if (active.length) {
+        html += `<div class="job-list-section">${t('jobs.active', { count: active.length })}</div>`;
+        html += active.map(jobRowHtml).join('');
+    }
+    if (history.length) {
+        html += `<div class="job-list-section">${t('jobs.history', { count: history.length })}</div>`;
+        html += history.map(jobRowHtml).join('');
+    }
+    elements.jobList.innerHTML = html;
+}
+
+function jobRowHtml(job) {
+    const p = job.params || {};
+    const where = Array.isArray(p.tiles)
+        ? (p.tiles.length === 1 ? t('jobs.tile', { id: String(p.tiles[0][0]) }) : t('jobs.tiles', { count: p.tiles.length }))
+        : Number.isFinite(p.lat) && Number.isFinite(p.lon)
+            ? `${p.lat.toFixed(3)}, ${p.lon.toFixed(3)} · ${Math.round(p.radius)} nm`
+            : t('jobs.visibleArea');
+    const pct = job.tilesTotal > 0 ? Math.round(job.tilesDone / job.tilesTotal * 100) : 0;
+    const time = formatJobTime(job.endedAt || job.startedAt || job.submittedAt);
+    const title = job.error ? ` title="${job.error.replace(/"/g, '&quot;')}"` : '';
+
+    return `<div class="job-row" data-job-id="${job.jobId}"${title}>
+        <div class="job-title">
+            <span>#${job.jobId} ${knownLabel(`jobs.mode.${p.mode || 'manual'}`, p.mode)}</span>
+            <span class="job-state ${job.state}">${knownLabel(`jobs.state.${job.state}`, job.state)}</span>
+        </div>
+        <div class="job-meta">${where} · size ${p.size ?? '-'} · over ${p.over ?? '-'} · sdwn ${p.sdwn ?? '-'} · srv ${p.server ?? '-'}</div>
+        <div class="job-meta">${t('jobs.progress', { done: job.tilesDone, total: job.tilesTotal })} · ${time}</div>
+        ${job.state === 'running' ? `<div class="job-progress"><div style="width:${pct}%"></div></div>` : ''}
+    </div>`;
+}
+
+function formatJobTime(isoString) {
+    return isoString ? formatDate(isoString, { timeStyle: 'medium' }) : '';
+}
+
+// Translation of a value sent by the server, the value itself when the key is unknown
+function knownLabel(key, value) {
+    const label = t(key);
+    return label === key ? value : label;
+}
+
 /**
  * Removes the preview circle from the map
  */
 
 // Internal helper functions
-function getStyleForSizeId(sizeId) {
-    const colors = ['#0000FF', '#2A00D5', '#5500AA', '#800080', '#AA0055', '#D5002A', '#FF0000'];
-    return {
-        color: colors[sizeId] || '#333',
-        weight: 1,
-        fillColor: colors[sizeId] || '#333'
-    };
+
+// Re-download / upgrade / delete / protect buttons of the coverage popup
+function tileActionsHtml(tile) {
+    const attrs = `data-tile-id="${tile.id}" data-size-id="${tile.sizeId}"`;
+    if (tile.protected) {
+        return `<div class="tile-actions"><button class="tile-action" data-action="unprotect" ${attrs}>${t('tileAction.unprotect')}</button></div>`;
+    }
+    const upgrades = [];
+    for (let s = tile.sizeId + 1; s <= 6; s++) upgrades.push(`<option value="${s}">${512 << s} px</option>`);
+    const upgrade = upgrades.length
+        ? `<select class="tile-upgrade-size">${upgrades.join('')}</select><button class="tile-action" data-action="upgrade" ${attrs}>${t('tileAction.upgrade')}</button>`
+        : '';
+    return `<div class="tile-actions">
+        <button class="tile-action" data-action="redownload" ${attrs} title="${t('tileAction.redownloadTitle', { px: String(512 << tile.sizeId) })}">${t('tileAction.redownload')}</button>
+        ${upgrade}
+        <button class="tile-action" data-action="delete" ${attrs} title="${t('tileAction.deleteTitle')}">${t('tileAction.delete')}</button>
+        <button class="tile-action" data-action="protect" ${attrs} title="${t('tileAction.protectTitle')}">${t('tileAction.protect')}</button>
+    </div>`;
 }
 
 function createSvgCircle(index, selected) {
@@ -392,10 +899,69 @@ function createSvgCircle(index, selected) {
     </svg>`;
 }
 
-function initializeMap() {
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+/**
+ * Initializes the base map: OpenStreetMap tiles, or the bundled offline map
+ * @param {string} [baseMode='auto'] - Base map mode, see setBaseMap
+ */
+function initializeMap(baseMode = 'auto') {
+    osmLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-    }).addTo(elements.map);
+    });
+    osmFailureWatcher(osmLayer, () => {
+        osmUnreachable = true;
+        if (baseMapMode === 'auto') setBaseMap('auto');
+    });
+    setBaseMap(baseMode);
+}
+
+// Airports are part of the offline map, and optional over OSM
+function updateAirports() {
+    const map = elements.map;
+    const wanted = airportsShown || (offlineBase !== null && map.hasLayer(offlineBase));
+    if (wanted && !airports) airports = airportLayer();
+    if (!airports) return;
+    if (wanted && !map.hasLayer(airports)) airports.addTo(map);
+    else if (!wanted && map.hasLayer(airports)) map.removeLayer(airports);
+}
+
+/**
+ * Shows or hides the airport markers
+ * @param {boolean} show - Whether the airports are visible
+ */
+function toggleAirports(show) {
+    airportsShown = show;
+    updateAirports();
+}
+
+/**
+ * Shows the result of a location search below the location field
+ * @param {string} message - Text to show, empty to clear it
+ */
+function showLocationStatus(message) {
+    elements.icaoStatus.textContent = message;
+}
+
+/**
+ * Selects the base map
+ * @param {string} mode - 'osm', 'offline' (bundled map with the airports), or 'auto':
+ *                        OSM, switching to the offline map when its tiles fail to load
+ */
+function setBaseMap(mode) {
+    const map = elements.map;
+    baseMapMode = mode;
+    const offline = mode === 'offline' ||
+        (mode === 'auto' && (osmUnreachable || !navigator.onLine));
+
+    if (offline) {
+        if (!offlineBase) offlineBase = offlineBaseLayer();
+        if (map.hasLayer(osmLayer)) map.removeLayer(osmLayer);
+        if (!map.hasLayer(offlineBase)) offlineBase.addTo(map);
+    } else {
+        if (offlineBase && map.hasLayer(offlineBase)) map.removeLayer(offlineBase);
+        if (!map.hasLayer(osmLayer)) osmLayer.addTo(map);
+    }
+    updateAirports();
+    elements.baseMapStatus.textContent = offline && mode === 'auto' ? t('baseMap.osmUnreachable') : '';
 }
 
 /**
@@ -406,7 +972,7 @@ function getJobParameters() {
     const jobParams = {
         radius: parseFloat(elements.radiusInput.value) || 3,
         size:   parseInt(elements.sizeInput.value, 10) || 4,
-        over:   parseInt(elements.overSelect.value, 10) || 1,
+        over:   parseInt(elements.overSelect.value, 10),      // 0 = never overwrite
         sdwn:   parseInt(elements.sdwnSelect.value, 10),  // può restituire -1
         server: parseInt(elements.serverSelect.value, 10) || 1
     };
@@ -458,11 +1024,12 @@ function setupInteractiveSelection() {
     }
 }
 
-function linkRadiusHandleToInput(circle) {
+function linkRadiusHandleToInput(circle, onResize) {
     // Update the input field's text value continuously for live feedback.
     circle.on('pm:markerdrag', e => {
         const nm = (circle.getRadius() / 1852).toFixed(1);
         elements.radiusInput.value = nm;
+        if (onResize) onResize(circle);
     });
 
     // Update the handle's visual style only ONCE at the end of the drag.
@@ -471,6 +1038,365 @@ function linkRadiusHandleToInput(circle) {
     });
 }
 
+/**
+ * Builds the popup content of a pending area from a download estimate
+ * @param {Object} est - Result of bucketGrid.estimateDownload
+ * @returns {string} HTML string
+ */
+function formatDownloadEstimate(est) {
+    const mb = est.megabytes >= 1024
+        ? `${formatNumber(est.megabytes / 1024, { maximumFractionDigits: 1 })} GB`
+        : `${formatNumber(est.megabytes, { maximumFractionDigits: est.megabytes < 10 ? 1 : 0 })} MB`;
+    return `<div class="estimate-popup">
+        <b>${t('estimate.title')}</b><br>
+        ${t('estimate.total', { count: est.total })}<br>
+        ${t('estimate.onDisk', { count: est.onDisk })}<br>
+        ${t('estimate.toDownload', { count: est.toDownload, redownload: est.redownload })}<br>
+        ${t('estimate.chunks', { chunks: est.chunks, precover: est.precoverChunks })}<br>
+        ${t('estimate.size', { size: mb })}
+    </div>`;
+}
+
+
+/**
+ * Shows or hides the FlightGear bucket grid overlay
+ * @param {boolean} show - Whether the grid is visible
+ * @param {Function} status - tileId => on-disk status text for the tooltip
+ */
+function toggleBucketGrid(show, status) {
+    if (!bucketGrid) bucketGrid = createBucketGridLayer({ status });
+    if (show) {
+        bucketGrid.addTo(elements.map);
+    } else {
+        elements.map.removeLayer(bucketGrid);
+    }
+}
+
+/**
+ * Zooms to a tile and outlines it until the next search or a click on it
+ * @param {number} tileId - Bucket index
+ * @param {Object} bbox - {latLL, lonLL, latUR, lonUR}
+ */
+function highlightTile(tileId, bbox) {
+    if (highlightedTile) elements.map.removeLayer(highlightedTile);
+
+    const bounds = [[bbox.latLL, bbox.lonLL], [bbox.latUR, bbox.lonUR]];
+    highlightedTile = L.rectangle(bounds, {
+        color: '#e6007e',
+        weight: 3,
+        fill: false
+    }).addTo(elements.map);
+    highlightedTile.tileId = tileId;
+    highlightedTile.bindTooltip(t('tile.label', { id: String(tileId) }), { permanent: true, direction: 'top' });
+    highlightedTile.on('click', () => {
+        elements.map.removeLayer(highlightedTile);
+        highlightedTile = null;
+    });
+
+    elements.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 13 });
+}
+
+
+/**
+ * Shows the DAA planner settings in the settings panel
+ * @param {Object} settings - See daaPlanner.DEFAULT_DAA_SETTINGS
+ */
+function fillDaaSettingsForm(settings) {
+    elements.daaLeadInput.value = settings.leadMinutes;
+    elements.daaReplanInput.value = settings.replanMinutes;
+    elements.daaRadiusInput.value = settings.radiusNm;
+    elements.daaMaxRadiusInput.value = settings.maxRadiusNm;
+    elements.daaIntervalInput.value = settings.minIntervalSec;
+    elements.daaSkipCoveredInput.value = settings.skipCoveredPct;
+    elements.daaOverSelect.value = settings.over;
+    settings.bands.forEach((band, i) => {
+        const alt = elements.daaSettingsPanel.querySelector(`.daa-band-alt[data-band="${i}"]`);
+        const size = elements.daaSettingsPanel.querySelector(`.daa-band-size[data-band="${i}"]`);
+        if (alt) alt.value = band.maxAltFt;
+        size.value = band.size;
+    });
+}
+
+/**
+ * Reads the settings panel; empty or invalid fields keep the given values
+ * @param {Object} current - Settings currently in use
+ * @returns {Object} New settings
+ */
+function readDaaSettingsForm(current) {
+    const num = (input, fallback) => {
+        const v = parseFloat(input.value);
+        return Number.isFinite(v) && v >= 0 ? v : fallback;
+    };
+    const bands = current.bands.map((band, i) => {
+        const alt = elements.daaSettingsPanel.querySelector(`.daa-band-alt[data-band="${i}"]`);
+        const size = elements.daaSettingsPanel.querySelector(`.daa-band-size[data-band="${i}"]`);
+        return {
+            maxAltFt: alt ? num(alt, band.maxAltFt) : Infinity,
+            size: Math.min(6, Math.round(num(size, band.size)))
+        };
+    });
+    return {
+        leadMinutes: num(elements.daaLeadInput, current.leadMinutes),
+        replanMinutes: num(elements.daaReplanInput, current.replanMinutes),
+        radiusNm: Math.max(3, num(elements.daaRadiusInput, current.radiusNm)),
+        maxRadiusNm: Math.max(3, num(elements.daaMaxRadiusInput, current.maxRadiusNm)),
+        minIntervalSec: num(elements.daaIntervalInput, current.minIntervalSec),
+        skipCoveredPct: Math.min(100, num(elements.daaSkipCoveredInput, current.skipCoveredPct)),
+        over: parseInt(elements.daaOverSelect.value, 10),
+        bands
+    };
+}
+
+
+/**
+ * Extends the flight track trail; a new polyline starts whenever the
+ * altitude colour changes
+ * @param {Object} sample - Track sample ({lat, lon, alt})
+ */
+function addTrackPoint(sample) {
+    const color = altitudeColor(sample.alt);
+    const latLng = L.latLng(sample.lat, sample.lon);
+
+    if (trackRun && trackRun.color === color) {
+        trackRun.line.addLatLng(latLng);
+        return;
+    }
+    // Start from the previous point so the trail has no gaps
+    const points = trackRun ? [trackRun.line.getLatLngs().slice(-1)[0], latLng] : [latLng];
+    trackRun = {
+        color,
+        line: L.polyline(points, { color, weight: 3, opacity: 0.85, interactive: false }).addTo(trackLayer)
+    };
+}
+
+/**
+ * Redraws the whole flight track trail
+ * @param {Array} samples - Track samples
+ */
+function drawTrack(samples) {
+    clearTrackTrail();
+    samples.forEach(addTrackPoint);
+}
+
+function clearTrackTrail() {
+    trackLayer.clearLayers();
+    trackRun = null;
+}
+
+/**
+ * Updates the recorder controls
+ * @param {boolean} recording - Whether positions are being recorded
+ * @param {number} count - Number of recorded samples
+ */
+function updateTrackControls(recording, count) {
+    elements.btnTrackRecord.textContent = recording ? `■ ${t('common.stop')}` : `● ${t('track.record')}`;
+    elements.btnTrackRecord.classList.toggle('active', recording);
+    elements.trackInfo.textContent = count ? t('track.points', { count }) : t('track.noPoints');
+}
+
+
+/**
+ * Updates the simulated-aircraft controls
+ * @param {boolean} running - Whether the simulation (or start/heading picking) is active
+ * @param {string} [info] - Status text
+ */
+function updateSimControls(running, info = '') {
+    elements.btnSim.textContent = running ? `■ ${t('common.stop')}` : `▶ ${t('sim.start')}`;
+    elements.btnSim.classList.toggle('active', running);
+    elements.simInfo.textContent = info;
+}
+
+
+/**
+ * Fills the preset dropdown
+ * @param {Array<Object>} presets - Saved presets
+ * @param {string|null} activeName - Preset to select; none shows "Custom"
+ */
+function renderPresetOptions(presets, activeName) {
+    const select = elements.presetSelect;
+    select.innerHTML = '';
+    select.add(new Option(`— ${t('preset.custom')} —`, ''));
+    presets.forEach(p => select.add(new Option(p.name, p.name)));
+    select.value = presets.some(p => p.name === activeName) ? activeName : '';
+}
+
+/**
+ * Reads the job controls covered by presets
+ * @returns {{size: number, sdwn: number, over: number, server: number, radius: number}}
+ */
+function readJobControls() {
+    const { size, sdwn, over, server, radius } = getJobParameters();
+    return { size, sdwn, over, server, radius };
+}
+
+/**
+ * Sets the job controls from a preset
+ * @param {Object} preset - {size, sdwn, over, server, radius}
+ */
+function applyJobControls(preset) {
+    elements.sizeInput.value = preset.size;
+    populateSdwnDropdown();                 // sdwn options depend on size
+    elements.sdwnSelect.value = preset.sdwn;
+    elements.overSelect.value = preset.over;
+    elements.serverSelect.value = preset.server;
+    elements.radiusInput.value = preset.radius;
+}
+
+
+/**
+ * Shift-drag rubber-band selection of coverage tiles. It takes over
+ * Leaflet's shift-drag box zoom; tiles hidden by the resolution/date filters
+ * are not selected.
+ * @param {Function} onSelect - Receives the visible coverage tiles touched by the box
+ */
+function setupBoxSelection(onSelect) {
+    const map = elements.map;
+    map.boxZoom.disable();
+    let start = null;
+    let box = null;
+
+    const onMove = (ev) => {
+        box.setBounds(L.latLngBounds(start, map.mouseEventToLatLng(ev)));
+    };
+    const onUp = (ev) => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        const bounds = L.latLngBounds(start, map.mouseEventToLatLng(ev));
+        map.removeLayer(box);
+        box = null;
+        // A shift-click without dragging selects nothing
+        if (!bounds.getNorthEast().equals(bounds.getSouthWest())) onSelect(coverageLayer.tilesInBounds(bounds));
+    };
+
+    // Capture phase: the map must not start a pan for this drag
+    elements.mapContainer.addEventListener('mousedown', (ev) => {
+        if (!ev.shiftKey || ev.button !== 0) return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        start = map.mouseEventToLatLng(ev);
+        box = L.rectangle(L.latLngBounds(start, start), {
+            color: '#00e5ff', weight: 1, dashArray: '4, 4', fillOpacity: 0.1, interactive: false
+        }).addTo(map);
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }, true);
+}
+
+/**
+ * Highlights the selected tiles and shows the batch action bar
+ * @param {Array} tiles - Selected coverage tiles (empty hides the bar)
+ */
+function showTileSelection(tiles) {
+    coverageLayer.setHighlight(new Set(tiles.map(tile => tile.id)));
+    if (!tiles.length) {
+        elements.batchBar.style.display = 'none';
+        return;
+    }
+
+    const perLevel = {};
+    tiles.forEach(tile => { perLevel[tile.sizeId] = (perLevel[tile.sizeId] || 0) + 1; });
+    const mix = Object.keys(perLevel).sort((a, b) => a - b)
+        .map(sizeId => `${formatNumber(perLevel[sizeId])}×${512 << sizeId}`).join(', ');
+    elements.batchInfo.textContent = t('jobs.tiles', { count: tiles.length });
+    elements.batchInfo.title = `${mix} px`;
+    elements.batchBar.style.display = 'flex';
+}
+
+// Rows of the per-cell table; the rest is summarised in a note
+const MAX_STATS_CELLS = 100;
+
+const formatKm2 = km2 => `${formatNumber(Math.round(km2))} km²`;
+
+/**
+ * Fills the coverage statistics panel
+ * @param {Object|null} stats - computeCoverageStats output, null while loading
+ * @param {Function} onCellClick - Called with {lat, lon} of the clicked 1°×1° cell
+ * @param {string} [message] - Status line (loading, errors)
+ */
+function renderStatsPanel(stats, onCellClick, message = '') {
+    const panel = elements.statsPanel;
+    const header = `<div class="stats-header"><b>${t('stats.title')}</b>
+        <span><button data-stats-action="refresh" title="${t('stats.reload')}">↻</button>
+        <button data-stats-action="close" title="${t('common.close')}">✕</button></span></div>`;
+    if (!stats) {
+        panel.innerHTML = `${header}<div class="stats-note">${message}</div>`;
+        return;
+    }
+
+    const { totals, levels, ages, cells } = stats;
+    const levelRows = levels.filter(l => l.count || l.bytes).map(l => `<tr>
+        <td><span style="color: ${LEVEL_COLORS[l.sizeId]};">■</span> ${512 << l.sizeId} px</td>
+        <td>${formatNumber(l.count)}</td><td>${formatKm2(l.areaKm2)}</td><td>${formatBytes(l.bytes)}</td></tr>`).join('');
+
+    const cellRows = cells.slice(0, MAX_STATS_CELLS).map((c, i) => `<tr class="stats-cell" data-cell="${i}">
+        <td>${Math.abs(c.lat)}°${c.lat < 0 ? 'S' : 'N'} ${Math.abs(c.lon)}°${c.lon < 0 ? 'W' : 'E'}</td>
+        <td>${formatNumber(c.count)}</td><td>${formatBytes(c.bytes)}</td><td>${levelMixSvg(c.levels)}</td></tr>`).join('');
+    const moreCells = cells.length > MAX_STATS_CELLS
+        ? `<div class="stats-note">${t('stats.moreCells', { count: cells.length - MAX_STATS_CELLS })}</div>` : '';
+
+    panel.innerHTML = `${header}
+        <div class="stats-note">${t('stats.totals', {
+            tiles: t('jobs.tiles', { count: totals.count }),
+            area: formatKm2(totals.areaKm2),
+            bytes: formatBytes(totals.bytes),
+            files: t('stats.files', { count: totals.files })
+        })} ${message}</div>
+        <h4>${t('stats.levels')}</h4>
+        <table class="stats-table">
+            <tr><th>${t('stats.size')}</th><th>${t('stats.tiles')}</th><th>${t('stats.area')}</th><th>${t('stats.disk')}</th></tr>${levelRows}
+        </table>
+        ${barChartSvg(levels.map(l => ({
+            label: `${512 << l.sizeId} px`, value: l.count, color: LEVEL_COLORS[l.sizeId],
+            title: `${512 << l.sizeId} px: ${t('jobs.tiles', { count: l.count })}, ${formatBytes(l.bytes)}`
+        })))}
+        <h4>${t('stats.age')}</h4>
+        ${barChartSvg(ages.map(a => ({ label: a.label, value: a.count })))}
+        <h4>${t('stats.byCell')}</h4>
+        <table class="stats-table">
+            <tr><th>${t('stats.cell')}</th><th>${t('stats.tiles')}</th><th>${t('stats.disk')}</th><th>${t('stats.levelMix')}</th></tr>${cellRows}
+        </table>${moreCells}`;
+
+    panel.querySelectorAll('tr.stats-cell').forEach(row => {
+        const cell = cells[parseInt(row.dataset.cell, 10)];
+        row.addEventListener('click', () => onCellClick(cell));
+    });
+}
+
+/**
+ * Shows or hides the coverage statistics panel
+ * @param {boolean} show
+ */
+function toggleStatsPanel(show) {
+    elements.statsPanel.style.display = show ? 'block' : 'none';
+}
+
+/**
+ * Fills the language dropdown (labels in their own language)
+ * @param {Array<{id: string, label: string}>} locales - i18n.js LOCALES
+ * @param {string} current - Locale in use
+ */
+function renderLocaleOptions(locales, current) {
+    elements.localeSelect.innerHTML = locales
+        .map(l => `<option value="${l.id}">${escapeHtml(l.label)}</option>`).join('');
+    elements.localeSelect.value = current;
+}
+
+/**
+ * Re-translates the texts this module keeps on screen (status lines,
+ * tooltips); main.js re-renders the rest from its state
+ */
+function refreshLocaleTexts() {
+    showImageryStatus(imageryStatus);
+    if (osmLayer) setBaseMap(baseMapMode);
+    populateSdwnDropdown();
+    if (elements.downloadBtn.dataset.sizeId !== undefined) {
+        elements.downloadBtn.textContent = t('preview.downloadPng', { size: elements.downloadBtn.dataset.sizeId });
+    }
+    if (highlightedTile) {
+        highlightedTile.setTooltipContent(t('tile.label', { id: String(highlightedTile.tileId) }));
+    }
+}
+
 
 /***
  * Export function
@@ -480,6 +1406,9 @@ function linkRadiusHandleToInput(circle) {
 export {
     elements,
     initializeMap,
+    setBaseMap,
+    toggleAirports,
+    showLocationStatus,
     updateMapCoverage,
     updateAircraftPosition,
     populateSdwnDropdown,
@@ -493,7 +1422,43 @@ export {
     setupInteractiveSelection,
     updateHandleStyles,
     linkRadiusHandleToInput,
-    updateFgfsIndicator
+    formatDownloadEstimate,
+    toggleBucketGrid,
+    highlightTile,
+    fillDaaSettingsForm,
+    readDaaSettingsForm,
+    addTrackPoint,
+    drawTrack,
+    clearTrackTrail,
+    updateTrackControls,
+    updateSimControls,
+    renderPresetOptions,
+    readJobControls,
+    applyJobControls,
+    renderStatsPanel,
+    toggleStatsPanel,
+    refreshLocaleTexts,
+    renderLocaleOptions,
+    setupBoxSelection,
+    showTileSelection,
+    readDateFilterControls,
+    showDateFilter,
+    getVisibleTiles,
+    renderServerOptions,
+    showServerCoverage,
+    setImageryCompare,
+    toggleLocalOrtho,
+    toggleServerForm,
+    readServerForm,
+    setServerFormBounds,
+    updateFgfsIndicator,
+    drawRoute,
+    drawCorridorPreview,
+    clearRoute,
+    renderJobList,
+    previewShape,
+    enableShapeDrawing,
+    disableShapeDrawing
 };
 
 
@@ -0,0 +1,127 @@
+// Save as: js/urlState.js
+/**
+ * URL State Module
+ *
+ * Encodes the map view, the coverage filters and the unconfirmed selection
+ * areas in the URL hash, so a link can be shared ("this is the area I want
+ * you to download") and a reload restores where the user was.
+ *
+ * Hash format (key=value pairs, only non-default values are written):
+ *   #map=zoom/lat/lon        map view (like openstreetmap.org)
+ *   &res=1111111             resolution toggles, one digit per sizeId 0..6
+ *   &date=6                  date filter index (slider)
+ *   &from=2024-01-01&to=...  date range filter (either end may be missing)
+ *   &older=365               "older than N days" filter
+ *   &op=0.4                  coverage opacity
+ *   &c=lat,lon,r~lat,lon,r   pending circles (radius in NM)
+ *   &p=lat,lon;lat,lon|...   pending polygon: points ';', rings '|', parts '!'
+ *
+ * Relationships:
+ * - main.js: writes the hash on changes (pushState for view changes so
+ *   back/forward steps through them) and restores it on load / popstate
+ */
+
+export const URL_DEFAULTS = {
+    res: Array(7).fill(true),
+    date: 6,
+    opacity: 0.4
+};
+
+const round = (v, digits) => Number(v.toFixed(digits));
+
+function parseNumbers(text) {
+    const values = text.split(',').map(Number);
+    return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Builds the hash for a state
+ * @param {Object} s
+ * @param {{lat: number, lon: number, zoom: number}} s.view
+ * @param {Array<boolean>} s.res - Resolution toggles
+ * @param {number} s.date - Date filter index
+ * @param {{mode: string, from: string, to: string, days: number}} [s.dateFilter] - Range / "older than" filter
+ * @param {number} s.opacity - Coverage opacity
+ * @param {Array<{lat: number, lon: number, radius: number}>} [s.circles] - Pending circles
+ * @param {Array<Array<Array<{lat: number, lng: number}>>>} [s.polygon] - Pending polygon parts/rings
+ * @returns {string} Hash including the leading '#'
+ */
+export function buildUrlHash(s) {
+    // Values are numbers and separators only: written as-is to keep links readable
+    const params = new Map();
+    params.set('map', `${s.view.zoom}/${s.view.lat.toFixed(4)}/${s.view.lon.toFixed(4)}`);
+
+    if (s.res.some(active => !active)) params.set('res', s.res.map(active => active ? 1 : 0).join(''));
+    if (s.date !== URL_DEFAULTS.date) params.set('date', s.date);
+    if (s.dateFilter && s.dateFilter.mode === 'range') {
+        if (s.dateFilter.from) params.set('from', s.dateFilter.from);
+        if (s.dateFilter.to) params.set('to', s.dateFilter.to);
+    } else if (s.dateFilter && s.dateFilter.mode === 'older') {
+        params.set('older', s.dateFilter.days);
+    }
+    if (s.opacity !== URL_DEFAULTS.opacity) params.set('op', s.opacity);
+
+    if (s.circles && s.circles.length) {
+        params.set('c', s.circles.map(c =>
+            `${round(c.lat, 5)},${round(c.lon, 5)},${round(c.radius, 2)}`).join('~'));
+    }
+    if (s.polygon && s.polygon.length) {
+        params.set('p', s.polygon.map(rings => rings.map(ring =>
+            ring.map(p => `${round(p.lat, 5)},${round(p.lng, 5)}`).join(';')).join('|')).join('!'));
+    }
+    return `#${[...params].map(([key, value]) => `${key}=${value}`).join('&')}`;
+}
+
+/**
+ * Reads the state from a hash; missing or invalid fields are left out
+ * @param {string} hash - location.hash
+ * @returns {Object} Same fields as buildUrlHash, polygon points as [lat, lon];
+ *          dateFilter only carries the fields of its mode
+ */
+export function parseUrlHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const out = {};
+
+    const view = (params.get('map') || '').split('/').map(Number);
+    if (view.length === 3 && view.every(Number.isFinite) && Math.abs(view[1]) <= 90) {
+        out.view = { zoom: view[0], lat: view[1], lon: view[2] };
+    }
+
+    const res = params.get('res');
+    if (res && /^[01]{7}$/.test(res)) out.res = [...res].map(d => d === '1');
+
+    const date = parseInt(params.get('date'), 10);
+    if (date >= 0 && date <= 6) out.date = date;
+
+    const isDay = text => /^\d{4}-\d{2}-\d{2}$/.test(text || '');
+    const older = parseInt(params.get('older'), 10);
+    if (isDay(params.get('from')) || isDay(params.get('to'))) {
+        out.dateFilter = {
+            mode: 'range',
+            from: isDay(params.get('from')) ? params.get('from') : '',
+            to: isDay(params.get('to')) ? params.get('to') : ''
+        };
+    } else if (older > 0) {
+        out.dateFilter = { mode: 'older', days: older };
+    }
+
+    const opacity = parseFloat(params.get('op'));
+    if (opacity >= 0 && opacity <= 1) out.opacity = opacity;
+
+    if (params.get('c')) {
+        out.circles = params.get('c').split('~').map(parseNumbers)
+            .filter(v => v && v.length === 3 && v[2] > 0)
+            .map(([lat, lon, radius]) => ({ lat, lon, radius }));
+    }
+
+    if (params.get('p')) {
+        const parts = params.get('p').split('!').map(part => part.split('|').map(ring =>
+            ring.split(';').map(parseNumbers).filter(v => v && v.length === 2)));
+        // Each ring needs at least a triangle; parts with a broken outer ring are dropped
+        const valid = parts
+            .filter(rings => rings[0].length >= 3)
+            .map(rings => rings.filter(ring => ring.length >= 3));
+        if (valid.length) out.polygon = valid;
+    }
+    return out;
+}
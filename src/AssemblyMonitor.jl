@@ -117,6 +117,9 @@ function monitor_and_assemble(root_path::String, save_path::String, tmp_dir::Str
                     # Se tutto è andato a buon fine, marchiamo il tile come "visto".
                     push!(seen, key_seen)
                     @info "✅ [MONITOR] Assemble & Placement OK" tile_id=g.tile_id size_id=g.size_id
+                    # Optional progress hook (GuiMode job registry)
+                    on_done = get(cfg, "on_tile_done", nothing)
+                    on_done === nothing || on_done(g.tile_id, g.size_id)
                 else
                     # Se la funzione ha restituito false, c'è stato un problema durante l'assemblaggio o il posizionamento.
                     @warn "⚠️ [MONITOR] Assemble or Placement FAILED, will retry later" tile_id=g.tile_id
@@ -5,7 +5,7 @@ using ..Commons, ..StatusMonitor, Images, Downloads, Printf, LightXML, ..JobFact
 using Base.Threads: @spawn
 using FileIO, PNGFiles
 
-export MapServer, populate_queue!, start_chunk_downloads_parallel!, enqueue_chunk_jobs!, enqueue_high!, enqueue_low!
+export MapServer, list_map_servers, add_custom_server!, delete_custom_server!, fetch_imagery, populate_queue!, start_chunk_downloads_parallel!, enqueue_chunk_jobs!, enqueue_high!, enqueue_low!
 
 
 """
@@ -93,6 +93,125 @@ struct MapServer
     end
 end
 
+# --- Catalogo dei map server (params.xml) ---
+#
+# Oltre a id/name/comment/url-base/url-command, un <server> può avere:
+#   <bounds>lonW,latS,lonE,latN</bounds>   area coperta (ripetibile; assente = mondo)
+#   <max-size>6</max-size>                  sizeId massimo che ha senso scaricare
+# I server definiti dalla GUI hanno l'attributo custom="true" e partono
+# dall'id CUSTOM_SERVER_FIRST_ID, per non collidere con quelli distribuiti.
+
+const PARAMS_LOCK = ReentrantLock()
+const CUSTOM_SERVER_FIRST_ID = 101
+
+_xml_text(el, tag, default="") = (c = find_element(el, tag)) === nothing ? default : strip(content(c))
+
+function _parse_bounds(text::AbstractString)
+    v = tryparse.(Float64, split(text, ","))
+    (length(v) == 4 && all(!isnothing, v)) || return nothing
+    lonW, latS, lonE, latN = v
+    (-180 <= lonW < lonE <= 180 && -90 <= latS < latN <= 90) || return nothing
+    return [lonW, latS, lonE, latN]
+end
+
+"""
+    list_map_servers() -> Vector{Dict{String,Any}}
+
+Elenca i map server di params.xml, ordinati per id, con:
+`id`, `name`, `comment`, `urlTemplate` (url-base + url-command con i segnaposto
+{lonLL} ecc.), `bounds` (lista di [lonW, latS, lonE, latN], vuota = copertura
+mondiale), `maxSize` e `custom`.
+"""
+function list_map_servers()
+    servers = Dict{String,Any}[]
+    lock(PARAMS_LOCK) do
+        doc = parse_file("params.xml")
+        try
+            for root in get_elements_by_tagname(LightXML.root(doc), "servers"), server in get_elements_by_tagname(root, "server")
+                id = tryparse(Int, _xml_text(server, "id"))
+                id === nothing && continue
+                bounds = [b for b in (_parse_bounds(strip(content(el))) for el in get_elements_by_tagname(server, "bounds")) if b !== nothing]
+                max_size = something(tryparse(Int, _xml_text(server, "max-size", "6")), 6)
+                push!(servers, Dict{String,Any}(
+                    "id" => id,
+                    "name" => _xml_text(server, "name", "Server $id"),
+                    "comment" => _xml_text(server, "comment"),
+                    "urlTemplate" => _xml_text(server, "url-base") * replace(_xml_text(server, "url-command"), '|' => '&'),
+                    "bounds" => bounds,
+                    "maxSize" => clamp(max_size, 0, 6),
+                    "custom" => attribute(server, "custom") == "true"
+                ))
+            end
+        finally
+            free(doc)
+        end
+    end
+    return sort!(servers, by = s -> s["id"])
+end
+
+"""
+    add_custom_server!(name, comment, url_base, url_command, bounds, max_size) -> Int
+
+Aggiunge a params.xml un server definito dalla GUI e ne ritorna l'id.
+`url_command` usa `&` come separatore (salvato come `|`, il formato di params.xml);
+`bounds` è una lista di [lonW, latS, lonE, latN], vuota per la copertura mondiale.
+"""
+function add_custom_server!(name::AbstractString, comment::AbstractString, url_base::AbstractString,
+                            url_command::AbstractString, bounds::Vector, max_size::Int)
+    lock(PARAMS_LOCK) do
+        doc = parse_file("params.xml")
+        try
+            xroot = LightXML.root(doc)
+            lst = get_elements_by_tagname(xroot, "servers")
+            servers_el = isempty(lst) ? new_child(xroot, "servers") : lst[1]
+            used = [something(tryparse(Int, _xml_text(s, "id")), 0) for s in get_elements_by_tagname(servers_el, "server")]
+            id = max(CUSTOM_SERVER_FIRST_ID, maximum(used; init=0) + 1)
+
+            server = new_child(servers_el, "server")
+            set_attribute(server, "custom", "true")
+            add_text(new_child(server, "id"), string(id))
+            add_text(new_child(server, "name"), name)
+            add_text(new_child(server, "comment"), comment)
+            add_text(new_child(server, "url-base"), url_base)
+            add_text(new_child(server, "url-command"), replace(url_command, '&' => '|'))
+            for b in bounds
+                add_text(new_child(server, "bounds"), join(b, ","))
+            end
+            add_text(new_child(server, "max-size"), string(max_size))
+            save_file(doc, "params.xml")
+            @info "Downloader: custom map server $id ($name) added to params.xml"
+            return id
+        finally
+            free(doc)
+        end
+    end
+end
+
+"""
+    delete_custom_server!(id::Int) -> Bool
+
+Rimuove da params.xml un server definito dalla GUI. I server distribuiti
+(senza custom="true") non si possono rimuovere: ritorna false.
+"""
+function delete_custom_server!(id::Int)
+    lock(PARAMS_LOCK) do
+        doc = parse_file("params.xml")
+        try
+            for root in get_elements_by_tagname(LightXML.root(doc), "servers"), server in get_elements_by_tagname(root, "server")
+                if _xml_text(server, "id") == string(id) && attribute(server, "custom") == "true"
+                    unlink(server)
+                    save_file(doc, "params.xml")
+                    @info "Downloader: custom map server $id removed from params.xml"
+                    return true
+                end
+            end
+            return false
+        finally
+            free(doc)
+        end
+    end
+end
+
 function _getMapServerReplace(urlCmd::String, varString::String, varValue)
     return replace(urlCmd, varString => string(round(varValue, digits=6)))
 end
@@ -109,6 +228,30 @@ function _getMapServerURL(m::MapServer, bbox, pixel_size)
     return m.webUrlBase * urlCmd, 0
 end
 
+"""
+    fetch_imagery(server_id, bbox, pixels; timeout=15.0) -> (Vector{UInt8}, String)
+
+Scarica al volo un'immagine del map server per il bbox (latLL, lonLL, latUR, lonUR),
+senza passare dalla coda dei chunk: serve all'anteprima della GUI (/api/imagery).
+Ritorna i byte e il Content-Type; lancia un errore se il server non risponde
+o non restituisce un'immagine PNG/JPEG (es. un errore XML del WMS).
+"""
+function fetch_imagery(server_id::Int, bbox, pixels::Int; timeout::Real=15.0)
+    m = MapServer(server_id)
+    url, err = _getMapServerURL(m, bbox, (width=pixels, height=pixels))
+    err == 0 || throw(ArgumentError("Map server $server_id not available (error $err)"))
+
+    buffer = IOBuffer()
+    Downloads.download(url, buffer; timeout=timeout)
+    data = take!(buffer)
+    if length(data) >= 8 && view(data, 1:8) == UInt8[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+        return data, "image/png"
+    elseif length(data) >= 3 && view(data, 1:3) == UInt8[0xFF, 0xD8, 0xFF]
+        return data, "image/jpeg"
+    end
+    throw(ErrorException("Map server $server_id did not return an image"))
+end
+
 function enqueue_chunk_jobs!(channel::Channel{ChunkJob}, jobs::Vector{ChunkJob})
     @info "download_worker.enqueue_chunk_jobs!: Enqueued $(length(jobs)) jobs into the channel"
     for job in jobs
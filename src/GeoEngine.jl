@@ -20,8 +20,10 @@
 #   - TileAssembler.jl (canvas stitching and DDS compression)
 #   - AssemblyMonitor.jl (asynchronous tile monitoring and conversion)
 #
-# Typical entry point:
+# Typical entry points:
 #   GeoEngine.process_target_area(area, cfg, map_server, root, save)
+#   GeoEngine.process_target_polygon(polygons, cfg, map_server, root, save)
+#   GeoEngine.process_tile_ids(tile_sizes, cfg, map_server, root, save)
 #
 # Author: [abassign@gmail.com Adriano Bassignana], © [2025-07]
 ###############################################################################
@@ -37,7 +39,13 @@ using ..AssemblyMonitor
 using ..ddsFindScanner, ..JobFactory
 using .Commons: chunk_pixel_size
 
-export prepare_paths_and_location, process_target_area, create_precoverage_jobs, create_chunk_jobs, process_fill_holes
+export prepare_paths_and_location, process_target_area, process_target_polygon, process_tile_ids, tile_metadata,
+       create_precoverage_jobs, create_chunk_jobs, process_fill_holes
+
+# A ring is a closed list of (lat, lon) vertices (closing vertex optional);
+# a polygon is an outer ring followed by its holes.
+const Ring = Vector{Tuple{Float64,Float64}}
+const Polygon = Vector{Ring}
 
 function generate_all_tiles(
     area::MapCoordinates,
@@ -134,6 +142,146 @@ function generate_all_tiles(
 end
 
 
+"""
+    generate_polygon_tiles(polygons, cfg, rootPath, rootPath_save) -> Vector{TileMetadata}
+
+Returns the tiles that intersect a (multi-)polygon, skipping the ones already on
+disk at a suitable resolution. Holes are honoured: a tile lying entirely inside
+a hole is not selected. The adaptive resolution works as in `generate_all_tiles`,
+with the distance measured from the centroid of the outer rings, and tiles are
+sorted by that distance.
+"""
+function generate_polygon_tiles(
+    polygons::Vector{Polygon},
+    cfg::Dict,
+    rootPath::String,
+    rootPath_save::String
+    )
+    outer = [v for poly in polygons for v in first(poly)]
+    isempty(outer) && return TileMetadata[]
+
+    lat_step     = 0.125
+    base_size_id = get(cfg, "size", 4)
+    lat_c        = sum(first, outer) / length(outer)
+    lon_c        = sum(last, outer) / length(outer)
+
+    lat_min_grid = floor(minimum(first, outer) / lat_step) * lat_step
+    lat_max_grid = floor(maximum(first, outer) / lat_step) * lat_step
+
+    tiles_with_distance = Vector{Tuple{TileMetadata, Float64}}()
+    @info "GeoEngine: Generazione griglia tile per poligono ($(length(polygons)) parti)…"
+
+    for lat in lat_min_grid:lat_step:lat_max_grid
+        # Tile width depends on the latitude band, so align each row separately
+        current_lon_step = tileWidth(lat + lat_step / 2)
+        lon_min_grid = floor(minimum(last, outer) / current_lon_step) * current_lon_step
+        lon_max_grid = floor(maximum(last, outer) / current_lon_step) * current_lon_step
+
+        for lon in lon_min_grid:current_lon_step:lon_max_grid
+            tile_box = (lat, lon, lat + lat_step, lon + current_lon_step)
+            any(poly -> polygon_intersects_box(poly, tile_box), polygons) || continue
+
+            latC = lat + lat_step / 2
+            lonC = lon + current_lon_step / 2
+            tile_id = index(latC, lonC)
+
+            dist_nm = Geodesics.surface_distance(
+                lonC, latC, lon_c, lat_c, Geodesics.localEarthRadius(latC)
+                ) / 1852.0
+            adaptive_id  = Commons.adaptive_size_id(base_size_id, 1000.0, dist_nm, 90.0)
+            effective_id = max(get(cfg, "sdwn", base_size_id), adaptive_id)
+
+            params = getSizeAndCols(effective_id)
+            if params === nothing
+                @warn "ID risoluzione non valido ($effective_id) per tile $tile_id. Salto."
+                continue
+            end
+            effective_width, effective_cols = params
+
+            if ddsFindScanner.has_suitable_tile(tile_id, effective_id, rootPath, rootPath_save, cfg)
+                @info "GeoEngine.generate_polygon_tiles: Tile $tile_id già presente con risoluzione adeguata. Salto."
+                continue
+            end
+
+            tile = TileMetadata(
+                tile_id, effective_id,
+                lon, lat, lon + current_lon_step, lat + lat_step,
+                Commons.x_index(latC, lonC), Commons.y_index(latC),
+                lonC, latC, current_lon_step,
+                effective_width, effective_cols
+                )
+            push!(tiles_with_distance, (tile, dist_nm))
+        end
+    end
+
+    sort!(tiles_with_distance, by = item -> item[2])
+    return unique(t -> t.id, [item[1] for item in tiles_with_distance])
+end
+
+# Even-odd point-in-ring test; (lat, lon) treated as planar coordinates,
+# which is accurate enough at tile scale.
+function point_in_ring(lat::Float64, lon::Float64, ring::Ring)
+    inside = false
+    n = length(ring)
+    j = n
+    for i in 1:n
+        (lat_i, lon_i), (lat_j, lon_j) = ring[i], ring[j]
+        if (lat_i > lat) != (lat_j > lat) &&
+           lon < (lon_j - lon_i) * (lat - lat_i) / (lat_j - lat_i) + lon_i
+            inside = !inside
+        end
+        j = i
+    end
+    return inside
+end
+
+# Inside the outer ring and outside every hole
+point_in_polygon(lat, lon, poly::Polygon) =
+    point_in_ring(lat, lon, first(poly)) && !any(h -> point_in_ring(lat, lon, h), poly[2:end])
+
+# Proper or touching intersection between segments p1-p2 and q1-q2
+function segments_intersect(p1, p2, q1, q2)
+    cross(o, a, b) = (a[1] - o[1]) * (b[2] - o[2]) - (a[2] - o[2]) * (b[1] - o[1])
+    d1, d2 = cross(q1, q2, p1), cross(q1, q2, p2)
+    d3, d4 = cross(p1, p2, q1), cross(p1, p2, q2)
+    if ((d1 > 0) != (d2 > 0)) && ((d3 > 0) != (d4 > 0)) && d1 != 0 && d2 != 0 && d3 != 0 && d4 != 0
+        return true
+    end
+    on_segment(a, b, c) = min(a[1], b[1]) <= c[1] <= max(a[1], b[1]) && min(a[2], b[2]) <= c[2] <= max(a[2], b[2])
+    return (d1 == 0 && on_segment(q1, q2, p1)) || (d2 == 0 && on_segment(q1, q2, p2)) ||
+           (d3 == 0 && on_segment(p1, p2, q1)) || (d4 == 0 && on_segment(p1, p2, q2))
+end
+
+"""
+    polygon_intersects_box(poly, box) -> Bool
+
+True if the polygon (with holes) and the box `(latS, lonW, latN, lonE)` share
+some area: a box corner lies in the polygon, a polygon vertex lies in the box,
+or a polygon edge crosses a box edge.
+"""
+function polygon_intersects_box(poly::Polygon, box::NTuple{4,Float64})
+    latS, lonW, latN, lonE = box
+    corners = ((latS, lonW), (latS, lonE), (latN, lonE), (latN, lonW))
+
+    any(c -> point_in_polygon(c[1], c[2], poly), corners) && return true
+
+    for ring in poly
+        n = length(ring)
+        for i in 1:n
+            v = ring[i]
+            # A vertex of the outer ring inside the box means overlap
+            # (hole vertices alone do not: the box may sit inside the hole)
+            ring === first(poly) && latS <= v[1] <= latN && lonW <= v[2] <= lonE && return true
+            w = ring[i == n ? 1 : i + 1]
+            for k in 1:4
+                segments_intersect(v, w, corners[k], corners[k == 4 ? 1 : k + 1]) && return true
+            end
+        end
+    end
+    return false
+end
+
+
 """
 Crea una lista di job a bassa risoluzione per una pre-copertura veloce.
 Viene generato un solo "chunk job" per ogni tile.
@@ -307,11 +455,115 @@ function process_target_area(
         area, cfg, root_path, save_path;
         heading_deg=heading_deg, alt_ft=alt_ft
     )
+    notify_tiles_planned(cfg, tiles)
     if isempty(tiles)
         @info "GeoEngine: Nessun tile da processare per l'area specificata."
         return nothing
     end
 
+    process_tiles(tiles, cfg, map_server, root_path, save_path, tmp_dir)
+    @info "GeoEngine: process_target_area terminato."
+end
+
+
+"""
+    process_target_polygon(polygons, cfg, map_server, root_path, save_path)
+
+Polygon counterpart of `process_target_area`: downloads exactly the tiles that
+intersect `polygons` (a multi-polygon: each polygon is an outer ring of
+`(lat, lon)` vertices followed by optional holes) and runs the same pipeline.
+"""
+function process_target_polygon(
+    polygons::Vector{Polygon},
+    cfg::Dict,
+    map_server::MapServer,
+    root_path::String,
+    save_path::String
+    )
+    tmp_dir = joinpath(save_path, "tmp")
+    mkpath(tmp_dir)
+
+    tiles = generate_polygon_tiles(polygons, cfg, root_path, save_path)
+    notify_tiles_planned(cfg, tiles)
+    if isempty(tiles)
+        @info "GeoEngine: Nessun tile da processare per il poligono specificato."
+        return nothing
+    end
+
+    process_tiles(tiles, cfg, map_server, root_path, save_path, tmp_dir)
+    @info "GeoEngine: process_target_polygon terminato."
+end
+
+
+"""
+    tile_metadata(tile_id, size_id) -> TileMetadata
+
+Builds the metadata of a single tile from its FlightGear index, with the
+pixel width and chunk columns of `size_id`.
+"""
+function tile_metadata(tile_id::Int, size_id::Int)
+    params = getSizeAndCols(size_id)
+    params === nothing && throw(ArgumentError("Invalid sizeId $size_id"))
+    width, cols = params
+
+    _, _, lon_base, lat_base, x, y, _, _ = Commons.coordFromIndex(tile_id)
+    lat_step = 0.125
+    latLL = lat_base + y * lat_step
+    lon_step = tileWidth(latLL + lat_step / 2)
+    lonLL = lon_base + x * lon_step
+
+    return TileMetadata(
+        tile_id, size_id,
+        lonLL, latLL, lonLL + lon_step, latLL + lat_step,
+        x, y,
+        lonLL + lon_step / 2, latLL + lat_step / 2, lon_step,
+        width, cols
+        )
+end
+
+
+"""
+    process_tile_ids(tile_sizes, cfg, map_server, root_path, save_path)
+
+Downloads the given `(tile_id, size_id)` tiles whatever is already on disk
+(re-download and upgrade actions of the GUI coverage popup and box
+selection). Pre-coverage is skipped, so the current tiles stay in place until
+the new ones are assembled; `cfg["over"]` should be 2 for the new tiles to
+replace them (the old ones go to `save_path`).
+"""
+function process_tile_ids(
+    tile_sizes::Vector{Tuple{Int,Int}},
+    cfg::Dict,
+    map_server::MapServer,
+    root_path::String,
+    save_path::String
+    )
+    isempty(tile_sizes) && return nothing
+    tmp_dir = joinpath(save_path, "tmp")
+    mkpath(tmp_dir)
+
+    tiles = [tile_metadata(id, size_id) for (id, size_id) in tile_sizes]
+    notify_tiles_planned(cfg, tiles)
+    process_tiles(tiles, merge(cfg, Dict("precover" => false)), map_server, root_path, save_path, tmp_dir)
+    @info "GeoEngine: process_tile_ids terminato ($(length(tiles)) tile)."
+end
+
+
+"""
+    process_tiles(tiles, cfg, map_server, root_path, save_path, tmp_dir)
+
+Download and assembly pipeline shared by the area and polygon entry points:
+starts the assembly monitor and the download workers, queues pre-coverage and
+high-resolution chunk jobs, then waits for the downloads and the monitor.
+"""
+function process_tiles(
+    tiles::Vector{TileMetadata},
+    cfg::Dict,
+    map_server::MapServer,
+    root_path::String,
+    save_path::String,
+    tmp_dir::String
+    )
     # Avvia i servizi in background che ascolteranno le code.
     monitor_task = @async AssemblyMonitor.monitor_and_assemble(
         root_path, save_path, tmp_dir,
@@ -336,8 +588,12 @@ function process_target_area(
     precover_level = clamp(min_required_unclamped - precover_gap, 0, 2)
     precover_level = min(precover_level, get(cfg, "size", 4))  # di fatto è già ≤2, ma resta coerente con size
 
-    @info "GeoEngine: Fase 1 - Pre-coverage livello $(precover_level) (min_area=$(min_required_unclamped), gap=$(precover_gap))"
-    precoverage_jobs = create_precoverage_jobs(tiles, precover_level, tmp_dir)
+    # cfg["precover"] = false salta la pre-copertura (es. singolo tile già presente)
+    precoverage_jobs = ChunkJob[]
+    if get(cfg, "precover", true)
+        @info "GeoEngine: Fase 1 - Pre-coverage livello $(precover_level) (min_area=$(min_required_unclamped), gap=$(precover_gap))"
+        precoverage_jobs = create_precoverage_jobs(tiles, precover_level, tmp_dir)
+    end
     if !isempty(precoverage_jobs)
         @info "GeoEngine: Accodamento di $(length(precoverage_jobs)) job di pre-copertura (lvl=$(precover_level))."
         Downloader.enqueue_high!(precoverage_jobs)
@@ -393,8 +649,21 @@ function process_target_area(
 
     @info "Fase di download terminata. Attendo l'assemblaggio finale..."
     wait(monitor_task)
+    return nothing
+end
 
-    @info "GeoEngine: process_target_area terminato."
+
+"""
+notify_tiles_planned(cfg::Dict, tiles)
+
+Passes the planned `(tile_id, size_id)` pairs to the optional `cfg["on_tiles_planned"]`
+callback, used by `GuiMode` to track job progress. Does nothing when the key is absent.
+"""
+function notify_tiles_planned(cfg::Dict, tiles)
+    callback = get(cfg, "on_tiles_planned", nothing)
+    callback === nothing && return nothing
+    callback(Tuple{Int,Int}[(t.id, t.size_id) for t in tiles])
+    return nothing
 end
 
 
@@ -480,6 +749,7 @@ function process_fill_holes(bounds, cfg::Dict, map_server::Downloader.MapServer,
     end
     # ... (fine della logica di scansione) ...
 
+    notify_tiles_planned(cfg, missing_tiles)
     if isempty(missing_tiles)
         @info "GeoEngine: Nessun buco interno trovato nell'area visibile."
         return
@@ -12,6 +12,7 @@
 #   - Commons.jl: Provides shared data structures and utilities
 #   - Downloader.jl: Handles map tile downloading
 #   - Route.jl: Manages route calculations and ICAO resolution
+#   - Geodesics.jl: Distances for polygon job centre/radius
 #
 # Features:
 #   - HTTP server (default: http://127.0.0.1:8000)
@@ -27,15 +28,22 @@
 #
 # API Endpoints:
 #   POST /api/start-job    : Queue a new tile job
+#   GET  /api/jobs         : List session jobs with state and progress
+#   GET  /api/coverage     : Coverage tiles (ETag, ?since=<version> deltas)
+#   GET  /api/events       : Server-Sent Events stream (position, connection,
+#                            job lifecycle, coverage changes)
 #   GET  /api/fgfs-status  : Fetch live aircraft data
 #   GET  /preview?id=:id   : Generate tile preview
+#   GET  /api/airports     : Airports of a map area (offline base map)
+#   GET  /api/airports/search?q= : Airports by ICAO, IATA, name or city
+#   GET  /api/tile-dds?id= : Raw DDS file for the in-browser viewer
 #   POST /api/shutdown     : Terminate server
 
 module GuiMode
 
 export run
 
-using ..Connector, ..GeoEngine, ..ddsFindScanner, ..Photoscenary.dds2pngDXT1, ..Commons, ..Downloader, ..Route
+using ..Connector, ..GeoEngine, ..ddsFindScanner, ..Photoscenary.dds2pngDXT1, ..Commons, ..Downloader, ..Route, ..Geodesics
 using Logging, JSON3, HTTP, Images, Dates
 using Base.Threads: @spawn
 using Base.Threads: Atomic, atomic_add!
@@ -49,8 +57,6 @@ const FGFS_CONNECTION = Ref{Union{Connector.FGFSPositionRoute, Nothing}}(nothing
 
 # Infinite job queue for processing download/conversion tasks
 const JOB_QUEUE = Channel{Dict}(Inf)
-# Channel for notifying frontend about completed jobs
-const COMPLETED_JOBS = Channel{Int}(Inf)
 # Atomic counter for assigning unique job IDs
 const JOB_ID_COUNTER = Atomic{Int}(0)
 # Background worker task that processes the job queue
@@ -62,6 +68,36 @@ const FGFS_LOCK = ReentrantLock()
 # Function to get a new unique job ID in a thread-safe manner
 next_job_id() = atomic_add!(JOB_ID_COUNTER, 1)
 
+# Session registry of every job submitted through the API (job_id => record).
+# Records are kept after completion so the GUI can show a job history.
+const JOB_REGISTRY = Dict{Int, Dict{String, Any}}()
+# Tiles still awaited by each job (job_id => tile_id => target size_id)
+const JOB_PENDING_TILES = Dict{Int, Dict{Int, Int}}()
+# Lock protecting JOB_REGISTRY and JOB_PENDING_TILES
+const JOB_REGISTRY_LOCK = ReentrantLock()
+# Job parameters copied into the registry record
+const JOB_PARAM_KEYS = ("lat", "lon", "radius", "size", "sdwn", "over", "server", "mode", "shape", "tiles")
+
+# Event bus for the /api/events stream: one channel of (event, json data) per client
+const EVENT_SUBSCRIBERS = Set{Channel{Tuple{String, String}}}()
+const EVENT_LOCK = ReentrantLock()
+# Events buffered per client; a client that falls further behind loses events
+const EVENT_BUFFER = 256
+# Seconds between state checks of the event publisher
+const EVENT_POLL_INTERVAL = 1.0
+# Seconds between heartbeat comments keeping idle streams (and proxies) alive
+const EVENT_HEARTBEAT_INTERVAL = 15.0
+
+# In-memory copy of coverage.json served by /api/coverage (tile id => entry)
+const COVERAGE_TILES = Dict{Int, Any}()
+# Version of COVERAGE_TILES: coverage.json mtime in milliseconds (0 = no file)
+const COVERAGE_VERSION = Ref{Int}(0)
+# Recent coverage changes: (from_version, to_version, added, changed, removed)
+const COVERAGE_LOG = Vector{Tuple{Int, Int, Set{Int}, Set{Int}, Set{Int}}}()
+# Number of coverage changes kept for delta requests
+const COVERAGE_LOG_MAX = 50
+const COVERAGE_LOCK = ReentrantLock()
+
 
 # Unified Request Handler - Main HTTP Router
 #
@@ -108,23 +144,34 @@ function handle(req::HTTP.Request)
     # Handle API routes
     if m == "GET"
         if p == "/api/connection-state"
-            conn = FGFS_CONNECTION[]
-            st = conn === nothing ? "disconnected" :
-                conn.actual === nothing ? "connecting" : "connected"
-                return HTTP.Response(200, ["Content-Type"=>"application/json"], JSON3.write((state=st,)))
+                return HTTP.Response(200, ["Content-Type"=>"application/json"], JSON3.write((state=fgfs_connection_state(),)))
             elseif p == "/api/session-info"  # <-- AGGIUNGI QUESTA NUOVA ROTTA
                 return h_session_info(req)
             elseif p == "/api/fgfs-status"
                 return h_fgfs_status(req)
-            elseif p == "/api/completed-jobs"
-                return h_completed_jobs(req)
+            elseif p == "/api/jobs"
+                return h_jobs(req)
+            elseif startswith(p, "/api/coverage")
+                return h_coverage(req)
+            elseif p == "/api/disk-usage"
+                return h_disk_usage(req)
+            elseif p == "/api/servers"
+                return h_servers(req)
+            elseif startswith(p, "/api/imagery")
+                return h_imagery(req)
             elseif startswith(p, "/api/resolve-icao")
                 return h_resolve_icao(req)
+            elseif startswith(p, "/api/airports/search")
+                return h_airport_search(req)
+            elseif startswith(p, "/api/airports")
+                return h_airports(req)
             elseif p == "/api/queue-size"
             # This route is now accessible
                 return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(Base.n_avail(JOB_QUEUE)))
             elseif startswith(p, "/preview")
                 return h_preview(req)
+            elseif startswith(p, "/api/tile-dds")
+                return h_tile_dds(req)
         else
             # If no API route matches, serve static files
             return serve_static_file(req)
@@ -138,6 +185,10 @@ function handle(req::HTTP.Request)
                 return h_start_job(req)
             elseif p == "/api/fill-holes"
                 return h_fill_holes(req)
+            elseif p == "/api/tile-action"
+                return h_tile_action(req)
+            elseif p == "/api/servers"
+                return h_server_edit(req)
             elseif p == "/api/shutdown"
                 return h_shutdown(req)
         else
@@ -149,6 +200,28 @@ function handle(req::HTTP.Request)
 end
 
 
+# Stream-level entry point
+#
+# The server runs in stream mode so that /api/events can keep its connection
+# open and write Server-Sent Events as they happen. Every other request is
+# handed unchanged to the request router `handle` through HTTP.streamhandler.
+#
+# Parameters:
+#   - stream: HTTP.Stream for the current connection
+#
+# Returns: Nothing (the response is written to the stream)
+
+const REQUEST_STREAM_HANDLER = HTTP.streamhandler(handle)
+
+function handle_stream(stream::HTTP.Stream)
+    req = stream.message
+    if req.method == "GET" && req.target == "/api/events"
+        return h_events(stream)
+    end
+    return REQUEST_STREAM_HANDLER(stream)
+end
+
+
 ###############################################################################
 # API Route Handlers
 #
@@ -177,15 +250,31 @@ end
 #   - lon: Longitude coordinate (optional if ICAO provided)
 #   - icao: Airport ICAO code (optional if lat/lon provided)
 #   - radius: Search radius for tile processing
+#   - shape: "circle" (default) or "polygon"
+#   - polygon: For shape "polygon", list of polygons; each polygon is a list
+#     of rings (outer ring first, then holes), each ring a list of [lat, lon].
+#     lat/lon/radius are derived from it when missing.
+#   - heading, altitude: For mode "daa", aircraft true heading (deg) and AGL
+#     altitude (ft) used for the adaptive LOD instead of the FGFS connection
 #
 # Returns:
 #   - 200 OK with job ID and coordinates on success
-#   - 400 Bad Request if ICAO cannot be resolved
+#   - 400 Bad Request if ICAO cannot be resolved or the polygon is invalid
 
 function h_start_job(req)
     # Force keys to be strings for consistent dictionary access
     params = Dict{String, Any}(string(k) => v for (k, v) in pairs(JSON3.read(req.body)))
 
+    if get(params, "shape", "circle") == "polygon"
+        polygons = parse_polygons(get(params, "polygon", nothing))
+        polygons === nothing && return HTTP.Response(400, "Invalid polygon")
+        params["polygon"] = polygons
+        # Centre and enclosing radius keep the job usable by circle-based code (paths, UI)
+        if !haskey(params, "lat") || !haskey(params, "lon") || !haskey(params, "radius")
+            params["lat"], params["lon"], params["radius"] = polygon_center_radius(polygons)
+        end
+    end
+
     job_id = next_job_id()
     params["job_id"] = job_id
 
@@ -200,7 +289,8 @@ function h_start_job(req)
         end
     end
 
-    # Add job to the processing queue
+    # Add job to the registry and to the processing queue
+    register_job!(params)
     put!(JOB_QUEUE, params)
 
     # Prepare response payload with job details
@@ -214,24 +304,52 @@ function h_start_job(req)
 end
 
 
-# Handler for retrieving completed job notifications
+# Converts the JSON "polygon" field into GeoEngine polygons.
+# Returns nothing if it is missing or any ring has fewer than 3 vertices.
+function parse_polygons(raw)
+    raw === nothing && return nothing
+    try
+        polygons = GeoEngine.Polygon[
+            GeoEngine.Ring[[(Float64(pt[1]), Float64(pt[2])) for pt in ring] for ring in poly]
+            for poly in raw
+        ]
+        ok = !isempty(polygons) && all(poly -> !isempty(poly) && all(r -> length(r) >= 3, poly), polygons)
+        return ok ? polygons : nothing
+    catch
+        return nothing
+    end
+end
+
+# Centroid of the outer-ring vertices and distance (NM) to the farthest one
+function polygon_center_radius(polygons)
+    outer = [v for poly in polygons for v in first(poly)]
+    lat_c = sum(first, outer) / length(outer)
+    lon_c = sum(last, outer) / length(outer)
+    radius_nm = maximum(v -> Geodesics.surface_distance(v[2], v[1], lon_c, lat_c,
+                                                        Geodesics.localEarthRadius(lat_c)) / 1852.0, outer)
+    return lat_c, lon_c, max(radius_nm, 1.0)
+end
+
+
+# Handler for listing the jobs of the current session
 #
-# This endpoint allows the frontend to check which jobs have completed
-# processing. It drains the COMPLETED_JOBS channel and returns all
-# completed job IDs that have accumulated since the last check.
+# This endpoint returns every job submitted since the server started,
+# including finished ones, so the frontend can show running jobs and a
+# session history side by side.
 #
 # Parameters: None
 #
 # Returns:
-#   - 200 OK with JSON array of completed job IDs
-
-function h_completed_jobs(_req)
-    # Collect all completed job IDs from the notification channel
-    completed_ids = Int[]
-    while isready(COMPLETED_JOBS)
-        push!(completed_ids, take!(COMPLETED_JOBS))
-    end
-    HTTP.Response(200, JSON3.write(completed_ids))
+#   - 200 OK with JSON array (sorted by job ID) of objects containing:
+#     - jobId: Job identifier
+#     - params: lat, lon, radius, size, sdwn, over, server, mode
+#     - state: "queued", "running", "completed" or "failed"
+#     - tilesTotal / tilesDone: Planned tiles and tiles already placed
+#     - submittedAt / startedAt / endedAt: Timestamps (null if not reached)
+#     - error: Failure message (null unless state is "failed")
+
+function h_jobs(_req)
+    HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(job_list()))
 end
 
 
@@ -247,6 +365,7 @@ function h_fill_holes(req)
         "settings" => params.settings
         )
 
+    register_job!(merge(Dict{String, Any}(string(k) => v for (k, v) in pairs(params.settings)), job_params))
     put!(JOB_QUEUE, job_params)
 
     # Rispondi subito al client per non tenerlo in attesa
@@ -255,6 +374,117 @@ function h_fill_holes(req)
 end
 
 
+# Handler for the per-tile actions of the coverage popup and box selection
+#
+# Fixes single tiles without drawing an area around them (which would also
+# overwrite their neighbours). Downloads run as one "tile" job, so they appear
+# in the job list; the coverage layer is refreshed by the usual "coverage"
+# event once coverage.json has been regenerated.
+#
+# Parameters (from JSON body):
+#   - id or ids: Tile ID, or list of tile IDs (required)
+#   - action: "redownload" (same resolution), "upgrade" (to `size`), "delete"
+#     (removes the tiles from the scenery folder; older versions in
+#     Orthophotos-saved are kept), "protect" or "unprotect"
+#   - size: Target sizeId (required for "upgrade"; tiles already at or above
+#     it are skipped)
+#   - server: Map server for "redownload" and "upgrade" (default 1)
+#
+# With a list, tiles not on disk, protected or not upgradable are skipped
+# and counted in `skipped`; with a single `id` they are an error instead.
+#
+# Returns:
+#   - 200 OK with JSON: {jobId, tiles, skipped} for downloads (jobId is null
+#     if nothing is left to download), {deleted, remaining, skipped} for
+#     "delete", {protected, count, skipped} for "protect" / "unprotect"
+#   - 400 Bad Request for an invalid ID, action or size
+#   - 404 Not Found if the tile is not on disk ("unprotect" excepted)
+#   - 409 Conflict if the tile is protected (unprotect it first)
+
+function h_tile_action(req)
+    body = try
+        JSON3.read(req.body)
+    catch
+        return HTTP.Response(400, "Invalid JSON body")
+    end
+    action = string(get(body, :action, ""))
+    single = !haskey(body, :ids)
+    raw_ids = single ? [get(body, :id, nothing)] : body[:ids]
+    all(id -> id isa Integer && id > 0, raw_ids) || return HTTP.Response(400, "Invalid tile ID")
+    ids = unique(Int.(raw_ids))
+    isempty(ids) && return HTTP.Response(400, "No tile IDs")
+    json_ok(payload) = HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(payload))
+
+    if action == "protect" || action == "unprotect"
+        # Only tiles on disk can be protected; unprotect also clears stale ids
+        targets = action == "unprotect" ? ids :
+            filter(id -> !isempty(ddsFindScanner.find_all_versions_by_id(id)), ids)
+        single && isempty(targets) && return HTTP.Response(404, "Tile not found")
+        isempty(targets) || ddsFindScanner.set_protected!(targets, action == "protect")
+        return json_ok((protected=action == "protect", count=length(targets), skipped=length(ids) - length(targets)))
+    end
+    action in ("redownload", "upgrade", "delete") || return HTTP.Response(400, "Unknown action: $action")
+
+    size_req = get(body, :size, nothing)
+    if action == "upgrade" && !(size_req isa Integer && 0 <= size_req <= 6)
+        return HTTP.Response(400, "Invalid size")
+    end
+
+    # Best sizeId on disk of each usable tile
+    current = Dict{Int, Int}()
+    for id in ids
+        versions = ddsFindScanner.find_all_versions_by_id(id)
+        if isempty(versions)
+            single && return HTTP.Response(404, "Tile not found")
+        elseif ddsFindScanner.is_protected(id)
+            single && return HTTP.Response(409, "Tile $id is protected")
+        else
+            current[id] = maximum(v -> get(v, "sizeId", -1), versions)
+        end
+    end
+
+    if action == "delete"
+        _, _, root_path, _ = GeoEngine.prepare_paths_and_location(Dict{String, Any}(), @__DIR__)
+        deleted, remaining = ddsFindScanner.delete_tiles!(collect(keys(current)), root_path)
+        single && deleted == 0 && return HTTP.Response(404, "Tile not in the scenery folder")
+        return json_ok((deleted=deleted, remaining=remaining, skipped=length(ids) - length(current)))
+    end
+
+    tile_sizes = Tuple{Int,Int}[]
+    for id in ids
+        haskey(current, id) || continue
+        if action == "redownload"
+            push!(tile_sizes, (id, current[id]))
+        elseif size_req > current[id]
+            push!(tile_sizes, (id, Int(size_req)))
+        elseif single
+            return HTTP.Response(400, "Upgrade needs a size above the current one ($(current[id]))")
+        end
+    end
+    skipped = length(ids) - length(tile_sizes)
+    isempty(tile_sizes) && return json_ok((jobId=nothing, tiles=0, skipped=skipped))
+
+    # Job shown at the centre of the tiles
+    centres = [GeoEngine.tile_metadata(id, size_id) for (id, size_id) in tile_sizes]
+    job_id = next_job_id()
+    params = Dict{String, Any}(
+        "job_id" => job_id,
+        "mode"   => "tile",
+        "tiles"  => tile_sizes,
+        "size"   => maximum(last, tile_sizes),
+        "over"   => 2,          # the action replaces the tiles on purpose
+        "sdwn"   => -1,
+        "server" => get(body, :server, 1),
+        "lat"    => sum(t -> t.latC, centres) / length(centres),
+        "lon"    => sum(t -> t.lonC, centres) / length(centres),
+        "radius" => 0.0
+        )
+    register_job!(params)
+    put!(JOB_QUEUE, params)
+    return json_ok((jobId=job_id, tiles=length(tile_sizes), skipped=skipped))
+end
+
+
 # Handler for server shutdown
 #
 # This endpoint provides a clean way to shutdown the server from the web interface.
@@ -361,26 +591,104 @@ end
 #     - altitude: Altitude in feet (if active)
 #     - speed: Speed in mph (if active)
 function h_fgfs_status(_req)
+    return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(fgfs_status_payload()))
+end
+
+# Current FlightGear connection state: "disconnected", "connecting" or "connected"
+function fgfs_connection_state()
+    conn = FGFS_CONNECTION[]
+    return conn === nothing ? "disconnected" :
+        conn.actual === nothing ? "connecting" : "connected"
+end
+
+# Aircraft status shared by /api/fgfs-status and the "position" event
+function fgfs_status_payload()
     conn = FGFS_CONNECTION[]
 
     # Handle different connection states: no task, task connecting, task with data
     if conn === nothing || conn.actual === nothing
-        return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write((active=false,)))
+        return (active=false,)
+    end
+
+    # Connection is active and we have position data
+    pos = conn.actual
+
+    # Use correct field names from the FGFSPosition struct
+    # calculated in Connector.jl
+    return (
+        active=true,
+        lat=pos.latitudeDeg,
+        lon=pos.longitudeDeg,
+        heading=pos.directionDeg,
+        altitude=pos.altitudeFt,
+        speed=pos.speedMph
+        )
+end
+
+
+# Handler for the Server-Sent Events stream
+#
+# This endpoint keeps the connection open and pushes every state change the
+# GUI needs, replacing the periodic polling of the individual endpoints.
+# A snapshot of the current state is sent as soon as the client connects.
+#
+# Events (data is JSON):
+#   - connection: {state} whenever the FlightGear connection state changes
+#   - position:   same payload as /api/fgfs-status, when the aircraft moves
+#   - jobs:       full /api/jobs list (snapshot on connect only)
+#   - job:        one /api/jobs record whenever a job changes
+#   - coverage:   {modified} when coverage.json is rewritten
+#
+# Parameters:
+#   - stream: HTTP.Stream of the client connection
+#
+# Returns: Nothing; returns when the client disconnects
+
+function h_events(stream::HTTP.Stream)
+    HTTP.setstatus(stream, 200)
+    HTTP.setheader(stream, "Content-Type" => "text/event-stream")
+    HTTP.setheader(stream, "Cache-Control" => "no-cache")
+    HTTP.startwrite(stream)
+
+    ch = Channel{Tuple{String, String}}(EVENT_BUFFER)
+    lock(() -> push!(EVENT_SUBSCRIBERS, ch), EVENT_LOCK)
+    try
+        # Initial snapshot so the client does not wait for the next change
+        write_event(stream, "connection", JSON3.write((state=fgfs_connection_state(),)))
+        write_event(stream, "position", JSON3.write(fgfs_status_payload()))
+        write_event(stream, "jobs", JSON3.write(job_list()))
+
+        for (event, data) in ch
+            write_event(stream, event, data)
+        end
+    catch e
+        # A closed browser tab shows up as a write error: nothing to report
+        isa(e, Base.IOError) || isa(e, EOFError) || @warn "GuiMode.h_events: stream closed" exception=e
+    finally
+        lock(() -> delete!(EVENT_SUBSCRIBERS, ch), EVENT_LOCK)
+        close(ch)
+    end
+    return nothing
+end
+
+# Writes one SSE frame; an empty event name writes a heartbeat comment
+function write_event(stream::HTTP.Stream, event::String, data::String)
+    if isempty(event)
+        write(stream, ": heartbeat\n\n")
     else
-        # Connection is active and we have position data
-        pos = conn.actual
+        write(stream, "event: $event\ndata: $data\n\n")
+    end
+end
 
-        # Use correct field names from the FGFSPosition struct
-        # calculated in Connector.jl
-        payload = (
-            active=true,
-            lat=pos.latitudeDeg,
-            lon=pos.longitudeDeg,
-            heading=pos.directionDeg,
-            altitude=pos.altitudeFt,
-            speed=pos.speedMph
-            )
-        return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(payload))
+# Sends an event to every connected client without ever blocking the caller
+function publish_event(event::String, payload)
+    data = payload isa String ? payload : JSON3.write(payload)
+    lock(EVENT_LOCK) do
+        for ch in EVENT_SUBSCRIBERS
+            if isopen(ch) && Base.n_avail(ch) < EVENT_BUFFER
+                put!(ch, (event, data))
+            end
+        end
     end
 end
 
@@ -403,6 +711,221 @@ function h_generate_coverage(_req)
 end
 
 
+# Handler for coverage data with conditional and delta requests
+#
+# This endpoint serves the content of coverage.json from an in-memory copy
+# that is reloaded only when the file changes. Each reload gets a version
+# (file mtime in ms) used both as ETag and as the `since` value for deltas.
+#
+# Parameters:
+#   - If-None-Match header: ETag of the version the client already has
+#   - since (query string): version the client already has; the reply then
+#     contains only the differences (if that version is still in the log)
+#
+# Returns:
+#   - 304 Not Modified if the client is already up to date
+#   - 200 OK with JSON:
+#     - full reply:  {version, full: true, tiles: [...]}
+#     - delta reply: {version, full: false, added: [...], changed: [...], removed: [ids]}
+#     A full reply is sent when `since` is unknown or too old.
+
+function h_coverage(req::HTTP.Request)
+    refresh_coverage_state!()
+    since_str = get(HTTP.queryparams(req), "since", "")
+    since = tryparse(Int, since_str)
+
+    payload, etag = lock(COVERAGE_LOCK) do
+        version = COVERAGE_VERSION[]
+        etag = "\"$(version)\""
+        if since == version || HTTP.header(req, "If-None-Match") == etag
+            return nothing, etag
+        end
+        delta = since === nothing ? nothing : coverage_delta(since)
+        if delta === nothing
+            return Dict("version" => version, "full" => true, "tiles" => collect(values(COVERAGE_TILES))), etag
+        end
+        return merge(Dict{String, Any}("version" => version, "full" => false), delta), etag
+    end
+
+    payload === nothing && return HTTP.Response(304, ["ETag" => etag])
+    HTTP.Response(200, ["Content-Type" => "application/json", "ETag" => etag, "Cache-Control" => "no-cache"],
+                  JSON3.write(payload))
+end
+
+
+# Handler for the disk usage of the indexed DDS files
+#
+# This endpoint lists every DDS file known to the scanner, including older
+# versions kept in Orthophotos-saved, so the GUI can compute the disk usage
+# per resolution and per region (coverage.json only has the best version).
+#
+# Parameters: None
+#
+# Returns:
+#   - 200 OK with JSON: {totalBytes, files: [{id, sizeId, bytes, saved}]}
+
+function h_disk_usage(_req)
+    files = ddsFindScanner.disk_usage()
+    total = sum((f["bytes"] for f in files); init=0)
+    HTTP.Response(200, ["Content-Type" => "application/json", "Cache-Control" => "no-cache"],
+                  JSON3.write((totalBytes=total, files=files)))
+end
+
+
+# Handler for the map server catalogue
+#
+# This endpoint lists the map servers of params.xml so the GUI can fill its
+# server dropdown, draw the area each server covers and warn before queuing
+# a job outside it.
+#
+# Parameters: None
+#
+# Returns:
+#   - 200 OK with JSON: [{id, name, comment, urlTemplate, bounds, maxSize, custom}]
+#     (bounds: list of [lonW, latS, lonE, latN], empty for worldwide coverage)
+#   - 500 Internal Server Error if params.xml cannot be read
+
+function h_servers(_req)
+    servers = try
+        Downloader.list_map_servers()
+    catch e
+        @error "GuiMode.h_servers: cannot read params.xml" exception=(e, catch_backtrace())
+        return HTTP.Response(500, "Cannot read params.xml")
+    end
+    HTTP.Response(200, ["Content-Type" => "application/json", "Cache-Control" => "no-cache"], JSON3.write(servers))
+end
+
+
+# Handler proxying the imagery of a map server as XYZ map tiles
+#
+# Lets the GUI show what a job would download (js/imageryCompare.js) without
+# any browser-side configuration: each Web Mercator tile is requested from the
+# map server as an EPSG:4326 image of the same bbox. The latitude scale differs
+# slightly inside a tile, which is invisible at the zoom levels the layer uses.
+#
+# Parameters (from query string):
+#   - server: Map server id (params.xml)
+#   - z, x, y: Tile coordinates (Web Mercator, like OSM)
+#
+# Returns:
+#   - 200 OK with the PNG/JPEG image (cacheable for a day)
+#   - 400 Bad Request for invalid parameters
+#   - 502 Bad Gateway if the map server cannot be reached or returns no image
+
+function h_imagery(req)
+    q = HTTP.queryparams(req)
+    server, z, x, y = (tryparse(Int, get(q, k, "")) for k in ("server", "z", "x", "y"))
+    any(isnothing, (server, z, x, y)) && return HTTP.Response(400, "Missing server, z, x or y")
+    (0 <= z <= 20 && 0 <= x < 2^z && 0 <= y < 2^z) || return HTTP.Response(400, "Invalid tile")
+
+    n = 2.0^z
+    tile_lat(row) = atand(sinh(pi * (1 - 2 * row / n)))
+    bbox = (latLL=tile_lat(y + 1), lonLL=x / n * 360 - 180, latUR=tile_lat(y), lonUR=(x + 1) / n * 360 - 180)
+
+    data, content_type = try
+        Downloader.fetch_imagery(server, bbox, 256)
+    catch e
+        @warn "GuiMode.h_imagery: server $server tile $z/$x/$y failed: $(sprint(showerror, e))"
+        return HTTP.Response(502, "Imagery not available")
+    end
+    HTTP.Response(200, ["Content-Type" => content_type, "Cache-Control" => "public, max-age=86400"], data)
+end
+
+
+# Handler for adding and removing the map servers defined in the GUI
+#
+# New servers are written to params.xml (custom="true"), where MapServer
+# finds them like the built-in ones.
+#
+# Parameters (from JSON body):
+#   - action: "add" or "delete"
+#   - For "delete": id of a custom server
+#   - For "add":
+#       - name: Display name
+#       - type: "arcgis" (MapServer REST export), "wms111", "wms130" or
+#         "template" (full URL with {lonLL} {latLL} {lonUR} {latUR}
+#         {szWidth} {szHight} placeholders)
+#       - url: Service URL (or the template)
+#       - layers: WMS layer names (WMS types only)
+#       - bounds: Optional [lonW, latS, lonE, latN] of the covered area
+#       - maxSize: Optional maximum sizeId (default 6)
+#       - comment: Optional description / licence
+#
+# Returns:
+#   - 200 OK with JSON: {id} for "add", {deleted: true} for "delete"
+#   - 400 Bad Request for invalid fields
+#   - 404 Not Found if the server to delete is not a custom server
+
+function h_server_edit(req)
+    body = try
+        JSON3.read(req.body)
+    catch
+        return HTTP.Response(400, "Invalid JSON body")
+    end
+    action = string(get(body, :action, ""))
+
+    if action == "delete"
+        id = get(body, :id, nothing)
+        id isa Integer || return HTTP.Response(400, "Invalid server ID")
+        Downloader.delete_custom_server!(Int(id)) || return HTTP.Response(404, "Not a custom server")
+        return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write((deleted=true,)))
+    end
+    action == "add" || return HTTP.Response(400, "Unknown action: $action")
+
+    name = strip(string(get(body, :name, "")))
+    kind = string(get(body, :type, ""))
+    url = strip(string(get(body, :url, "")))
+    layers = strip(string(get(body, :layers, "")))
+    isempty(name) && return HTTP.Response(400, "Missing name")
+    occursin(r"^https?://"i, url) || return HTTP.Response(400, "The URL must start with http:// or https://")
+
+    bbox_cmd = "{lonLL},{latLL},{lonUR},{latUR}"
+    # Base URL pronta per accodare i parametri
+    with_query(u) = occursin('?', u) ? (endswith(u, '?') || endswith(u, '&') ? u : u * "&") : u * "?"
+    if kind == "arcgis"
+        base = rstrip(split(url, '?')[1], '/')
+        endswith(base, "/export") || (base *= "/export")
+        url_base = base * "?"
+        url_command = "bbox=$bbox_cmd&bboxSR=4326&size={szWidth},{szHight}&imageSR=4326&format=png24&f=image"
+    elseif kind == "wms111" || kind == "wms130"
+        isempty(layers) && return HTTP.Response(400, "Missing WMS layers")
+        url_base = with_query(url)
+        # WMS 1.3.0 con EPSG:4326 inverte gli assi: CRS:84 mantiene l'ordine lon,lat
+        srs = kind == "wms111" ? "VERSION=1.1.1&SRS=EPSG:4326" : "VERSION=1.3.0&CRS=CRS:84"
+        url_command = "SERVICE=WMS&$srs&REQUEST=GetMap&LAYERS=$layers&STYLES=&BBOX=$bbox_cmd&WIDTH={szWidth}&HEIGHT={szHight}&FORMAT=image/png"
+    elseif kind == "template"
+        placeholders = ("{lonLL}", "{latLL}", "{lonUR}", "{latUR}", "{szWidth}", "{szHight}")
+        absent = [ph for ph in placeholders if !occursin(ph, url)]
+        isempty(absent) || return HTTP.Response(400, "Missing placeholders: $(join(absent, " "))")
+        occursin('?', url) || return HTTP.Response(400, "The template needs a query string")
+        url_base, url_command = split(url, '?'; limit=2)
+        url_base *= "?"
+    else
+        return HTTP.Response(400, "Unknown server type: $kind")
+    end
+    occursin('|', url_base * url_command) && return HTTP.Response(400, "The URL cannot contain '|'")
+
+    bounds = Vector{Vector{Float64}}()
+    raw_bounds = get(body, :bounds, nothing)
+    if raw_bounds !== nothing
+        b = raw_bounds isa AbstractVector && length(raw_bounds) == 4 && all(x -> x isa Real, raw_bounds) ?
+            Downloader._parse_bounds(join(raw_bounds, ",")) : nothing
+        b === nothing && return HTTP.Response(400, "Invalid bounds (expected [lonW, latS, lonE, latN])")
+        push!(bounds, b)
+    end
+    max_size = get(body, :maxSize, 6)
+    (max_size isa Integer && 0 <= max_size <= 6) || return HTTP.Response(400, "Invalid maxSize")
+
+    id = try
+        Downloader.add_custom_server!(name, strip(string(get(body, :comment, ""))), url_base, url_command, bounds, Int(max_size))
+    catch e
+        @error "GuiMode.h_server_edit: cannot update params.xml" exception=(e, catch_backtrace())
+        return HTTP.Response(500, "Cannot update params.xml")
+    end
+    return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write((id=id,)))
+end
+
+
 # Handler for generating tile preview images
 #
 # This endpoint converts DDS tile files to PNG format for web display.
@@ -412,6 +935,8 @@ end
 # Parameters (from query string):
 #   - id: Tile ID (required)
 #   - w: Preview width in pixels (optional, default: 512)
+#   - v: Version of the tile, its last_modified (optional). Versioned URLs
+#        can be cached by the browser: a re-downloaded tile gets a new one
 #
 # Returns:
 #   - 200 OK with PNG image data and appropriate Content-Type
@@ -419,13 +944,49 @@ end
 
 function h_preview(req)
     # Generate PNG preview from DDS tile
-    id = parse(Int, HTTP.queryparams(req)["id"])
-    w  = parse(Int, get(HTTP.queryparams(req), "w", "512"))
+    q  = HTTP.queryparams(req)
+    id = parse(Int, q["id"])
+    w  = parse(Int, get(q, "w", "512"))
     paths = ddsFindScanner.find_file_by_id(id)
     isempty(paths) && return HTTP.Response(404, "Tile not found")
     dds_path = first(paths)
     png_blob = dds2pngDXT1.convert(dds_path, w)
-    HTTP.Response(200, ["Content-Type" => "image/png"], png_blob)
+    headers = ["Content-Type" => "image/png"]
+    # La conversione decodifica tutto il DDS: evitiamo di ripeterla
+    haskey(q, "v") && push!(headers, "Cache-Control" => "private, max-age=604800")
+    HTTP.Response(200, headers, png_blob)
+end
+
+
+# Handler for downloading the raw DDS file of a tile
+#
+# This endpoint streams the DDS file unchanged so the browser can decode it
+# itself (js/ddsViewer.js). Unlike /preview it does no conversion work, so it
+# answers quickly even while the server is busy assembling tiles.
+#
+# Parameters (from query string):
+#   - id: Tile ID (required)
+#
+# Returns:
+#   - 200 OK with the DDS bytes (application/octet-stream)
+#   - 400 Bad Request if the ID is missing or invalid
+#   - 404 Not Found if tile with specified ID doesn't exist
+#   - 413 Content Too Large above MAX_VIEWER_DDS_BYTES (the viewer then uses /preview)
+
+# Whole files are read into memory: size 5 and 6 tiles (128 / 512 MB) are refused
+const MAX_VIEWER_DDS_BYTES = 80 * 1024^2
+
+function h_tile_dds(req)
+    id = tryparse(Int, get(HTTP.queryparams(req), "id", ""))
+    id === nothing && return HTTP.Response(400, "Invalid tile ID")
+    paths = ddsFindScanner.find_file_by_id(id)
+    isempty(paths) && return HTTP.Response(404, "Tile not found")
+    dds_path = first(paths)
+    isfile(dds_path) || return HTTP.Response(404, "Tile not found")
+    filesize(dds_path) > MAX_VIEWER_DDS_BYTES && return HTTP.Response(413, "Tile too large for the DDS viewer")
+    HTTP.Response(200, ["Content-Type" => "application/octet-stream",
+                        "Content-Disposition" => "inline; filename=\"$(basename(dds_path))\""],
+                  read(dds_path))
 end
 
 
@@ -455,7 +1016,8 @@ function serve_static_file(req)
         mime = endswith(filepath, ".html")  ? "text/html" :
             endswith(filepath, ".js")    ? "application/javascript" :
                 endswith(filepath, ".css")   ? "text/css" :
-                    endswith(filepath, ".json")  ? "application/json" : "text/plain"
+                    endswith(filepath, ".json")  ? "application/json" :
+                        endswith(filepath, ".png")   ? "image/png" : "text/plain"
                 HTTP.Response(200, ["Content-Type" => mime], body)
                 catch e
         HTTP.Response(500, "Internal error")
@@ -508,6 +1070,299 @@ function h_resolve_icao(req::HTTP.Request)
     end
 end
 
+
+# Handler for listing the airports of a map area
+#
+# Feeds the airport layer of the offline base map from the same ICAO
+# database used by /api/resolve-icao.
+#
+# Parameters (from query string):
+#   - bbox: "latS,lonW,latN,lonE" (required)
+#   - types: Comma-separated airport types, most important first
+#            (optional, default: large_airport,medium_airport,small_airport)
+#   - limit: Maximum number of airports (optional, default: 500, max: 2000)
+#
+# Returns:
+#   - 200 OK with JSON array of {ident, iata, name, city, country, type, lat, lon}
+#   - 400 Bad Request if bbox is missing or malformed
+#   - 503 Service Unavailable if the airport database is missing
+
+function h_airports(req::HTTP.Request)
+    params = HTTP.queryparams(req)
+    box = tryparse.(Float64, split(get(params, "bbox", ""), ','))
+    (length(box) == 4 && !any(isnothing, box)) ||
+        return HTTP.Response(400, "bbox must be latS,lonW,latN,lonE")
+    types = split(get(params, "types", "large_airport,medium_airport,small_airport"), ',', keepempty=false)
+    limit = clamp(something(tryparse(Int, get(params, "limit", "500")), 500), 1, 2000)
+
+    try
+        airports = Route.airportsInBox(box...; types=String.(types), limit=limit)
+        airports === nothing && return HTTP.Response(503, "Airport database not available")
+        return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(airports))
+    catch e
+        @error "Airport query failed" exception=(e, catch_backtrace())
+        return HTTP.Response(500, "Internal server error during airport query.")
+    end
+end
+
+
+# Handler for the airport autocomplete of the location field
+#
+# Matches ICAO and IATA codes, airport names and cities in the ICAO database
+# used by /api/resolve-icao (see Route.searchAirports for the ranking).
+#
+# Parameters (from query string):
+#   - q: Text to search (required, at least 2 characters to get results)
+#   - limit: Maximum number of airports (optional, default: 10, max: 50)
+#
+# Returns:
+#   - 200 OK with JSON array of {ident, iata, name, city, country, type, lat, lon}
+#   - 400 Bad Request if q is missing
+#   - 503 Service Unavailable if the airport database is missing
+
+function h_airport_search(req::HTTP.Request)
+    params = HTTP.queryparams(req)
+    q = get(params, "q", "")
+    isempty(q) && return HTTP.Response(400, "q parameter is missing")
+    limit = clamp(something(tryparse(Int, get(params, "limit", "10")), 10), 1, 50)
+
+    try
+        airports = Route.searchAirports(q; limit=limit)
+        airports === nothing && return HTTP.Response(503, "Airport database not available")
+        return HTTP.Response(200, ["Content-Type" => "application/json"], JSON3.write(airports))
+    catch e
+        @error "Airport search failed: $q" exception=(e, catch_backtrace())
+        return HTTP.Response(500, "Internal server error during airport search.")
+    end
+end
+
+###############################################################################
+# Job Registry
+#
+# Bookkeeping behind GET /api/jobs. Every function here takes
+# JOB_REGISTRY_LOCK because updates arrive from the HTTP handlers, the
+# background worker and the tile assembly monitors at the same time.
+###############################################################################
+
+# Snapshot of all registry records, sorted by job ID
+function job_list()
+    lock(JOB_REGISTRY_LOCK) do
+        [copy(JOB_REGISTRY[id]) for id in sort!(collect(keys(JOB_REGISTRY)))]
+    end
+end
+
+# Pushes the current record of a job to the event stream
+function publish_job(job_id::Int)
+    rec = lock(JOB_REGISTRY_LOCK) do
+        haskey(JOB_REGISTRY, job_id) ? copy(JOB_REGISTRY[job_id]) : nothing
+    end
+    rec === nothing || publish_event("job", rec)
+end
+
+# Adds a newly queued job to the registry
+function register_job!(params::Dict)
+    job_id = params["job_id"]
+    record = Dict{String, Any}(
+        "jobId"       => job_id,
+        "params"      => Dict{String, Any}(k => get(params, k, nothing) for k in JOB_PARAM_KEYS),
+        "state"       => "queued",
+        "tilesTotal"  => 0,
+        "tilesDone"   => 0,
+        "submittedAt" => now(),
+        "startedAt"   => nothing,
+        "endedAt"     => nothing,
+        "error"       => nothing
+        )
+    lock(JOB_REGISTRY_LOCK) do
+        JOB_REGISTRY[job_id] = record
+    end
+    publish_job(job_id)
+end
+
+# Moves a job to a new state, stamping start/end times.
+# Returns true if the state changed (a finished job is never reopened).
+function set_job_state!(job_id::Int, state::String; error=nothing)
+    changed = lock(JOB_REGISTRY_LOCK) do
+        rec = get(JOB_REGISTRY, job_id, nothing)
+        (rec === nothing || rec["state"] in ("completed", "failed")) && return false
+        rec["state"] = state
+        if state == "running"
+            rec["startedAt"] = now()
+        elseif state in ("completed", "failed")
+            rec["endedAt"] = now()
+            rec["error"]   = error
+            delete!(JOB_PENDING_TILES, job_id)
+        end
+        return true
+    end
+    changed && publish_job(job_id)
+    return changed
+end
+
+# Marks a job as finished; set_job_state! publishes the change to the frontend
+function finish_job!(job_id::Int; error=nothing)
+    set_job_state!(job_id, error === nothing ? "completed" : "failed"; error=error)
+end
+
+# Records the tiles planned for a job (called by GeoEngine via cfg["on_tiles_planned"])
+function job_tiles_planned!(job_id::Int, tiles::Vector{Tuple{Int,Int}})
+    planned = lock(JOB_REGISTRY_LOCK) do
+        rec = get(JOB_REGISTRY, job_id, nothing)
+        # A finished job keeps its counters (and gets no pending entry back)
+        (rec === nothing || rec["state"] in ("completed", "failed")) && return false
+        pending = get!(JOB_PENDING_TILES, job_id, Dict{Int, Int}())
+        for (tile_id, size_id) in tiles
+            pending[tile_id] = max(size_id, get(pending, tile_id, size_id))
+        end
+        rec["tilesTotal"] = rec["tilesDone"] + length(pending)
+        return true
+    end
+    planned && publish_job(job_id)
+end
+
+# Records a tile placed on disk (called by AssemblyMonitor via cfg["on_tile_done"]).
+# Assembly monitors share the tmp folder, so the tile is credited to every
+# job waiting for it at that size or lower; jobs with nothing left are finished.
+function job_tile_placed!(tile_id::Int, size_id::Int)
+    updated = Int[]
+    finished = Int[]
+    lock(JOB_REGISTRY_LOCK) do
+        for (job_id, pending) in JOB_PENDING_TILES
+            target = get(pending, tile_id, nothing)
+            (target === nothing || size_id < target) && continue
+            delete!(pending, tile_id)
+            JOB_REGISTRY[job_id]["tilesDone"] += 1
+            push!(isempty(pending) ? finished : updated, job_id)
+        end
+    end
+    foreach(publish_job, updated)
+    foreach(finish_job!, finished)
+end
+
+###############################################################################
+# Coverage Versioning
+#
+# Keeps COVERAGE_TILES in sync with coverage.json and records what changed
+# between versions so /api/coverage can answer delta requests. Callers must
+# hold COVERAGE_LOCK except for refresh_coverage_state!, which takes it.
+###############################################################################
+
+# Reloads coverage.json if its mtime changed and logs the differences
+function refresh_coverage_state!()
+    path = "coverage.json"
+    version = isfile(path) ? round(Int, mtime(path) * 1000) : 0
+    version == COVERAGE_VERSION[] && return
+
+    tiles = Dict{Int, Any}()
+    if version != 0
+        try
+            for entry in JSON3.read(read(path))
+                tiles[Int(entry.id)] = entry
+            end
+        catch e
+            # The file may be half written: keep the old copy and retry next time
+            @warn "GuiMode.refresh_coverage_state!: cannot read coverage.json" exception=e
+            return
+        end
+    end
+
+    lock(COVERAGE_LOCK) do
+        version == COVERAGE_VERSION[] && return
+        added, changed, removed = Set{Int}(), Set{Int}(), Set{Int}()
+        for (id, entry) in tiles
+            old = get(COVERAGE_TILES, id, nothing)
+            if old === nothing
+                push!(added, id)
+            elseif JSON3.write(old) != JSON3.write(entry)
+                push!(changed, id)
+            end
+        end
+        for id in keys(COVERAGE_TILES)
+            haskey(tiles, id) || push!(removed, id)
+        end
+
+        if COVERAGE_VERSION[] != 0
+            push!(COVERAGE_LOG, (COVERAGE_VERSION[], version, added, changed, removed))
+            length(COVERAGE_LOG) > COVERAGE_LOG_MAX && popfirst!(COVERAGE_LOG)
+        end
+        empty!(COVERAGE_TILES)
+        merge!(COVERAGE_TILES, tiles)
+        COVERAGE_VERSION[] = version
+    end
+end
+
+# Differences between version `since` and the current one, or nothing if
+# `since` is not in the change log anymore
+function coverage_delta(since::Int)
+    start = findfirst(entry -> entry[1] == since, COVERAGE_LOG)
+    start === nothing && return nothing
+
+    # The first operation seen for a tile tells whether the client has it
+    first_op = Dict{Int, Symbol}()
+    for (_, _, added, changed, removed) in COVERAGE_LOG[start:end]
+        for id in added;   get!(first_op, id, :added);   end
+        for id in changed; get!(first_op, id, :changed); end
+        for id in removed; get!(first_op, id, :removed); end
+    end
+
+    added, changed, removed = Any[], Any[], Int[]
+    for (id, op) in first_op
+        entry = get(COVERAGE_TILES, id, nothing)
+        if entry === nothing
+            op == :added || push!(removed, id)   # added then removed: client never saw it
+        else
+            push!(op == :added ? added : changed, entry)
+        end
+    end
+    return Dict{String, Any}("added" => added, "changed" => changed, "removed" => removed)
+end
+
+###############################################################################
+# Event Publisher
+#
+# Watches the state that is not changed through the job registry (aircraft
+# position, FlightGear connection, coverage.json) and publishes an event on
+# the /api/events stream whenever it changes.
+###############################################################################
+
+function start_event_publisher()
+    @async begin
+        last_state    = nothing
+        last_position = nothing
+        last_coverage = nothing
+        last_beat     = time()
+        while true
+            try
+                st = fgfs_connection_state()
+                if st != last_state
+                    publish_event("connection", (state=st,))
+                    last_state = st
+                end
+
+                pos = fgfs_status_payload()
+                if pos != last_position
+                    publish_event("position", pos)
+                    last_position = pos
+                end
+
+                modified = isfile("coverage.json") ? mtime("coverage.json") : 0.0
+                if last_coverage !== nothing && modified != last_coverage
+                    publish_event("coverage", (modified=unix2datetime(modified),))
+                end
+                last_coverage = modified
+
+                if time() - last_beat >= EVENT_HEARTBEAT_INTERVAL
+                    publish_event("", "")
+                    last_beat = time()
+                end
+            catch e
+                @warn "GuiMode.start_event_publisher: publish failed" exception=(e, catch_backtrace())
+            end
+            sleep(EVENT_POLL_INTERVAL)
+        end
+    end
+end
+
 ###############################################################################
 # Background Worker Management
 #
@@ -533,7 +1388,7 @@ end
 #   2. When a job arrives, it spawns a new parallel task
 #   3. The parallel task executes the actual job processing
 #   4. Main worker continues waiting for next job (non-blocking)
-#   5. Completed jobs notify the frontend via COMPLETED_JOBS channel
+#   5. Job state changes reach the frontend through the /api/events SSE stream
 #
 # Thread Safety:
 #   - Uses Julia's @spawn for true parallel execution
@@ -545,6 +1400,7 @@ end
 #   - Each job is wrapped in try-catch block
 #   - Failed jobs are logged but don't crash the worker
 #   - Completion notification is sent regardless of success/failure
+#   - Job state transitions are recorded in JOB_REGISTRY for /api/jobs
 #
 # Resource Management:
 #   - Worker task is stored in JOB_WORKER Ref for lifecycle management
@@ -567,17 +1423,21 @@ function start_background_worker()
             # that executes it in parallel without blocking the main loop
             @spawn begin
                 job_id = job["job_id"]
+                job_error = nothing
                 try
                     @info "Starting job #$job_id in parallel task" job
+                    set_job_state!(job_id, "running")
                     # Execute the actual job processing
                     launch_job_from_api(job)
                     @info "Job #$job_id completed successfully"
                     catch e
                     @error "Job #$job_id failed" exception=(e, catch_backtrace())
+                    job_error = sprint(showerror, e)
                 finally
                     # Always notify job completion (success or failure)
                     # so the green indicator can disappear from UI
-                    put!(COMPLETED_JOBS, job_id)
+                    # (no-op if the job already finished when its last tile was placed)
+                    finish_job!(job_id; error=job_error)
                 end
             end
         end
@@ -664,8 +1524,8 @@ end
 #   1. Parse command line arguments for HTTP port configuration
 #   2. Set default host and port values
 #   3. Configure global logging settings
-#   4. Start background services (DDS scanner, job worker)
-#   5. Launch the HTTP server with custom error handler
+#   4. Start background services (DDS scanner, job worker, event publisher)
+#   5. Launch the HTTP server (stream mode) with custom error handler
 #   6. Log server startup information
 #
 # Command Line Arguments:
@@ -685,6 +1545,7 @@ end
 # Background Services Started:
 #   - DDS Scanner: Asynchronous tile file discovery (ddsFindScanner.startFind())
 #   - Job Worker: Background job processing queue (start_background_worker())
+#   - Event Publisher: Pushes state changes to /api/events (start_event_publisher())
 #
 # Server Features:
 #   - HTTP/1.1 server with keep-alive support
@@ -726,10 +1587,12 @@ function run(args::Vector{String}=ARGS)
     global_logger(ConsoleLogger(stderr, Logging.Info))
     @async ddsFindScanner.startFind()
     start_background_worker()
+    start_event_publisher()
 
     @info "Web GUI server running at http://$host:$port/"
-    # Start HTTP server with custom error handler
-    HTTP.serve(handle, host, port; on_error=handle_server_error, verbose=false)
+    # Start HTTP server with custom error handler. Stream mode is needed by
+    # /api/events; all other requests still go through `handle`.
+    HTTP.serve(handle_stream, host, port; stream=true, on_error=handle_server_error, verbose=false)
 end
 
 ###############################################################################
@@ -844,18 +1707,31 @@ function launch_job_from_api(params::Dict)
                 "server" => get(p, "server", 1),
                 "sdwn"   => sdwn_value,
                 "mode"   => job_mode,
+                # Progress hooks feeding the job registry (/api/jobs)
+                "on_tiles_planned" => tiles -> job_tiles_planned!(job_id, tiles),
+                "on_tile_done"     => job_tile_placed!,
                 )
 
             # 2. Prepara percorsi e server mappe
             route_vec, _, root_path, save_path = GeoEngine.prepare_paths_and_location(cfg, home_path)
             map_srv = Downloader.MapServer(get(cfg, "server", 1))
 
+            # 3a. Job poligonale: solo i tile che intersecano il poligono
+            if get(p, "shape", "circle") == "polygon"
+                GeoEngine.process_target_polygon(p["polygon"], cfg, map_srv, root_path, save_path)
+                return
+            end
+
             # 3. Esegui il processo per ogni punto della rotta
             for (lat, lon) in route_vec
                 area = Commons.MapCoordinates(lat, lon, Float64(cfg["radius"]))
                 heading_deg = nothing
                 alt_ft      = nothing
-                if job_mode == "daa"
+                if job_mode == "daa" && get(p, "heading", nothing) !== nothing
+                    # Position sent by the GUI (e.g. simulated aircraft, no FGFS needed)
+                    heading_deg = Float64(p["heading"])
+                    alt_ft      = get(p, "altitude", nothing) === nothing ? nothing : Float64(p["altitude"])
+                elseif job_mode == "daa"
                     try
                         if FGFS_CONNECTION[] !== nothing && FGFS_CONNECTION[].actual !== nothing
                             heading_deg = FGFS_CONNECTION[].actual.directionDeg
@@ -872,7 +1748,9 @@ function launch_job_from_api(params::Dict)
             # 1. Estrai i dati specifici per questo job
             bounds = p["bounds"]
             settings = p["settings"]
-            fill_cfg = Dict(string(k)=>v for (k,v) in pairs(settings))
+            fill_cfg = Dict{String, Any}(string(k)=>v for (k,v) in pairs(settings))
+            fill_cfg["on_tiles_planned"] = tiles -> job_tiles_planned!(job_id, tiles)
+            fill_cfg["on_tile_done"]     = job_tile_placed!
 
             # 2. Abbiamo bisogno dei percorsi, ma non abbiamo un lat/lon.
             #    Chiamiamo prepare_paths_and_location con una config vuota
@@ -883,10 +1761,28 @@ function launch_job_from_api(params::Dict)
             map_srv = Downloader.MapServer(get(fill_cfg, "server", 1))
 
             # 3. Chiama la funzione specializzata per il riempimento
-            @async GeoEngine.process_fill_holes(bounds, fill_cfg, map_srv, root_path, save_path, tmp_dir)
+            #    Synchronous, like the other modes, so that the worker marks the job
+            #    finished (or failed) only once the holes have been processed
+            GeoEngine.process_fill_holes(bounds, fill_cfg, map_srv, root_path, save_path, tmp_dir)
+
+        elseif job_mode == "tile"
+            # --- PERCORSO LOGICO 3: TILE SCELTI (popup di copertura, selezione a riquadro) ---
+            cfg = Dict{String, Any}(
+                "size"   => p["size"],
+                "over"   => get(p, "over", 2),
+                "server" => get(p, "server", 1),
+                "mode"   => job_mode,
+                "on_tiles_planned" => tiles -> job_tiles_planned!(job_id, tiles),
+                "on_tile_done"     => job_tile_placed!,
+                )
+            _, _, root_path, save_path = GeoEngine.prepare_paths_and_location(Dict{String, Any}(), home_path)
+            map_srv = Downloader.MapServer(get(cfg, "server", 1))
+            tile_sizes = Tuple{Int,Int}[(Int(t[1]), Int(t[2])) for t in p["tiles"]]
+            GeoEngine.process_tile_ids(tile_sizes, cfg, map_srv, root_path, save_path)
         end
     catch e
         @error "GuiMode.launch_job_from_api: ❌ Job failed" exception=(e, catch_backtrace())
+        finish_job!(job_id; error=sprint(showerror, e))
     finally
         @info "GuiMode.launch_job_from_api: Job #$job_id **always** completed"
     end
@@ -6,6 +6,8 @@ Handles route loading and airport location lookup for flight planning.
     Key Features:
     - Supports multiple route file formats (FGFS, GPX)
     - Airport database lookup by ICAO code
+    - Airports of a map area (GUI offline map)
+    - Airport search by ICAO, IATA, name and city (GUI autocomplete)
     - Route point interpolation
     - Distance calculations between waypoints
     - Comprehensive error handling
@@ -23,7 +25,13 @@ module Route
 using Unicode, LightXML, Geodesy, Printf, CSV, DataFrames, Serialization
 using ..StatusMonitor, ..Connector, ..Commons, ..ScanDir
 
-export loadRoute, selectIcao
+export loadRoute, selectIcao, airportsInBox, searchAirports
+
+# Airport database kept in memory for the map queries, reloaded when airports.jls changes
+const AIRPORT_DB = Ref{Any}(nothing)
+const AIRPORT_DB_MTIME = Ref(0.0)
+const AIRPORT_KEYS = Ref{Any}(nothing)     # Normalized search columns of AIRPORT_DB
+const AIRPORT_DB_LOCK = ReentrantLock()
 
 
 """
@@ -179,6 +187,124 @@ function selectIcao(icaoToSelect, centralPointRadiusDistance)
 end
 
 
+"""
+airportDatabase()
+
+Returns the airport database, converting airports.csv to airports.jls when
+the CSV is newer, like selectIcao. The DataFrame is cached between calls.
+
+Returns: DataFrame, or nothing when neither file is available
+"""
+function airportDatabase()
+    lock(AIRPORT_DB_LOCK) do
+        if stat("airports.csv").mtime > stat("airports.jls").mtime
+            StatusMonitor.log_message("Converting airport database...")
+            serialize("airports.jls", DataFrame(CSV.File("airports.csv")))
+        end
+        mtime = stat("airports.jls").mtime
+        mtime == 0.0 && return nothing
+        if AIRPORT_DB[] === nothing || mtime != AIRPORT_DB_MTIME[]
+            db = deserialize("airports.jls")
+            AIRPORT_KEYS[] = (ident=searchKey.(db.ident), iata=searchKey.(textColumn(db, :iata_code)),
+                              name=searchKey.(textColumn(db, :name)), city=searchKey.(textColumn(db, :municipality)))
+            AIRPORT_DB[] = db
+            AIRPORT_DB_MTIME[] = mtime
+        end
+        return AIRPORT_DB[]
+    end
+end
+
+# Column of the database, all missing when the CSV has no such column
+textColumn(db, col::Symbol) = hasproperty(db, col) ? db[!, col] : fill(missing, nrow(db))
+
+# Uppercase text without accents, as compared by the searches
+searchKey(text) = ismissing(text) ? "" : Unicode.normalize(uppercase(string(text)), stripmark=true)
+
+# Record of row i returned to the GUI
+function airportRecord(db, i)
+    text(col) = coalesce(textColumn(db, col)[i], "")
+    return (ident=db.ident[i], iata=text(:iata_code), name=text(:name), city=text(:municipality),
+            country=text(:iso_country), type=text(:type), lat=db.latitude_deg[i], lon=db.longitude_deg[i])
+end
+
+
+"""
+airportsInBox(latS, lonW, latN, lonE; types, limit)
+
+Lists the airports inside a lat/lon box.
+- types: Airport types to include (`type` column), most important first
+- limit: Maximum number of airports returned
+
+Returns: Vector of airport records (ident, iata, name, city, country, type,
+lat, lon) sorted by the order of `types`, or nothing when the database is
+unavailable
+"""
+function airportsInBox(latS, lonW, latN, lonE;
+                       types=["large_airport", "medium_airport", "small_airport"], limit=500)
+    db = airportDatabase()
+    db === nothing && return nothing
+
+    rank = Dict(t => i for (i, t) in enumerate(types))
+    lat = db.latitude_deg
+    lon = db.longitude_deg
+    kind = db.type
+    found = findall(eachindex(lat)) do i
+        !ismissing(lat[i]) && !ismissing(lon[i]) &&
+            latS <= lat[i] <= latN && lonW <= lon[i] <= lonE &&
+            haskey(rank, coalesce(kind[i], ""))
+    end
+    sort!(found, by = i -> rank[kind[i]])
+    length(found) > limit && resize!(found, limit)
+
+    return [airportRecord(db, i) for i in found]
+end
+
+
+"""
+searchAirports(query; limit)
+
+Finds airports by ICAO code, IATA code, name or city, accents and case
+ignored. Exact codes come first, then code prefixes, then names and cities
+starting with the query, then names and cities containing it; within each
+group bigger airports first. Closed airports are left out.
+- query: Text typed by the user (at least 2 characters)
+- limit: Maximum number of airports returned
+
+Returns: Vector of airport records as airportsInBox, or nothing when the
+database is unavailable
+"""
+function searchAirports(query::AbstractString; limit=10)
+    db = airportDatabase()
+    db === nothing && return nothing
+    q = searchKey(strip(query))
+    length(q) < 2 && return []
+
+    index = AIRPORT_KEYS[]
+    kind = db.type
+    typeRank(i) = something(findfirst(==(coalesce(kind[i], "")),
+        ["large_airport", "medium_airport", "small_airport", "seaplane_base", "heliport", "balloonport"]), 7)
+    function matchRank(i)
+        (index.ident[i] == q || index.iata[i] == q) && return 1
+        startswith(index.ident[i], q) && return 2
+        (startswith(index.name[i], q) || startswith(index.city[i], q)) && return 3
+        (occursin(q, index.name[i]) || occursin(q, index.city[i])) && return 4
+        return 0
+    end
+
+    found = Tuple{Int,Int,Int}[]
+    for i in eachindex(index.ident)
+        coalesce(kind[i], "") == "closed" && continue
+        (ismissing(db.latitude_deg[i]) || ismissing(db.longitude_deg[i])) && continue
+        r = matchRank(i)
+        r > 0 && push!(found, (r, typeRank(i), i))
+    end
+    sort!(found)
+    length(found) > limit && resize!(found, limit)
+
+    return [airportRecord(db, i) for (_, _, i) in found]
+end
+
+
 """
 getRouteListFormatFGFS!(routeList, route, minDistance)
 
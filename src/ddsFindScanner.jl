@@ -22,7 +22,8 @@ using FilePathsBase
 
 # --- Exports ---
 # Functions made available when this module is used by other code
-export startFind, find_file_by_id, moveImage, set_data_file_path!, syncScan, printStats, place_tile!, generate_coverage_json, has_suitable_tile
+export startFind, find_file_by_id, moveImage, set_data_file_path!, syncScan, printStats, place_tile!, generate_coverage_json, has_suitable_tile, disk_usage,
+       is_protected, set_protected!, delete_tiles!
 
 
 const SKIP_NOACCESS = e -> begin
@@ -88,6 +89,9 @@ const _should_continue = Ref{Bool}(true)
 
 # Filename for storing the persistent file index
 const _data_file = Ref("dds_files.json")
+# Tiles that jobs must never replace (GUI "protect" action), kept next to the index
+const _protected_ids = Set{Int}()
+const _protected_loaded = Ref(false)
 const data_file = _data_file[]
 # List of root directories to scan for files
 const directories = begin
@@ -247,6 +251,108 @@ function find_file_by_id(id::Int, sizeId::Union{Int,Nothing}=nothing; verbose::B
 end
 
 
+_protected_file() = joinpath(dirname(_data_file[]), "protected_tiles.json")
+
+# Loads the protected tile IDs on first use. Call with _data_lock held.
+function _load_protected!()
+    _protected_loaded[] && return
+    _protected_loaded[] = true
+    path = _protected_file()
+    isfile(path) || return
+    try
+        union!(_protected_ids, Int.(JSON.parsefile(path)))
+    catch e
+        @warn "ddsFindScanner: Cannot read the protected tiles file $(path)" exception=e
+    end
+end
+
+
+"""
+    is_protected(id::Int) -> Bool
+
+Tells whether a tile is protected: jobs never replace it, whatever their `over` mode.
+"""
+function is_protected(id::Int)
+    lock(_data_lock) do
+        _load_protected!()
+        return id in _protected_ids
+    end
+end
+
+
+"""
+    set_protected!(ids::AbstractVector{Int}, protected::Bool)
+
+Protects or unprotects tiles, saves the list and regenerates coverage.json
+(which carries the `protected` flag shown by the GUI).
+"""
+function set_protected!(ids::AbstractVector{Int}, protected::Bool)
+    lock(_data_lock) do
+        _load_protected!()
+        protected ? union!(_protected_ids, ids) : setdiff!(_protected_ids, ids)
+        open(_protected_file(), "w") do io
+            JSON.print(io, sort(collect(_protected_ids)))
+        end
+    end
+    @async generate_coverage_json()
+    return nothing
+end
+
+
+"""
+    delete_tiles!(ids::AbstractVector{Int}, rootPath::String) -> (deleted, remaining)
+
+Deletes the files of the tiles found under the scenery folder `rootPath` and
+updates the index (saved once). Older versions kept elsewhere
+(Orthophotos-saved) are left alone and counted in `remaining`.
+"""
+function delete_tiles!(ids::AbstractVector{Int}, rootPath::String)
+    root = joinpath(normpath(rootPath), "")   # trailing separator: not Orthophotos-saved
+    targets = Set(ids)
+    deleted, remaining = 0, 0
+    lock(_data_lock) do
+        for (path, record) in collect(_existing_data)
+            get(record, "id", -1) in targets || continue
+            if startswith(normpath(path), root)
+                rm(path, force=true)
+                delete!(_existing_data, path)
+                deleted += 1
+            else
+                remaining += 1
+            end
+        end
+        deleted > 0 && save_data(DEFAULT_METADATA, _existing_data)
+    end
+    @info "ddsFindScanner.delete_tiles!: $(length(targets)) tile(s): $deleted file(s) deleted, $remaining older version(s) kept"
+    return deleted, remaining
+end
+
+
+"""
+    disk_usage() -> Vector{Dict{String, Any}}
+
+Returns one entry per indexed DDS file (all versions, including the ones in
+Orthophotos-saved) with its tile id, sizeId and size in bytes, for the GUI
+coverage statistics.
+"""
+function disk_usage()
+    files = Dict{String, Any}[]
+    lock(_data_lock) do
+        for (path, record) in _existing_data
+            tile_id = get(record, "id", nothing)
+            tile_id === nothing && continue
+            push!(files, Dict(
+                "id" => tile_id,
+                "sizeId" => get(record, "sizeId", nothing),
+                "bytes" => get(record, "size", 0),
+                "saved" => occursin("/Orthophotos-saved/", path)
+                ))
+        end
+    end
+    return files
+end
+
+
 """
     _print_statistics(data::Dict{String, Any})
 
@@ -405,7 +511,8 @@ Genera il file `coverage.json` per la visualizzazione web. Applica una logica di
 priorità per mostrare solo la versione più rilevante di ogni tile:
 1. I tile nella cartella /Orthophotos/ hanno sempre la precedenza su quelli in /Orthophotos-saved/.
 2. A parità di locazione, viene scelta la versione con la risoluzione (`sizeId`) più alta.
-Il file generato include l'ID, il BBOX, il sizeId e la data di modifica per ogni tile.
+Il file generato include l'ID, il BBOX, il sizeId, la data di modifica, la dimensione
+del file (`bytes`) e, se noto, il map server di origine (`server`) di ogni tile.
 """
 function generate_coverage_json()
     @info "ddsFindScanner: Avvio generazione di coverage.json con logica di priorità..."
@@ -438,7 +545,9 @@ function generate_coverage_json()
             current_candidate = Dict(
                 "sizeId" => size_id,
                 "isInOrtho" => is_in_ortho,
-                "last_modified" => last_mod
+                "last_modified" => last_mod,
+                "bytes" => get(record, "size", 0),
+                "server" => get(record, "server", nothing)
                 )
 
             if !haskey(tile_candidates, tile_id)
@@ -461,15 +570,26 @@ function generate_coverage_json()
         end
     end
 
+    protected_ids = lock(_data_lock) do
+        _load_protected!()
+        copy(_protected_ids)
+    end
+
     # Costruiamo l'output finale basandoci sui candidati scelti
     output_data = []
     for (tile_id, info) in tile_candidates
-        push!(output_data, Dict(
+        entry = Dict{String, Any}(
             "id"            => tile_id,
             "bbox"          => get_tile_bbox_from_id(tile_id),
             "sizeId"        => info["sizeId"], # Virgola corretta
-            "last_modified" => info["last_modified"]
-            ))
+            "last_modified" => info["last_modified"],
+            "bytes"         => info["bytes"]
+            )
+        # Il server di origine è noto solo per i tile scaricati da questa versione
+        info["server"] === nothing || (entry["server"] = info["server"])
+        # Solo i tile protetti portano il flag, per non appesantire il file
+        tile_id in protected_ids && (entry["protected"] = true)
+        push!(output_data, entry)
     end
 
     @info "ddsFindScanner: Scrivo $(length(output_data)) tile unici in coverage.json..."
@@ -646,6 +766,13 @@ function place_tile!(
                 return true
             end
 
+            # Tile protetto dalla GUI: non si sostituisce
+            if is_protected(tile.id)
+                @info "ddsFindScanner.place_tile: Tile $(tile.id) is protected. Skipping."
+                rm(source_path, force=true)
+                return true
+            end
+
             # Tentiamo di leggere la larghezza del file esistente.
             is_success, actual_width, _ = Commons.getDDSSize(final_dest_path)
             if !is_success; is_success, actual_width, _ = Commons.getPNGSize(final_dest_path); end
@@ -691,12 +818,16 @@ function place_tile!(
         # Aggiorna l'indice con il nuovo file
         lock(_data_lock) do
             stat_info = stat(final_dest_path)
-            _existing_data[final_dest_path] = Dict(
+            record = Dict{String, Any}(
                 "id" => tile.id, "size" => stat_info.size,
                 "last_modified" => Dates.format(now(), "yyyy-mm-dd HH:MM:SS"),
                 "sizeId" => tile.size_id, "width" => tile.width,
                 "height" => tile.width
                 )
+            # Map server di origine, per la colorazione della copertura nella GUI
+            server = get(cfg, "server", nothing)
+            server === nothing || (record["server"] = server)
+            _existing_data[final_dest_path] = record
             save_data(DEFAULT_METADATA, _existing_data)
         end
         return true
@@ -739,8 +870,10 @@ function moveImage(rootPath::String, rootPath_saved::String, id::Int, target_siz
         id, target_sizeId, lon, lat, 0.0, 0.0, 0, 0, 0.0, 0.0, 0.0, width, cols
         )
 
-    # Chiama la nuova funzione centralizzata per fare il lavoro pesante
-    success = place_tile!(candidate_path, temp_tile_meta, rootPath, rootPath_saved, cfg)
+    # Chiama la nuova funzione centralizzata per fare il lavoro pesante.
+    # Il tile conserva il server da cui era stato scaricato, non quello del job.
+    move_cfg = merge(cfg, Dict{String, Any}("server" => get(candidate_record, "server", nothing)))
+    success = place_tile!(candidate_path, temp_tile_meta, rootPath, rootPath_saved, move_cfg)
 
     return success ? "moved" : "error"
 end
@@ -855,6 +988,11 @@ function has_suitable_tile(id::Int, target_sizeId::Int, rootPath::String, savePa
         return false # Non esiste, quindi non è "suitable"
     end
 
+    # Un tile protetto non viene mai sostituito, qualunque sia il modo "over"
+    if is_protected(id)
+        return true
+    end
+
     # Trova la versione con la risoluzione più alta tra quelle esistenti
     best_existing = sort(all_versions, by = v -> get(v, "sizeId", -1), rev=true)[1]
     best_existing_sizeId = get(best_existing, "sizeId", -1)
@@ -1007,7 +1145,7 @@ function syncScan()
 
                         # Aggiungiamo il record all'indice solo se è un'immagine valida
                         if is_valid && id !== nothing
-                            new_data[fullpath] = Dict(
+                            new_data[fullpath] = Dict{String, Any}(
                                 "id"            => id,
                                 "name"          => basename(fullpath),
                                 "size"          => size,          # Dimensione in bytes
@@ -1016,6 +1154,11 @@ function syncScan()
                                 "width"         => width,
                                 "height"        => height
                             )
+                            # Il server non si ricava dal file: lo si conserva se il file è lo stesso
+                            old = get(_existing_data, fullpath, nothing)
+                            if old !== nothing && haskey(old, "server") && get(old, "size", nothing) == size
+                                new_data[fullpath]["server"] = old["server"]
+                            end
                         end
                     end
                 end